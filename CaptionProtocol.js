@@ -0,0 +1,236 @@
+/**
+ * Version of the caption protocol, sent with every message
+ * Messages without a version come from senders older than the protocol;
+ * they are followed but get no reply
+ **/
+var VERSION = 1;
+
+/**
+ * Error codes of ERROR replies
+ **/
+var ERROR_CODE = {
+  'INVALID_MESSAGE' : 'invalid_message',
+  'UNSUPPORTED_VERSION' : 'unsupported_version',
+  'UNKNOWN_TYPE' : 'unknown_type',
+  'NO_TRACK' : 'no_track',
+  'SUBTITLE_ERROR' : 'subtitle_error'
+};
+
+/**
+ * Fields of the sender messages by type, a trailing ? marks optional ones
+ * Each gets an ACK or an ERROR reply carrying the receiver status.
+ * SUBTITLE_DATA brings the WebVTT of a track picked in the sender, in
+ * count parts small enough for a Cast message, for the media contentId
+ **/
+var REQUESTS = {
+  'ENABLE_CC' : {'trackNumber' : 'number'},
+  'DISABLE_CC' : {},
+  'NORMAL_FONT' : {},
+  'YELLOW_FONT' : {},
+  'LARGE_FONT' : {},
+  'SET_STYLE' : {'style' : 'object'},
+  'SUBTITLE_OFFSET' : {'trackNumber' : 'number', 'offset' : 'number'},
+  'SET_METADATA' : {'payload' : 'object'},
+  'SUBTITLE_DATA' : {'contentId' : 'string', 'trackNumber' : 'number', 'index' : 'number', 'count' : 'number', 'data' : 'string'},
+  'GET_STATUS' : {}
+};
+
+/**
+ * Fields of the receiver messages by type
+ * STATUS is also sent unasked, when a new media starts
+ **/
+var REPLIES = {
+  'ACK' : {'requestId' : 'number', 'status' : 'object'},
+  'ERROR' : {'requestId' : 'number?', 'code' : 'string', 'message' : 'string', 'status' : 'object'},
+  'STATUS' : {'status' : 'object'}
+};
+
+/**
+ * Fields of the objects inside messages, by the field holding them
+ **/
+var OBJECTS = {
+  'style' : {
+    'fontScale' : 'number?',
+    'fontFamily' : 'string?',
+    'foregroundColor' : 'color?',
+    'backgroundColor' : 'color?',
+    'edgeType' : 'string?',
+    'edgeColor' : 'color?',
+    'verticalPosition' : 'number?'
+  },
+  'payload' : {
+    'title' : 'string?',
+    'subtitle' : 'string?',
+    'thumb' : 'string?',
+    'backdrop' : 'string?'
+  },
+  'status' : {
+    'contentId' : 'string?',
+    'activeTrackIndex' : 'number',
+    'offset' : 'number',
+    'style' : 'object'
+  }
+};
+
+/**
+ * Caption protocol
+ * The messages sender and receiver exchange on the caption namespace.
+ * Every sender message carries a version and a requestId and is answered
+ * with an ACK, or an ERROR {code, message}; both carry the receiver status
+ * {contentId, activeTrackIndex, offset, style}, what the TV shows. Either
+ * side validates what it gets before acting on it.
+ */
+var CaptionProtocol = {};
+
+CaptionProtocol.VERSION = VERSION;
+CaptionProtocol.ERROR = ERROR_CODE;
+
+/**
+ * @param {Number} requestId Unique for the sender
+ * @param {Object} message A message {type, ...}
+ * @return {Object} The message to send
+ */
+CaptionProtocol.request = function(requestId, message) {
+  var request = {version: VERSION, requestId: requestId};
+  for (var key in message) {
+    request[key] = message[key];
+  }
+  return request;
+};
+
+/**
+ * @param {Object} request The request followed
+ * @param {Object} status The receiver status
+ * @return {Object}
+ */
+CaptionProtocol.ack = function(request, status) {
+  return {version: VERSION, type: 'ACK', requestId: request.requestId, status: status};
+};
+
+/**
+ * @param {Object} request The request refused, it may be malformed
+ * @param {Object} error {code, message}
+ * @param {Object} status The receiver status
+ * @return {Object}
+ */
+CaptionProtocol.error = function(request, error, status) {
+  var requestId = request && typeof request.requestId == 'number' ? request.requestId : null;
+  return {version: VERSION, type: 'ERROR', requestId: requestId, code: error.code, message: error.message, status: status};
+};
+
+/**
+ * @param {Object} status The receiver status
+ * @return {Object}
+ */
+CaptionProtocol.status = function(status) {
+  return {version: VERSION, type: 'STATUS', status: status};
+};
+
+/**
+ * Check a sender message
+ * @param {*} message What the receiver got
+ * @return {Object} {code, message}, or null when it can be followed
+ */
+CaptionProtocol.validateRequest = function(message) {
+  var error = checkVersion(message, true);
+  if (error) {
+    return error;
+  }
+  if (message.version !== undefined && typeof message.requestId != 'number') {
+    return {code: ERROR_CODE.INVALID_MESSAGE, message: 'requestId should be a number'};
+  }
+  return checkMessage(message, REQUESTS);
+};
+
+/**
+ * Check a receiver message
+ * @param {*} message What the sender got
+ * @return {Object} {code, message}, or null when it can be followed
+ */
+CaptionProtocol.validateReply = function(message) {
+  return checkVersion(message, false) || checkMessage(message, REPLIES);
+};
+
+/**
+ * @param {*} message A message
+ * @param {Boolean} allowLegacy Whether a message without a version is fine
+ * @return {Object} {code, message}, or null
+ */
+function checkVersion(message, allowLegacy) {
+  if (!message || typeof message != 'object') {
+    return {code: ERROR_CODE.INVALID_MESSAGE, message: 'A message should be an object'};
+  }
+  if (message.version === undefined && allowLegacy) {
+    return null;
+  }
+  if (message.version !== VERSION) {
+    return {code: ERROR_CODE.UNSUPPORTED_VERSION, message: 'Version ' + message.version + ' is not supported, ' + VERSION + ' is'};
+  }
+  return null;
+}
+
+/**
+ * @param {Object} message A message
+ * @param {Object} schemas Fields by message type
+ * @return {Object} {code, message}, or null
+ */
+function checkMessage(message, schemas) {
+  if (!schemas.hasOwnProperty(message.type)) {
+    return {code: ERROR_CODE.UNKNOWN_TYPE, message: 'Unknown message type ' + message.type};
+  }
+  var problem = checkFields(message, schemas[message.type], '');
+  return problem ? {code: ERROR_CODE.INVALID_MESSAGE, message: message.type + ': ' + problem} : null;
+}
+
+/**
+ * @param {Object} values The fields to check
+ * @param {Object} fields Their types, e.g. {'offset' : 'number'}
+ * @param {string} path Where the values are, for the error message
+ * @return {string} What is wrong, or null
+ */
+function checkFields(values, fields, path) {
+  for (var name in fields) {
+    var type = fields[name];
+    var optional = type.charAt(type.length - 1) == '?';
+    var value = values[name];
+    if (optional) {
+      type = type.substring(0, type.length - 1);
+    }
+    if (value === undefined || value === null) {
+      if (optional) {
+        continue;
+      }
+      return path + name + ' is missing';
+    }
+    if (!isType(value, type)) {
+      return path + name + ' should be a ' + type;
+    }
+    if (type == 'object' && OBJECTS.hasOwnProperty(name)) {
+      var problem = checkFields(value, OBJECTS[name], path + name + '.');
+      if (problem) {
+        return problem;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {*} value A field value
+ * @param {string} type number, string, object or color, a #RRGGBBAA colour
+ * @return {Boolean}
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'number':
+      return typeof value == 'number' && isFinite(value);
+    case 'object':
+      return typeof value == 'object' && !Array.isArray(value);
+    case 'color':
+      return typeof value == 'string' && /^#[0-9A-Fa-f]{8}$/.test(value);
+    default:
+      return typeof value == type;
+  }
+}
+
+export { CaptionProtocol };
@@ -0,0 +1,392 @@
+import { CaptionProtocol } from './CaptionProtocol.js';
+import { CaptionStyle } from './CaptionStyle.js';
+import { CaptionsController } from './CaptionsController.js';
+import { SubtitleConverter } from './SubtitleConverter.js';
+
+/**
+ * Caption presets by the font message choosing them
+ **/
+var FONT_MESSAGES = {
+  'NORMAL_FONT' : 'NORMAL',
+  'YELLOW_FONT' : 'YELLOW',
+  'LARGE_FONT' : 'LARGE'
+};
+
+/**
+ * Seconds without news from a sender before it is taken as gone; long, so
+ * a breakpoint while debugging the receiver does not end the session
+ **/
+var MAX_INACTIVITY = 600;
+
+/**
+ * Caption receiver
+ * The receiver side of the caption namespace. The text tracks of a load
+ * are the subtitle tracks; its customData brings their offsets, the active
+ * one, their style and the title and poster payload, shown until playback
+ * starts and while paused. Tracks picked in the sender have no URL, their
+ * cues follow in SUBTITLE_DATA messages; messages
+ * from CaptionsController change them while the media plays. Each message
+ * is answered with the status of the TV, see CaptionProtocol.
+ * @param {HTMLVideoElement} video The video element the media manager plays in
+ * @param {Object} elements {metadata, thumb, title, subtitle} of the idle and pause screen
+ */
+var CaptionReceiver = function(video, elements) {
+  // @type {HTMLVideoElement} The video element showing the captions
+  this.video = video;
+  // @type {Object} Elements of the idle and pause screen
+  this.elements = elements;
+  // @type {Array} Subtitle tracks {src, language, label, baseOffset, offset, cues, url, chunks}
+  this.tracks = [];
+  // @type {Number} Index of the track shown, -1 for none
+  this.activeTrackIndex = -1;
+  // @type {CaptionStyle} How captions look
+  this.style = new CaptionStyle();
+  // @type {Object} What is playing {title, subtitle, thumb, backdrop}
+  this.payload = null;
+  // @type {string} contentId of the media whose customData was read
+  this.contentId = null;
+  // @type {cast.receiver.MediaManager} Set by start
+  this.mediaManager = null;
+  // @type {cast.receiver.CastMessageBus} Set by start
+  this.messageBus = null;
+  // @type {HTMLStyleElement} Holds the ::cue rule of the caption style
+  this.styleSheet = document.createElement('style');
+  document.head.appendChild(this.styleSheet);
+
+  this.video.addEventListener('loadstart', this.onLoadStart.bind(this));
+  this.video.addEventListener('loadedmetadata', this.renderStyle.bind(this));
+  this.video.addEventListener('playing', this.renderMetadata.bind(this));
+  this.video.addEventListener('pause', this.renderMetadata.bind(this));
+  this.video.addEventListener('emptied', this.renderMetadata.bind(this));
+  this.renderStyle();
+  this.renderMetadata();
+};
+
+/**
+ * Start the receiver application
+ * @param {Object} api cast.receiver, or MockCastReceiver outside a Chromecast
+ */
+CaptionReceiver.prototype.start = function(api) {
+  this.mediaManager = new api.MediaManager(this.video);
+  var defaultOnLoad = this.mediaManager.onLoad;
+  this.mediaManager.onLoad = function(event) {
+    var media = event.data.media || {};
+    this.contentId = media.contentId;
+    this.onLoad(event.data.customData || media.customData, media);
+    defaultOnLoad.call(this.mediaManager, event);
+  }.bind(this);
+
+  var manager = api.CastReceiverManager.getInstance();
+  this.messageBus = manager.getCastMessageBus(CaptionsController.NAMESPACE,
+    api.CastMessageBus.MessageType.JSON);
+  this.messageBus.onMessage = this.onBusMessage.bind(this);
+  manager.start({maxInactivity: MAX_INACTIVITY});
+};
+
+/**
+ * Queued media start without a load request, their customData is read
+ * from the media manager as the video element changes source
+ */
+CaptionReceiver.prototype.onLoadStart = function() {
+  var media = this.mediaManager && this.mediaManager.getMediaInformation();
+  if (media && media.contentId != this.contentId) {
+    this.contentId = media.contentId;
+    this.onLoad(media.customData, media);
+  }
+};
+
+/**
+ * Take the tracks, style and payload of a new media
+ * @param {Object} customData {payload, cc: {tracks: [{offset, chunked}], active, style}}, may be missing
+ * @param {Object} opt_media The media information, its TEXT tracks are the
+ *  subtitles; senders older than that list {src, language, label} in cc.tracks
+ */
+CaptionReceiver.prototype.onLoad = function(customData, opt_media) {
+  var cc = customData && customData.cc || {};
+  var extra = cc.tracks || [];
+  var tracks = (opt_media && opt_media.tracks || []).filter(function(track) {
+    return track.type == 'TEXT';
+  }).map(function(track, i) {
+    return {
+      // chunked tracks only have a placeholder until their cues arrive
+      src: extra[i] && extra[i].chunked ? '' : track.trackContentId,
+      language: track.language,
+      label: track.name,
+      offset: extra[i] && extra[i].offset
+    };
+  });
+  this.clearTracks();
+  this.tracks = (tracks.length ? tracks : extra).map(function(track) {
+    return {
+      src: track.src || '',
+      language: track.language || '',
+      label: track.label || '',
+      baseOffset: track.offset || 0,
+      offset: track.offset || 0,
+      cues: null,
+      url: track.src || '',
+      chunks: []
+    };
+  });
+  this.activeTrackIndex = cc.active == null ? -1 : cc.active;
+  if (cc.style) {
+    this.style = CaptionStyle.fromMessage(cc.style);
+  }
+  this.renderTracks();
+  this.renderStyle();
+  this.showMetadata(customData && customData.payload);
+  if (this.messageBus) {
+    this.messageBus.broadcast(CaptionProtocol.status(this.getStatus()));
+  }
+};
+
+/**
+ * Check a message of the caption namespace, follow it and answer it
+ * @param {Object} event {senderId, data}
+ */
+CaptionReceiver.prototype.onBusMessage = function(event) {
+  var request = event.data;
+  var error = CaptionProtocol.validateRequest(request);
+  if (error) {
+    console.warn('Refused a caption message: ' + error.message);
+    this.messageBus.send(event.senderId, CaptionProtocol.error(request, error, this.getStatus()));
+    return;
+  }
+  this.onMessage(request, function(error) {
+    if (request.version === undefined) {
+      // senders older than the protocol expect no reply
+      return;
+    }
+    this.messageBus.send(event.senderId, error ?
+      CaptionProtocol.error(request, error, this.getStatus()) :
+      CaptionProtocol.ack(request, this.getStatus()));
+  }.bind(this));
+};
+
+/**
+ * Follow a message of the caption namespace
+ * @param {Object} message A valid message {type, ...}
+ * @param {function} callback Called once followed, with an error {code, message} if it could not be
+ */
+CaptionReceiver.prototype.onMessage = function(message, callback) {
+  switch (message.type) {
+    case 'ENABLE_CC':
+      if (!this.tracks[message.trackNumber]) {
+        callback({code: CaptionProtocol.ERROR.NO_TRACK, message: 'There is no track ' + message.trackNumber});
+        return;
+      }
+      this.showTrack(message.trackNumber);
+      break;
+    case 'DISABLE_CC':
+      this.showTrack(-1);
+      break;
+    case 'NORMAL_FONT':
+    case 'YELLOW_FONT':
+    case 'LARGE_FONT':
+      this.setStyle(CaptionStyle.preset(FONT_MESSAGES[message.type]));
+      break;
+    case 'SET_STYLE':
+      this.setStyle(CaptionStyle.fromMessage(message.style || {}));
+      break;
+    case 'SUBTITLE_OFFSET':
+      this.setOffset(message.trackNumber, message.offset, callback);
+      return;
+    case 'SET_METADATA':
+      this.showMetadata(message.payload);
+      break;
+    case 'SUBTITLE_DATA':
+      this.addTrackData(message, callback);
+      return;
+    default:
+      // GET_STATUS, the reply has it
+      break;
+  }
+  callback(null);
+};
+
+/**
+ * @return {Object} What the TV shows {contentId, activeTrackIndex, offset, style}
+ */
+CaptionReceiver.prototype.getStatus = function() {
+  var track = this.tracks[this.activeTrackIndex];
+  return {
+    contentId: this.contentId || null,
+    activeTrackIndex: this.activeTrackIndex,
+    offset: track ? track.offset : 0,
+    style: this.style.toMessage().style
+  };
+};
+
+/**
+ * @param {Number} trackIndex Index of the track, -1 to turn captions off
+ */
+CaptionReceiver.prototype.showTrack = function(trackIndex) {
+  this.activeTrackIndex = this.tracks[trackIndex] ? trackIndex : -1;
+  this.renderTracks();
+};
+
+/**
+ * @param {CaptionStyle} style How captions look from now on
+ */
+CaptionReceiver.prototype.setStyle = function(style) {
+  this.style = style;
+  this.renderStyle();
+};
+
+/**
+ * Shift the cues of a track
+ * The sender sends the whole offset; the cues are taken from the src of the
+ * load, which may already be shifted by baseOffset after a reload
+ * @param {Number} trackIndex Index of the track
+ * @param {Number} offset Seconds, positive to show subtitles later
+ * @param {function} opt_callback Called once shifted, with an error {code, message} if the cues could not be read
+ */
+CaptionReceiver.prototype.setOffset = function(trackIndex, offset, opt_callback) {
+  var track = this.tracks[trackIndex];
+  var callback = opt_callback || function() {};
+  if (!track) {
+    callback({code: CaptionProtocol.ERROR.NO_TRACK, message: 'There is no track ' + trackIndex});
+    return;
+  }
+  if (!track.cues && !track.src) {
+    callback({code: CaptionProtocol.ERROR.SUBTITLE_ERROR, message: 'The cues of track ' + trackIndex + ' did not arrive yet'});
+    return;
+  }
+  if (!track.cues) {
+    SubtitleConverter.fetch(track.src, function(result) {
+      track.cues = result.cues;
+      this.setOffset(trackIndex, offset, callback);
+    }.bind(this), function(e) {
+      console.error('Could not shift ' + track.src + ': ' + e.message);
+      callback({code: CaptionProtocol.ERROR.SUBTITLE_ERROR, message: e.message});
+    });
+    return;
+  }
+  track.offset = offset;
+  if (track.url != track.src) {
+    URL.revokeObjectURL(track.url);
+  }
+  track.url = offset == track.baseOffset ? track.src : SubtitleConverter.toBlobUrl(
+    SubtitleConverter.toWebVtt(SubtitleConverter.shiftCues(track.cues, offset - track.baseOffset)));
+  this.renderTracks();
+  callback(null);
+};
+
+/**
+ * Take a part of the cues of a track picked in the sender; once all parts
+ * are there the track shows them, shifted by its offset
+ * @param {Object} message A SUBTITLE_DATA message {contentId, trackNumber, index, count, data}
+ * @param {function} callback Called once taken, with an error {code, message} if it could not be
+ */
+CaptionReceiver.prototype.addTrackData = function(message, callback) {
+  var track = this.tracks[message.trackNumber];
+  if (message.contentId != this.contentId || !track || track.src) {
+    callback({code: CaptionProtocol.ERROR.NO_TRACK, message: 'Track ' + message.trackNumber + ' of ' + message.contentId + ' is not waiting for cues'});
+    return;
+  }
+  track.chunks[message.index] = message.data;
+  if (Object.keys(track.chunks).length < message.count) {
+    callback(null);
+    return;
+  }
+  var vtt = track.chunks.join('');
+  track.chunks = [];
+  try {
+    track.cues = SubtitleConverter.convert(vtt, 'subtitles.vtt').cues;
+  }
+  catch (e) {
+    callback({code: CaptionProtocol.ERROR.SUBTITLE_ERROR, message: e.message});
+    return;
+  }
+  track.src = track.url = SubtitleConverter.toBlobUrl(vtt);
+  this.setOffset(message.trackNumber, track.offset, callback);
+};
+
+/**
+ * Show the title and poster of what plays while idle and paused
+ * @param {Object} payload {title, subtitle, thumb, backdrop}, or null to show nothing
+ */
+CaptionReceiver.prototype.showMetadata = function(payload) {
+  this.payload = payload || null;
+  if (this.payload) {
+    var image = this.payload.backdrop || this.payload.thumb;
+    this.elements.metadata.style.backgroundImage = image ? 'url(' + JSON.stringify(image) + ')' : 'none';
+    this.elements.thumb.src = this.payload.thumb || '';
+    this.elements.thumb.style.display = this.payload.thumb ? 'block' : 'none';
+    this.elements.title.textContent = this.payload.title || '';
+    this.elements.subtitle.textContent = this.payload.subtitle || '';
+  }
+  this.renderMetadata();
+};
+
+/**
+ * The idle and pause screen covers the video when it does not play
+ */
+CaptionReceiver.prototype.renderMetadata = function() {
+  var shown = !!this.payload && this.video.paused;
+  this.elements.metadata.style.display = shown ? 'block' : 'none';
+};
+
+/**
+ * Put a <track> per subtitle track in the video, only the active one shown
+ * The elements are rebuilt rather than changed, a <track> keeps its cues
+ * when its src changes
+ */
+CaptionReceiver.prototype.renderTracks = function() {
+  this.clearTrackElements();
+  for (var i = 0; i < this.tracks.length; i++) {
+    var element = document.createElement('track');
+    element.kind = 'subtitles';
+    if (this.tracks[i].url) {
+      element.src = this.tracks[i].url;
+    }
+    element.srclang = this.tracks[i].language;
+    element.label = this.tracks[i].label;
+    element.addEventListener('load', this.renderStyle.bind(this));
+    this.video.appendChild(element);
+  }
+  var textTracks = this.video.textTracks || [];
+  for (var i = 0; i < textTracks.length; i++) {
+    textTracks[i].mode = i == this.activeTrackIndex ? 'showing' : 'disabled';
+  }
+};
+
+/**
+ * Apply the caption style to the cues of the video
+ */
+CaptionReceiver.prototype.renderStyle = function() {
+  this.styleSheet.textContent = '::cue { ' + this.style.toCueCss() + ' }';
+  var textTracks = this.video.textTracks || [];
+  for (var i = 0; i < textTracks.length; i++) {
+    CaptionStyle.positionCues(textTracks[i], this.style.verticalPosition);
+  }
+};
+
+/**
+ * Drop the tracks of the previous media, with the blob URLs of their cues
+ */
+CaptionReceiver.prototype.clearTracks = function() {
+  for (var i = 0; i < this.tracks.length; i++) {
+    if (this.tracks[i].url != this.tracks[i].src) {
+      URL.revokeObjectURL(this.tracks[i].url);
+    }
+    if (this.tracks[i].src.indexOf('blob:') == 0) {
+      // the cues sent by the sender
+      URL.revokeObjectURL(this.tracks[i].src);
+    }
+  }
+  this.tracks = [];
+  this.clearTrackElements();
+};
+
+/**
+ * Remove the <track> elements of the video
+ */
+CaptionReceiver.prototype.clearTrackElements = function() {
+  var elements = this.video.querySelectorAll('track');
+  for (var i = 0; i < elements.length; i++) {
+    this.video.removeChild(elements[i]);
+  }
+};
+
+export { CaptionReceiver };
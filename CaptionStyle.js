@@ -0,0 +1,272 @@
+/**
+ * Key under which the caption style is kept between sessions
+ **/
+var STORAGE_KEY = 'popcorncast.captionStyle';
+
+/**
+ * Style used when nothing was saved yet
+ **/
+var DEFAULT_STYLE = {
+  'fontScale' : 1,
+  'fontFamily' : 'SANS_SERIF',
+  'foregroundColor' : '#FFFFFF',
+  'foregroundOpacity' : 1,
+  'backgroundColor' : '#000000',
+  'backgroundOpacity' : 0.5,
+  'edgeType' : 'NONE',
+  'edgeColor' : '#000000',
+  'verticalPosition' : 100
+};
+
+/**
+ * CSS font stacks for the chrome.cast.media.TextTrackFontGenericFamily values
+ **/
+var FONT_FAMILIES = {
+  'SANS_SERIF' : "Roboto, Arial, sans-serif",
+  'MONOSPACED_SANS_SERIF' : "'Droid Sans Mono', 'Lucida Console', monospace",
+  'SERIF' : "Georgia, 'Times New Roman', serif",
+  'MONOSPACED_SERIF' : "'Courier New', Courier, monospace",
+  'CASUAL' : "'Comic Sans MS', 'Coming Soon', cursive",
+  'CURSIVE' : "'Monotype Corsiva', cursive",
+  'SMALL_CAPITALS' : "Roboto, Arial, sans-serif"
+};
+
+/**
+ * Presets matching the old NORMAL_FONT, YELLOW_FONT and LARGE_FONT messages
+ **/
+var PRESETS = {
+  'NORMAL' : {},
+  'YELLOW' : {'foregroundColor' : '#FFFF00', 'backgroundOpacity' : 0, 'edgeType' : 'DROP_SHADOW'},
+  'LARGE' : {'fontScale' : 1.5}
+};
+
+/**
+ * Caption style
+ * Describes how subtitles look on the TV and on the local player:
+ *  - fontScale: 1 is the receiver default size
+ *  - fontFamily: a chrome.cast.media.TextTrackFontGenericFamily name
+ *  - foregroundColor, backgroundColor, edgeColor: #RRGGBB colours
+ *  - foregroundOpacity, backgroundOpacity: 0 to 1
+ *  - edgeType: a chrome.cast.media.TextTrackEdgeType name
+ *  - verticalPosition: percentage from the top where captions end,
+ *    100 leaves the position to the receiver
+ * @param {Object} opt_values Values overriding the defaults
+ */
+var CaptionStyle = function(opt_values) {
+  for (var key in DEFAULT_STYLE) {
+    this[key] = DEFAULT_STYLE[key];
+  }
+  this.update(opt_values || {});
+};
+
+/**
+ * Restore the caption style saved in a previous session
+ * @return {CaptionStyle}
+ */
+CaptionStyle.load = function() {
+  try {
+    return new CaptionStyle(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+  }
+  catch (e) {
+    return new CaptionStyle();
+  }
+};
+
+/**
+ * @param {string} name NORMAL, YELLOW or LARGE
+ * @return {CaptionStyle}
+ */
+CaptionStyle.preset = function(name) {
+  return new CaptionStyle(PRESETS[name] || {});
+};
+
+/**
+ * Read the style of a SET_STYLE message, as built by toMessage
+ * @param {Object} style The style of the message
+ * @return {CaptionStyle}
+ */
+CaptionStyle.fromMessage = function(style) {
+  var values = {
+    'fontScale' : style.fontScale,
+    'fontFamily' : style.fontFamily,
+    'edgeType' : style.edgeType,
+    'verticalPosition' : style.verticalPosition
+  };
+  splitAlpha(style.foregroundColor, values, 'foreground');
+  splitAlpha(style.backgroundColor, values, 'background');
+  splitAlpha(style.edgeColor, values, 'edge');
+  return new CaptionStyle(values);
+};
+
+/**
+ * Copy the known style values, converting numbers from form fields
+ * @param {Object} values Style values
+ */
+CaptionStyle.prototype.update = function(values) {
+  for (var key in DEFAULT_STYLE) {
+    if (values[key] === undefined || values[key] === '') {
+      continue;
+    }
+    this[key] = typeof DEFAULT_STYLE[key] == 'number' ? parseFloat(values[key]) : values[key];
+  }
+};
+
+/**
+ * Keep the caption style for the next session
+ */
+CaptionStyle.prototype.save = function() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+  }
+  catch (e) {
+    // storage may be disabled, the style then only lasts for this page
+  }
+};
+
+/**
+ * @return {Object} The plain style values
+ */
+CaptionStyle.prototype.toJSON = function() {
+  var values = {};
+  for (var key in DEFAULT_STYLE) {
+    values[key] = this[key];
+  }
+  return values;
+};
+
+/**
+ * Style for default receivers
+ * @return {chrome.cast.media.TextTrackStyle}
+ */
+CaptionStyle.prototype.toTextTrackStyle = function() {
+  var style = new chrome.cast.media.TextTrackStyle();
+  style.fontScale = this.fontScale;
+  style.fontGenericFamily = chrome.cast.media.TextTrackFontGenericFamily[this.fontFamily];
+  style.fontStyle = chrome.cast.media.TextTrackFontStyle.NORMAL;
+  style.foregroundColor = hexWithAlpha(this.foregroundColor, this.foregroundOpacity);
+  style.backgroundColor = hexWithAlpha(this.backgroundColor, this.backgroundOpacity);
+  style.edgeType = chrome.cast.media.TextTrackEdgeType[this.edgeType];
+  style.edgeColor = hexWithAlpha(this.edgeColor, 1);
+  return style;
+};
+
+/**
+ * Style message for our receiver on the closed captioning namespace
+ * @return {Object}
+ */
+CaptionStyle.prototype.toMessage = function() {
+  return {
+    type: 'SET_STYLE',
+    style: {
+      fontScale: this.fontScale,
+      fontFamily: this.fontFamily,
+      foregroundColor: hexWithAlpha(this.foregroundColor, this.foregroundOpacity),
+      backgroundColor: hexWithAlpha(this.backgroundColor, this.backgroundOpacity),
+      edgeType: this.edgeType,
+      edgeColor: hexWithAlpha(this.edgeColor, 1),
+      verticalPosition: this.verticalPosition
+    }
+  };
+};
+
+/**
+ * CSS declarations for ::cue, shared by the local preview and our receiver
+ * @return {string}
+ */
+CaptionStyle.prototype.toCueCss = function() {
+  var css = 'font-size: ' + Math.round(this.fontScale * 100) + '%;'
+    + ' font-family: ' + (FONT_FAMILIES[this.fontFamily] || FONT_FAMILIES['SANS_SERIF']) + ';'
+    + ' color: ' + rgba(this.foregroundColor, this.foregroundOpacity) + ';'
+    + ' background-color: ' + rgba(this.backgroundColor, this.backgroundOpacity) + ';';
+  if (this.fontFamily == 'SMALL_CAPITALS') {
+    css += ' font-variant: small-caps;';
+  }
+  var edge = rgba(this.edgeColor, 1);
+  switch (this.edgeType) {
+    case 'OUTLINE':
+      css += ' text-shadow: -1px -1px 0 ' + edge + ', 1px -1px 0 ' + edge
+        + ', -1px 1px 0 ' + edge + ', 1px 1px 0 ' + edge + ';';
+      break;
+    case 'DROP_SHADOW':
+      css += ' text-shadow: 2px 2px 3px ' + edge + ';';
+      break;
+    case 'RAISED':
+      css += ' text-shadow: 1px 1px 0 ' + edge + ';';
+      break;
+    case 'DEPRESSED':
+      css += ' text-shadow: -1px -1px 0 ' + edge + ';';
+      break;
+    default:
+      break;
+  }
+  return css;
+};
+
+/**
+ * Move cues without a position of their own to verticalPosition
+ * Cues that carry a line setting, like signs at the top, keep it
+ * @param {TextTrack} textTrack A text track of a video element
+ * @param {Number} verticalPosition Percentage from the top, 100 for the default
+ */
+CaptionStyle.positionCues = function(textTrack, verticalPosition) {
+  var cues = textTrack.cues;
+  if (!cues) {
+    return;
+  }
+  for (var i = 0; i < cues.length; i++) {
+    var cue = cues[i];
+    if (cue.originalLine === undefined) {
+      cue.originalLine = cue.line;
+      cue.originalSnapToLines = cue.snapToLines;
+    }
+    if (cue.originalLine !== 'auto') {
+      continue;
+    }
+    if (verticalPosition >= 100) {
+      cue.snapToLines = cue.originalSnapToLines;
+      cue.line = 'auto';
+    }
+    else {
+      cue.snapToLines = false;
+      cue.line = verticalPosition;
+      cue.lineAlign = 'end';
+    }
+  }
+};
+
+/**
+ * @param {string} color A #RRGGBB colour
+ * @param {Number} opacity 0 to 1
+ * @return {string} A #RRGGBBAA colour as expected by TextTrackStyle
+ */
+function hexWithAlpha(color, opacity) {
+  var alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16);
+  return color.toUpperCase() + (alpha.length < 2 ? '0' : '') + alpha.toUpperCase();
+}
+
+/**
+ * @param {string} color A #RRGGBBAA colour, or undefined to keep the default
+ * @param {Object} values Style values receiving the colour and its opacity
+ * @param {string} name foreground, background or edge
+ */
+function splitAlpha(color, values, name) {
+  if (!/^#[0-9A-Fa-f]{8}$/.test(color || '')) {
+    return;
+  }
+  values[name + 'Color'] = color.substring(0, 7).toUpperCase();
+  if (name != 'edge') {
+    values[name + 'Opacity'] = Math.round(parseInt(color.substring(7), 16) / 255 * 100) / 100;
+  }
+}
+
+/**
+ * @param {string} color A #RRGGBB colour
+ * @param {Number} opacity 0 to 1
+ * @return {string} A CSS rgba() colour
+ */
+function rgba(color, opacity) {
+  var value = parseInt(color.substring(1), 16);
+  return 'rgba(' + ((value >> 16) & 255) + ',' + ((value >> 8) & 255) + ',' + (value & 255) + ',' + opacity + ')';
+}
+
+export { CaptionStyle };
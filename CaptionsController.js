@@ -0,0 +1,344 @@
+import { CaptionProtocol } from './CaptionProtocol.js';
+
+/**
+ * Namespace of the messages our receiver listens on
+ **/
+var NAMESPACE = 'urn:x-cast:com.google.cast.sample.closecaption';
+
+/**
+ * Seconds the receiver has to acknowledge a message
+ **/
+var ACK_TIMEOUT = 5;
+
+/**
+ * Characters of WebVTT per SUBTITLE_DATA message; UTF-8 takes at most 3
+ * bytes per character, which keeps a message under the 64KB Cast limit
+ **/
+var DATA_CHUNK_LENGTH = 16 * 1024;
+
+/**
+ * Caption presets receivers know as font messages, e.g. YELLOW_FONT
+ **/
+var FONT_PRESETS = ['NORMAL', 'YELLOW', 'LARGE'];
+
+/**
+ * Captions controller
+ * Tells the receiver which subtitle track to show, how captions look and
+ * how late they run. Default receivers follow editTracksInfo, our receiver
+ * listens on the caption namespace too, so it is also told unless the
+ * receiver turns out not to speak the caption protocol, see isSupported.
+ * Nothing is sent while no media is cast. Our receiver
+ * acknowledges each message with what the TV shows, which the player then
+ * follows, see CaptionProtocol.
+ * @param {CastPlayer} player The player whose session and media are used
+ */
+var CaptionsController = function(player) {
+  // @type {CastPlayer} The player casting
+  this.player = player;
+  // @type {chrome.cast.Session} The session whose replies are listened to
+  this.session = null;
+  // @type {function} Listener of the replies, kept to remove it
+  this.messageListener = this.onMessage.bind(this);
+  // @type {Number} Id of the next message
+  this.nextRequestId = 1;
+  // @type {Object} Messages waiting for a reply by requestId {type, errorCallback, timer}
+  this.pending = {};
+  // @type {Object} The last receiver status {contentId, activeTrackIndex, offset, style}
+  this.status = null;
+  // @type {Boolean} Whether the receiver speaks the caption protocol, null until known
+  this.supported = null;
+};
+
+CaptionsController.NAMESPACE = NAMESPACE;
+
+/**
+ * Listen to the replies of the receiver of a new or joined session
+ * @param {chrome.cast.Session} session The session
+ */
+CaptionsController.prototype.attach = function(session) {
+  this.detach();
+  this.session = session;
+  this.supported = session.namespaces ? hasNamespace(session.namespaces) : null;
+  session.addMessageListener(NAMESPACE, this.messageListener);
+};
+
+/**
+ * Stop listening to the receiver, messages waiting for a reply are dropped
+ */
+CaptionsController.prototype.detach = function() {
+  for (var requestId in this.pending) {
+    clearTimeout(this.pending[requestId].timer);
+  }
+  this.pending = {};
+  this.status = null;
+  this.supported = null;
+  if (this.session) {
+    this.session.removeMessageListener(NAMESPACE, this.messageListener);
+    this.session = null;
+  }
+};
+
+/**
+ * @return {Boolean} Whether a media is cast, so there is someone to tell
+ */
+CaptionsController.prototype.isCasting = function() {
+  return !!(this.player.session && this.player.currentMediaSession);
+};
+
+/**
+ * Whether the receiver speaks the caption protocol, as told once by the
+ * namespaces of the session or else by its first reply or silence; the
+ * Default Media Receiver does not and would never acknowledge
+ * @return {Boolean} False once known unsupported, true while unknown
+ */
+CaptionsController.prototype.isSupported = function() {
+  return this.supported !== false;
+};
+
+/**
+ * Show a subtitle track, or none
+ * @param {Number} trackIndex Index of the track, -1 to turn captions off
+ * @param {Array} activeTrackIds Cast track ids to enable
+ */
+CaptionsController.prototype.showTrack = function(trackIndex, activeTrackIds) {
+  if (!this.isCasting()) {
+    return;
+  }
+  var request = new chrome.cast.media.EditTracksInfoRequest(activeTrackIds);
+  this.player.currentMediaSession.editTracksInfo(request,
+    this.onSuccess.bind(this, "tracks changed"),
+    this.onError.bind(this));
+  this.send(trackIndex < 0 ? {type: 'DISABLE_CC'} : {type: 'ENABLE_CC', trackNumber: trackIndex});
+};
+
+/**
+ * Change how captions look
+ * @param {CaptionStyle} style The caption style
+ * @param {Array} activeTrackIds Cast track ids to keep enabled
+ */
+CaptionsController.prototype.setStyle = function(style, activeTrackIds) {
+  if (!this.isCasting()) {
+    return;
+  }
+  var request = new chrome.cast.media.EditTracksInfoRequest(activeTrackIds, style.toTextTrackStyle());
+  this.player.currentMediaSession.editTracksInfo(request,
+    this.onSuccess.bind(this, "style changed"),
+    this.onError.bind(this));
+  this.send(style.toMessage());
+};
+
+/**
+ * Pick a caption preset on receivers that only know font messages
+ * @param {string} preset NORMAL, YELLOW or LARGE
+ */
+CaptionsController.prototype.setFont = function(preset) {
+  if (FONT_PRESETS.indexOf(preset) >= 0) {
+    this.send({type: preset + '_FONT'});
+  }
+};
+
+/**
+ * Delay the cues of a subtitle track
+ * @param {Number} trackIndex Index of the track
+ * @param {Number} offset Seconds, positive to show subtitles later
+ * @param {function} errorCallback Called when the receiver did not take it
+ */
+CaptionsController.prototype.setOffset = function(trackIndex, offset, errorCallback) {
+  if (this.isCasting() && !this.isSupported()) {
+    // other receivers only get the shifted track with the next load
+    errorCallback({code: 'unsupported', description: 'The receiver does not take subtitle offsets'});
+    return;
+  }
+  this.send({type: 'SUBTITLE_OFFSET', trackNumber: trackIndex, offset: offset}, errorCallback);
+};
+
+/**
+ * Send the cues of a subtitle track that has no URL the receiver could load
+ * @param {string} contentId The media the track belongs to
+ * @param {Number} trackIndex Index of the track
+ * @param {string} vtt The WebVTT of the track, as shifted by its offset
+ */
+CaptionsController.prototype.sendTrackData = function(contentId, trackIndex, vtt) {
+  var chunks = [];
+  var start = 0;
+  while (start < vtt.length) {
+    var end = Math.min(start + DATA_CHUNK_LENGTH, vtt.length);
+    var code = vtt.charCodeAt(end - 1);
+    if (end < vtt.length && code >= 0xD800 && code <= 0xDBFF) {
+      // a surrogate pair is not split between messages
+      end--;
+    }
+    chunks.push(vtt.substring(start, end));
+    start = end;
+  }
+  for (var i = 0; i < chunks.length; i++) {
+    this.send({type: 'SUBTITLE_DATA', contentId: contentId, trackNumber: trackIndex,
+      index: i, count: chunks.length, data: chunks[i]});
+  }
+};
+
+/**
+ * Ask the receiver what the TV shows, e.g. after joining a session
+ */
+CaptionsController.prototype.requestStatus = function() {
+  this.send({type: 'GET_STATUS'});
+};
+
+/**
+ * Send a message on the namespace of our receiver
+ * Other receivers are skipped silently, editTracksInfo already told them
+ * @param {Object} message A message {type, ...}
+ * @param {function} opt_errorCallback Called on failure, refusal or timeout
+ *  instead of the player error handler
+ * @return {Boolean} Whether the message was sent
+ */
+CaptionsController.prototype.send = function(message, opt_errorCallback) {
+  if (!this.isCasting() || !this.isSupported()) {
+    return false;
+  }
+  var errorCallback = opt_errorCallback || this.onError.bind(this);
+  var request = CaptionProtocol.request(this.nextRequestId++, message);
+  var error = CaptionProtocol.validateRequest(request);
+  if (error) {
+    errorCallback({description: "A caption message was not sent, " + error.message});
+    return false;
+  }
+  this.pending[request.requestId] = {
+    type: request.type,
+    errorCallback: errorCallback,
+    fallback: !!opt_errorCallback,
+    timer: setTimeout(this.onTimeout.bind(this, request.requestId), ACK_TIMEOUT * 1000)
+  };
+  this.player.session.sendMessage(NAMESPACE, request,
+    this.onSuccess.bind(this, "message sent"),
+    this.onSendError.bind(this, request.requestId));
+  return true;
+};
+
+/**
+ * Follow a message of the receiver
+ * @param {string} namespace The caption namespace
+ * @param {string} text The message, as JSON
+ */
+CaptionsController.prototype.onMessage = function(namespace, text) {
+  var reply;
+  try {
+    reply = JSON.parse(text);
+  }
+  catch (e) {
+    reply = null;
+  }
+  var error = CaptionProtocol.validateReply(reply);
+  if (error) {
+    this.player.log.warn("Ignored a receiver message: " + error.message, text);
+    return;
+  }
+  this.supported = true;
+  var request = this.settle(reply.requestId);
+  if (reply.type == 'ERROR') {
+    this.player.log.warn("The receiver refused " + (request ? request.type : "a message") + ": " + reply.message);
+    if (request) {
+      request.errorCallback({code: 'invalid_parameter', description: reply.message});
+    }
+  }
+  this.status = reply.status;
+  // replies to older messages would undo the newer ones for a moment
+  if (!Object.keys(this.pending).length) {
+    this.player.onCaptionStatus(reply.status);
+  }
+  if (reply.type == 'STATUS' && reply.status.contentId) {
+    // sent unasked when a media starts, it can take its tracks now
+    this.player.onReceiverMediaStarted(reply.status.contentId);
+  }
+};
+
+/**
+ * Stop waiting for the reply to a message
+ * @param {Number} requestId Id of the message
+ * @return {Object} The message waiting {type, errorCallback, fallback}, or null
+ */
+CaptionsController.prototype.settle = function(requestId) {
+  var request = this.pending[requestId] || null;
+  if (request) {
+    clearTimeout(request.timer);
+    delete this.pending[requestId];
+  }
+  return request;
+};
+
+/**
+ * @param {Number} requestId Id of the message not acknowledged in time
+ */
+CaptionsController.prototype.onTimeout = function(requestId) {
+  var request = this.settle(requestId);
+  if (!request) {
+    return;
+  }
+  if (this.supported === null) {
+    this.onUnsupported(request);
+    return;
+  }
+  request.errorCallback({code: 'timeout', description: request.type + ' was not acknowledged'});
+};
+
+/**
+ * @param {Number} requestId Id of the message that could not be sent
+ * @param {chrome.cast.Error} e The error
+ */
+CaptionsController.prototype.onSendError = function(requestId, e) {
+  var request = this.settle(requestId);
+  if (!request) {
+    return;
+  }
+  if (this.supported === null) {
+    this.onUnsupported(request);
+    return;
+  }
+  request.errorCallback(e);
+};
+
+/**
+ * Stop talking to a receiver that never answered on the caption namespace
+ * Messages with a fallback get it, the others were only extras to
+ * editTracksInfo and are dropped without an error
+ * @param {Object} request The first message that went unanswered {type, errorCallback, fallback}
+ */
+CaptionsController.prototype.onUnsupported = function(request) {
+  this.supported = false;
+  this.player.log.info("The receiver does not speak the caption protocol, " + request.type + " went unanswered");
+  var requests = [request];
+  for (var requestId in this.pending) {
+    requests.push(this.settle(requestId));
+  }
+  requests.forEach(function(request) {
+    if (request.fallback) {
+      request.errorCallback({code: 'unsupported', description: 'The receiver does not speak the caption protocol'});
+    }
+  });
+};
+
+/**
+ * @param {string} info What was done
+ */
+CaptionsController.prototype.onSuccess = function(info) {
+  this.player.mediaCommandSuccessCallback(info);
+};
+
+/**
+ * @param {chrome.cast.Error} e The error
+ */
+CaptionsController.prototype.onError = function(e) {
+  this.player.onError(e);
+};
+
+/**
+ * @param {Array} namespaces The namespaces of a session [{name}]
+ * @return {Boolean} Whether the caption namespace is one of them
+ */
+function hasNamespace(namespaces) {
+  return namespaces.some(function(namespace) {
+    return namespace.name == NAMESPACE;
+  });
+}
+
+export { CaptionsController };
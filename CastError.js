@@ -0,0 +1,170 @@
+import { MediaType } from './MediaType.js';
+import { ServerDiscovery } from './ServerDiscovery.js';
+
+/**
+ * Cast error codes, the values of chrome.cast.ErrorCode
+ **/
+var ERROR_CODE = {
+  'CANCEL' : 'cancel',
+  'TIMEOUT' : 'timeout',
+  'API_NOT_INITIALIZED' : 'api_not_initialized',
+  'INVALID_PARAMETER' : 'invalid_parameter',
+  'EXTENSION_NOT_COMPATIBLE' : 'extension_not_compatible',
+  'EXTENSION_MISSING' : 'extension_missing',
+  'RECEIVER_UNAVAILABLE' : 'receiver_unavailable',
+  'SESSION_ERROR' : 'session_error',
+  'CHANNEL_ERROR' : 'channel_error',
+  'LOAD_MEDIA_FAILED' : 'load_media_failed',
+  'MESSAGE_TOO_LARGE' : 'message_too_large'
+};
+
+/**
+ * What the user is told for each cast error code
+ **/
+var MESSAGES = {
+  'cancel' : 'Casting was cancelled',
+  'timeout' : 'The Chromecast did not answer in time',
+  'api_not_initialized' : 'Casting is not ready yet, try again in a moment',
+  'invalid_parameter' : 'The Chromecast refused the request',
+  'extension_not_compatible' : 'Update the Google Cast extension or Chrome to cast',
+  'extension_missing' : 'Install the Google Cast extension to cast',
+  'receiver_unavailable' : 'No Chromecast was found on this network',
+  'session_error' : 'The connection to the Chromecast failed',
+  'channel_error' : 'The connection to the Chromecast was lost',
+  'load_media_failed' : 'The Chromecast could not load the file',
+  'message_too_large' : 'The subtitles are too large to send to the Chromecast,'
+    + ' serve them from a web server such as MediaServer.js instead'
+};
+
+/**
+ * Codes of failures that may go away when tried again
+ **/
+var RETRYABLE = ['timeout', 'session_error', 'channel_error', 'load_media_failed'];
+
+/**
+ * What the user is told for each MediaError code of the local player
+ **/
+var MEDIA_ERRORS = {
+  1 : 'Loading was aborted',
+  2 : 'The file could not be downloaded',
+  3 : 'The file is damaged or uses a codec this browser cannot decode',
+  4 : 'The file could not be reached or is in a format this browser cannot play'
+};
+
+/**
+ * Codecs of release names that Chromecast generally cannot decode
+ **/
+var UNSUPPORTED_CODECS = ['x265', 'H.265', 'HEVC', 'XviD', 'DivX'];
+
+/**
+ * Cast errors
+ * Turns chrome.cast.Error objects, local player errors and failed loads
+ * into a description {code, message, retryable} the UI can show.
+ */
+var CastError = {};
+
+CastError.CODE = ERROR_CODE;
+
+/**
+ * @param {chrome.cast.Error|Error|string} e An error from a cast callback
+ * @return {Object} {code, message, retryable}; code is empty when unknown
+ */
+CastError.describe = function(e) {
+  var code = e && typeof e == 'object' ? e.code || '' : String(e || '');
+  var message = MESSAGES[code];
+  if (!message) {
+    message = e && (e.description || e.message) || 'Something went wrong while casting';
+  }
+  else if (e && e.description && code != ERROR_CODE.CANCEL) {
+    message += ' (' + e.description + ')';
+  }
+  return {
+    code: code,
+    message: message,
+    retryable: RETRYABLE.indexOf(code) >= 0
+  };
+};
+
+/**
+ * @param {chrome.cast.Error|Error|string} e An error from a cast callback
+ * @return {Boolean} Whether the user closed the cast dialog
+ */
+CastError.isCancel = function(e) {
+  return CastError.describe(e).code == ERROR_CODE.CANCEL;
+};
+
+/**
+ * @param {MediaError} error The error of a video element
+ * @return {Object} {code, message, retryable}
+ */
+CastError.describeMediaError = function(error) {
+  var code = error ? error.code : 0;
+  return {
+    code: 'media_error_' + code,
+    message: MEDIA_ERRORS[code] || 'The file could not be played',
+    retryable: code == 2
+  };
+};
+
+/**
+ * Why a media failed to load on the receiver
+ * A format Chromecast does not play and a codec it does not decode are
+ * told apart from a URL the network cannot reach; the receiver does not
+ * say which one it was, so the URL is tried from here too
+ * @param {Object} item A queued item {url, contentType, metadata}
+ * @param {function} callback Called with {code, message, retryable}
+ */
+CastError.diagnoseLoad = function(item, callback) {
+  var type = MediaType.detect(item.url, item.contentType);
+  if (type.support == 'no') {
+    callback({code: 'unsupported_format', message: MediaType.warning(type), retryable: false});
+    return;
+  }
+  ServerDiscovery.ping(item.url, function() {
+    var codec = item.metadata && item.metadata.codec;
+    var message = 'The Chromecast reached the file but could not play it';
+    if (UNSUPPORTED_CODECS.indexOf(codec) >= 0) {
+      message += ', it cannot decode ' + codec + ' video';
+    }
+    else {
+      message += ', its video or audio codec is probably not supported';
+    }
+    callback({code: 'unsupported_codec', message: message, retryable: false});
+  }, function() {
+    callback({
+      code: 'unreachable',
+      message: 'Could not reach ' + item.url + ', check that the server is running and on the same network',
+      retryable: true
+    });
+  });
+};
+
+/**
+ * Why a subtitle file could not be downloaded
+ * Browsers report a missing CORS header like a network failure, so the
+ * URL is tried again without reading the answer
+ * @param {string} url Subtitle URL
+ * @param {Error} e The download error, with the HTTP status when there was an answer
+ * @param {function} callback Called with {code, message, retryable}
+ */
+CastError.diagnoseSubtitle = function(url, e, callback) {
+  if (e.status === undefined) {
+    callback({code: 'subtitle_format', message: e.message, retryable: false});
+    return;
+  }
+  if (e.status > 0) {
+    callback({code: 'subtitle_http', message: e.message, retryable: e.status >= 500});
+    return;
+  }
+  ServerDiscovery.ping(url, function() {
+    callback({
+      code: 'subtitle_cors',
+      message: 'The server of ' + url + ' does not allow this page to read it (CORS), pick the file from your computer instead',
+      retryable: false
+    });
+  }, function() {
+    callback({code: 'subtitle_unreachable', message: 'Could not reach ' + url, retryable: true});
+  });
+};
+
+export { CastError };
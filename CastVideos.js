@@ -12,14 +12,143 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import { CaptionStyle } from './CaptionStyle.js';
+import { CaptionsController } from './CaptionsController.js';
+import { CastError } from './CastError.js';
+import { EventEmitter } from './EventEmitter.js';
+import { EventLog } from './EventLog.js';
+import { FilenameParser } from './FilenameParser.js';
+import { MediaQueue } from './MediaQueue.js';
+import { MediaType } from './MediaType.js';
+import { PlaybackClock } from './PlaybackClock.js';
+import { PlaybackHistory } from './PlaybackHistory.js';
+import { SeekBar } from './SeekBar.js';
+import { ServerDiscovery } from './ServerDiscovery.js';
+import { SubtitleArchive } from './SubtitleArchive.js';
+import { SubtitleConverter } from './SubtitleConverter.js';
+import { VolumeSlider } from './VolumeSlider.js';
 
-(function() {
-  'use strict';
+/**
+ * Seconds between two saves of the playback position
+ **/
+var HISTORY_SAVE_INTERVAL = 5;
+
+/**
+ * Seconds behind the live edge still shown as live
+ **/
+var LIVE_EDGE_TOLERANCE = 10;
+
+/**
+ * Times a media that failed to load on the receiver is tried again
+ **/
+var LOAD_RETRY_LIMIT = 3;
+
+/**
+ * Seconds before the first new try of a failed load, doubled for each
+ * following one
+ **/
+var LOAD_RETRY_DELAY = 2;
+
+/**
+ * Bytes a message to the receiver may hold
+ **/
+var MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * trackContentId of the tracks that have no URL; our receiver gets their
+ * cues in SUBTITLE_DATA messages, other receivers show an empty track
+ **/
+var EMPTY_TRACK_SRC = 'data:text/vtt,WEBVTT';
+
+/**
+ * Where the id of the last cast session is kept, to rejoin it after a reload
+ **/
+var SESSION_STORAGE_KEY = 'popcorncast.session';
+
+/**
+ * Seconds between two checks that the receiver still answers
+ **/
+var HEARTBEAT_INTERVAL = 10;
+
+/**
+ * Seconds spent rejoining a session lost to the network before playback
+ * goes back to the local player
+ **/
+var RECONNECT_TIMEOUT = 30;
+
+/**
+ * Seconds between two requests to rejoin a lost session
+ **/
+var RECONNECT_INTERVAL = 5;
+
+/**
+ * Receiver application cast to unless the options tell another, our
+ * caption receiver; chrome.cast.media.DEFAULT_MEDIA_RECEIVER_APP_ID is
+ * the default media receiver
+ **/
+var APPLICATION_ID = '33015E37';
 
 /**
- * Width of progress bar in pixel
+ * Volume change of one step, when the receiver does not tell its own
  **/
-var PROGRESS_BAR_WIDTH = 600;
+var VOLUME_STEP = 0.05;
+
+/**
+ * What the volume controls change when casting:
+ *    SESSION: the volume of the receiver, the one its remote changes too
+ *    STREAM: the volume of the media only
+ **/
+var VOLUME_MODE = {
+  'SESSION' : 'SESSION',
+  'STREAM' : 'STREAM'
+};
+
+/**
+ * Players previewing adaptive streams the browser cannot play by itself,
+ * pinned to a release and checked against its hash: bump both together
+ **/
+var STREAM_PLAYERS = {
+  'hls' : {
+    src: 'https://cdn.jsdelivr.net/npm/hls.js@1.7.3/dist/hls.min.js',
+    integrity: 'sha384-cciJ0zi8d1uMKC2zJd7jvPY4HQt7W4ByUI/FlMkltvBi31aW61rcpVBhpmW8/NwX',
+    global: 'Hls'
+  },
+  'dash' : {
+    src: 'https://cdn.jsdelivr.net/npm/dashjs@4.7.4/dist/dash.all.min.js',
+    integrity: 'sha384-fl7i8WZxcPlF9b1503+Gm+izr/2hpilydj0i/DlQTIafROZ1NP4rAWjyl6p3s1ev',
+    global: 'dashjs'
+  }
+};
+
+/**
+ * Labels of the subtitle languages offered in the track picker
+ **/
+var LANGUAGES = {
+  'pt-BR' : 'Português (Brasil)',
+  'pt' : 'Português',
+  'en' : 'English',
+  'es' : 'Español',
+  'fr' : 'Français',
+  'de' : 'Deutsch',
+  'it' : 'Italiano',
+  'nl' : 'Nederlands',
+  'ru' : 'Русский'
+};
+
+/**
+ * Language tokens found in subtitle file names, e.g. Movie.pt-BR.srt or Movie.eng.srt
+ **/
+var LANGUAGE_TOKENS = {
+  'ptbr' : 'pt-BR', 'pob' : 'pt-BR', 'brazilian' : 'pt-BR',
+  'pt' : 'pt', 'por' : 'pt', 'portuguese' : 'pt',
+  'en' : 'en', 'eng' : 'en', 'english' : 'en',
+  'es' : 'es', 'spa' : 'es', 'spanish' : 'es',
+  'fr' : 'fr', 'fre' : 'fr', 'fra' : 'fr', 'french' : 'fr',
+  'de' : 'de', 'ger' : 'de', 'deu' : 'de', 'german' : 'de',
+  'it' : 'it', 'ita' : 'it', 'italian' : 'it',
+  'nl' : 'nl', 'dut' : 'nl', 'nld' : 'nl', 'dutch' : 'nl',
+  'ru' : 'ru', 'rus' : 'ru', 'russian' : 'ru'
+};
 
 /**
  * Constatns of states for Chromecast device 
@@ -45,6 +174,22 @@ var PLAYER_STATE = {
   'ERROR' : 'ERROR'
 };
 
+/**
+ * Players of the page, in the order they were created. The Cast API takes
+ * a single configuration, set up by the first player for all of them
+ **/
+var castPlayers = [];
+
+/**
+ * Whether the Cast API finished initializing
+ **/
+var castApiReady = false;
+
+/**
+ * Number of video elements given an id by players
+ **/
+var videoCount = 0;
+
 /**
  * Cast player object
  * main variables:
@@ -56,8 +201,28 @@ var PLAYER_STATE = {
  *  - Cast player variables for controlling Cast mode media playback 
  *  - Local player variables for controlling local mode media playbacks
  *  - Current media variables for transition between Cast afnd local modes
+ * events, see EventEmitter:
+ *  - state: {deviceState, playerState} whenever either changes
+ *  - time: {time, duration, live} as the position moves, in seconds
+ *  - error: {code, message, retryable} when something failed that the user is told about
+ *  - captions: {activeTrackIndex, style, offset} when our receiver tells what the TV shows
+ * The player only renders into the elements it is given, see
+ * PlayerControls.ELEMENT_IDS for their names; without any it is headless
+ * and pages follow it through its events. A video element is created for
+ * local playback when none is given.
+ * @param {Object} opt_options {elements, applicationId, discovery}, all
+ *  optional; discovery is the ServerDiscovery of the page, one of its own
+ *  is made when omitted
  */
-var CastPlayer = function() {
+var CastPlayer = function(opt_options) {
+  EventEmitter.call(this);
+  var options = opt_options || {};
+
+  // @type {Object} Elements rendered into by name, missing ones are skipped
+  this.elements = options.elements || {};
+  // @type {string} Receiver application cast to
+  this.applicationId = options.applicationId || APPLICATION_ID;
+
   /* device variables */
   // @type {DEVICE_STATE} A state for device
   this.deviceState = DEVICE_STATE.IDLE;
@@ -65,8 +230,14 @@ var CastPlayer = function() {
   /* Cast player variables */
   // @type {Object} a chrome.cast.media.Media object
   this.currentMediaSession = null;
+  // @type {function} Status listener of currentMediaSession, kept to remove it
+  this.mediaStatusListener = null;
+  // @type {chrome.cast.media.Media} Media session whose queue is still being filled, see insertQueueItems
+  this.fillingSession = null;
   // @type {Number} volume
   this.currentVolume = 0.5;
+  // @type {VOLUME_MODE} Whether casting changes the receiver or the media volume
+  this.volumeMode = VOLUME_MODE.SESSION;
   // @type {Boolean} A flag for autoplay after load
   this.autoplay = true;
   // @type {string} a chrome.cast.Session object
@@ -83,28 +254,90 @@ var CastPlayer = function() {
   /* Current media variables */
   // @type {Boolean} Audio on and off
   this.audio = true;
+  // @type {MediaQueue} Media cast one after the other
+  this.queue = new MediaQueue();
   // @type {Number} A number for current media index
   this.currentMediaIndex = 0;
+  // @type {ServerDiscovery} Finds Popcorn Time servers and resolves their links
+  this.discovery = options.discovery || new ServerDiscovery();
+  // @type {PlaybackHistory} Playback positions of recently cast media
+  this.history = new PlaybackHistory();
+  // @type {Number} Timestamp of the last playback position save
+  this.lastHistorySave = 0;
+  // @type {Number} Index of the media waiting for a resume answer, -1 if none
+  this.resumeMediaIndex = -1;
   // @type {Number} A number for current media time
   this.currentMediaTime = 0;
   // @type {Number} A number for current media duration
   this.currentMediaDuration = -1;
-  // @type {Timer} A timer for tracking progress of media
-  this.timer = null;
-  // @type {Boolean} A boolean to stop timer update of progress when triggered by media status event 
-  this.progressFlag = true;
-  // @type {Number} A number in milliseconds for minimal progress update
-  this.timerStep = 1000;
+  // @type {Boolean} Whether the current media is a live stream
+  this.isLive = false;
+  // @type {Object} Seekable part of a live stream {start, end} in seconds
+  this.liveWindow = {start: 0, end: 0};
+  // @type {Object} hls.js or dash.js player previewing an adaptive stream
+  this.streamPlayer = null;
+  // @type {PlaybackClock} Position of the cast media between receiver status updates
+  this.clock = new PlaybackClock();
+  // @type {Number} requestAnimationFrame id of the progress loop, 0 when stopped
+  this.progressFrame = 0;
+  // @type {SeekBar} Shows and changes the position of the current media, null without one
+  this.seekBar = this.elements.seekBar ? new SeekBar(this.elements.seekBar,
+    this.seekMedia.bind(this), this.formatSeekTime.bind(this)) : null;
+  // @type {VolumeSlider} Shows and changes the volume, null without one
+  this.volumeSlider = this.elements.volumeTrack && this.elements.volumeLevel
+    ? new VolumeSlider(this.elements.volumeTrack, this.elements.volumeLevel, this.onVolumeSliderChange.bind(this))
+    : null;
+  // @type {Array} Subtitle tracks of the current media {trackId, src, localSrc, language, label, cues, offset}
+  this.textTracks = [];
+  // @type {Number} Index of the subtitle track shown, -1 when captions are off
+  this.activeTrackIndex = -1;
+  // @type {CaptionStyle} How captions look, kept between sessions
+  this.captionStyle = CaptionStyle.load();
+  // @type {CaptionsController} Tells the receiver which captions to show and how
+  this.captions = new CaptionsController(this);
+  // @type {HTMLElement} Style sheet previewing the caption style, added on first use
+  this.captionSheet = null;
+  // @type {EventLog} What happened while casting, shown in the debug panel
+  this.log = new EventLog();
+  // @type {Object} The last receiver load {mediaIndex, startTime, paused}, its failed tries and the timer of the next one
+  this.loadRetry = {request: null, attempt: 0, timer: 0};
+  // @type {Number} Interval id of the receiver checks, 0 when not casting
+  this.heartbeatTimer = 0;
+  // @type {Object} A lost session being rejoined {sessionId, time, playing, deadline, timer}, null when none
+  this.reconnect = null;
+  // @type {Object} The last state emitted {deviceState, playerState}, null before the first
+  this.emittedState = null;
 
-  this.initializeCastPlayer();
   this.initializeLocalPlayer();
+  this.initializeCastPlayer();
 };
 
+CastPlayer.prototype = Object.create(EventEmitter.prototype);
+CastPlayer.prototype.constructor = CastPlayer;
+
+CastPlayer.DEVICE_STATE = DEVICE_STATE;
+CastPlayer.PLAYER_STATE = PLAYER_STATE;
+CastPlayer.VOLUME_MODE = VOLUME_MODE;
+
 /**
  * Initialize local media player 
  */
 CastPlayer.prototype.initializeLocalPlayer = function() {
-  this.localPlayer = document.getElementById('video_element')
+  this.localPlayer = this.elements.video || document.createElement('video');
+  if( !this.localPlayer.id ) {
+    // the caption style preview selects the player by id
+    this.localPlayer.id = 'popcorncast_video_' + (++videoCount);
+  }
+  this.localPlayer.addEventListener('ended', this.onLocalMediaEnded.bind(this));
+  this.localPlayer.addEventListener('play', this.onLocalPlayerStateChange.bind(this));
+  this.localPlayer.addEventListener('pause', this.onLocalPlayerStateChange.bind(this));
+  this.localPlayer.addEventListener('volumechange', this.syncVolume.bind(this));
+  this.localPlayer.addEventListener('error', this.onLocalPlayerError.bind(this));
+  // the progress loop stops by itself while the local player is paused or waiting
+  var events = ['playing', 'pause', 'seeked', 'waiting', 'ratechange', 'progress', 'durationchange'];
+  for( var i = 0; i < events.length; i++ ) {
+    this.localPlayer.addEventListener(events[i], this.startProgressLoop.bind(this));
+  }
 };
 
 /**
@@ -119,34 +352,80 @@ CastPlayer.prototype.initializeCastPlayer = function() {
     setTimeout(this.initializeCastPlayer.bind(this), 1000);
     return;
   }
-  // default set to the default media receiver app ID
-  // optional: you may change it to point to your own
-  // var applicationID = chrome.cast.media.DEFAULT_MEDIA_RECEIVER_APP_ID;
-  var applicationID = "33015E37";
-
-  // request session
-  var sessionRequest = new chrome.cast.SessionRequest(applicationID);
-  var apiConfig = new chrome.cast.ApiConfig(sessionRequest,
-    this.sessionListener.bind(this),
-    this.receiverListener.bind(this));
-
-  chrome.cast.initialize(apiConfig, this.onInitSuccess.bind(this), this.onError.bind(this));
-  this.initializeUI();
+  castPlayers.push(this);
+  if( castPlayers.length == 1 ) {
+    initializeCastApi(this.applicationId, this.onError.bind(this));
+  }
+  else if( castApiReady ) {
+    this.onInitSuccess();
+  }
 };
 
 /**
  * Callback function for init success 
  */
 CastPlayer.prototype.onInitSuccess = function() {
-  //console.log("init success");
+  this.log.info("Cast API ready");
   this.updateMediaControlUI();
+  // auto-join only covers this tab, a session cast from an earlier visit is asked for by id
+  var sessionId = loadStoredSessionId();
+  if( sessionId && !this.session ) {
+    chrome.cast.requestSessionById(sessionId);
+  }
 };
 
 /**
  * Generic error callback function 
+ * Logs the error and tells the user, except when they cancelled
+ * @param {chrome.cast.Error} e The error
+ */
+CastPlayer.prototype.onError = function(e) {
+  var error = CastError.describe(e);
+  if( error.code == CastError.CODE.CANCEL ) {
+    this.log.info(error.message, e);
+    return;
+  }
+  this.log.error(error.message, e);
+  this.showError(error.message);
+  this.emit('error', error);
+};
+
+/**
+ * Show an error under the player until it is dismissed
+ * @param {string} message What went wrong
+ * @param {function} opt_retryCallback Called by a retry button, no button if omitted
+ */
+CastPlayer.prototype.showError = function(message, opt_retryCallback) {
+  var element = this.elements.errorMessage;
+  if( !element ) {
+    return;
+  }
+  element.innerHTML = '';
+  var text = document.createElement('span');
+  text.textContent = message;
+  element.appendChild(text);
+  if( opt_retryCallback ) {
+    var retry = document.createElement('button');
+    retry.textContent = 'Retry';
+    retry.addEventListener('click', function() {
+      this.hideError();
+      opt_retryCallback();
+    }.bind(this));
+    element.appendChild(retry);
+  }
+  var dismiss = document.createElement('button');
+  dismiss.textContent = '\u2715';
+  dismiss.title = 'Dismiss';
+  dismiss.addEventListener('click', this.hideError.bind(this));
+  element.appendChild(dismiss);
+  element.style.display = 'block';
+};
+
+/**
+ * Hide the error shown under the player
  */
-CastPlayer.prototype.onError = function() {
-  //error
+CastPlayer.prototype.hideError = function() {
+  setShown(this.elements.errorMessage, false);
 };
 
 /**
@@ -157,17 +436,198 @@ CastPlayer.prototype.onError = function() {
  * status gets synced up with current media of the session 
  */
 CastPlayer.prototype.sessionListener = function(e) {
-  this.session = e;
-  if( this.session ) {
-    this.deviceState = DEVICE_STATE.ACTIVE;
-    if( this.session.media[0] ) {
-      this.onMediaDiscovered('activeSession', this.session.media[0]);
+  if( !e ) {
+    return;
+  }
+  if( this.reconnect && e.sessionId == this.reconnect.sessionId ) {
+    this.onReconnected(e);
+    return;
+  }
+  this.log.info("Joined the session on " + e.receiver.friendlyName, e.sessionId);
+  this.attachSession(e);
+  if( this.session.media[0] ) {
+    this.onMediaDiscovered('activeSession', this.session.media[0]);
+    this.restoreTracksFromMedia(this.session.media[0]);
+  }
+  else {
+    this.loadMedia(this.currentMediaIndex);
+  }
+}
+
+/**
+ * Start following a session: its updates, a heartbeat, and its id for
+ * rejoining it after a reload
+ * @param {chrome.cast.Session} session A new or joined session
+ */
+CastPlayer.prototype.attachSession = function(session) {
+  this.session = session;
+  this.session.addUpdateListener(this.onSessionUpdate.bind(this, session));
+  this.captions.attach(session);
+  this.deviceState = DEVICE_STATE.ACTIVE;
+  storeSessionId(session.sessionId);
+  this.startHeartbeat();
+  this.syncVolume();
+  this.updateMediaControlUI();
+};
+
+/**
+ * Check the receiver every HEARTBEAT_INTERVAL seconds while casting
+ */
+CastPlayer.prototype.startHeartbeat = function() {
+  clearInterval(this.heartbeatTimer);
+  this.heartbeatTimer = setInterval(this.checkSession.bind(this), HEARTBEAT_INTERVAL * 1000);
+};
+
+/**
+ * Stop checking the receiver
+ */
+CastPlayer.prototype.stopHeartbeat = function() {
+  clearInterval(this.heartbeatTimer);
+  this.heartbeatTimer = 0;
+};
+
+/**
+ * Find out whether the session died without telling, e.g. when the
+ * Chromecast dropped off Wi-Fi: its status says so, or its media does
+ * not answer a status request
+ */
+CastPlayer.prototype.checkSession = function() {
+  if( !this.session || this.reconnect ) {
+    return;
+  }
+  if( this.session.status == chrome.cast.SessionStatus.DISCONNECTED ) {
+    this.startReconnect("The session disconnected");
+    return;
+  }
+  if( !this.currentMediaSession ) {
+    return;
+  }
+  var session = this.session;
+  this.currentMediaSession.getStatus(null, function() {}, function(e) {
+    if( session === this.session ) {
+      this.startReconnect("The receiver did not answer: " + CastError.describe(e).message);
     }
-    else {
-      this.loadMedia(this.currentMediaIndex);
+  }.bind(this));
+};
+
+/**
+ * Try to rejoin a session lost to the network for RECONNECT_TIMEOUT
+ * seconds, showing DEVICE_STATE.WARNING meanwhile
+ * The receiver usually keeps playing, so the position estimate goes on
+ * @param {string} reason Why the session looks lost
+ */
+CastPlayer.prototype.startReconnect = function(reason) {
+  if( !this.session || this.reconnect ) {
+    return;
+  }
+  this.log.warn(reason + ", reconnecting to " + this.session.receiver.friendlyName, this.session.sessionId);
+  this.reconnect = {
+    sessionId: this.session.sessionId,
+    time: this.currentMediaSession ? this.clock.getTime() : this.currentMediaTime,
+    playing: !!this.currentMediaSession && this.clock.state != PLAYER_STATE.IDLE && this.clock.state != PLAYER_STATE.PAUSED,
+    deadline: Date.now() + RECONNECT_TIMEOUT * 1000,
+    timer: setInterval(this.requestReconnect.bind(this), RECONNECT_INTERVAL * 1000)
+  };
+  this.stopHeartbeat();
+  this.deviceState = DEVICE_STATE.WARNING;
+  this.updateMediaControlUI();
+  this.updateDisplayMessage();
+  this.requestReconnect();
+};
+
+/**
+ * Ask for the lost session again, sessionListener gets it when it is back
+ */
+CastPlayer.prototype.requestReconnect = function() {
+  if( Date.now() >= this.reconnect.deadline ) {
+    this.log.warn("Could not reconnect to the receiver");
+    this.stopReconnect();
+    return;
+  }
+  chrome.cast.requestSessionById(this.reconnect.sessionId);
+};
+
+/**
+ * Give up rejoining and continue on the local player
+ */
+CastPlayer.prototype.stopReconnect = function() {
+  if( !this.reconnect ) {
+    return;
+  }
+  clearInterval(this.reconnect.timer);
+  this.reconnect = null;
+  forgetStoredSessionId();
+  this.handOffToLocal();
+};
+
+/**
+ * The lost session is back: follow its media and subtitles again, or load
+ * the media again where it was when the receiver lost it as well
+ * @param {chrome.cast.Session} session The rejoined session
+ */
+CastPlayer.prototype.onReconnected = function(session) {
+  var reconnect = this.reconnect;
+  clearInterval(reconnect.timer);
+  this.reconnect = null;
+  this.log.info("Reconnected to " + session.receiver.friendlyName, session.sessionId);
+  this.attachSession(session);
+  if( session.media[0] ) {
+    this.onMediaDiscovered('activeSession', session.media[0]);
+    this.restoreTracksFromMedia(session.media[0]);
+  }
+  else {
+    this.loadMedia(this.currentMediaIndex, reconnect.time, !reconnect.playing);
+  }
+  this.updateDisplayMessage();
+};
+
+/**
+ * Match the subtitles of the page with a joined media
+ * After a reload the page has none, they are taken from the receiver with
+ * their offset already applied; otherwise the page choice is sent again
+ * in case it changed while the session was lost
+ * @param {chrome.cast.media.Media} media A joined media session
+ */
+CastPlayer.prototype.restoreTracksFromMedia = function(media) {
+  var item = this.queue.get(this.currentMediaIndex);
+  var tracks = media.media && media.media.tracks || [];
+  var activeIds = media.activeTrackIds || [];
+  if( !item ) {
+    return;
+  }
+  if( !item.textTracks.length ) {
+    var active = -1;
+    var loaded = media.media && media.media.customData && media.media.customData.cc || {};
+    for( var i = 0; i < tracks.length; i++ ) {
+      if( tracks[i].type != chrome.cast.media.TrackType.TEXT ) {
+        continue;
+      }
+      var index = this.addTextTrack({
+        'src' : tracks[i].trackContentId,
+        'language' : tracks[i].language,
+        'label' : tracks[i].name || languageLabel(tracks[i].language),
+        'offset' : loaded.tracks && loaded.tracks[item.textTracks.length] ? loaded.tracks[item.textTracks.length].offset : 0
+      });
+      if( activeIds.indexOf(tracks[i].trackId) >= 0 ) {
+        active = index;
+      }
     }
+    this.setActiveTrackIndex(active);
+    this.updateLocalTracks();
+    this.renderTrackPicker();
+    this.updateSubtitleOffsetUI();
+    this.captions.requestStatus();
+    return;
   }
-}
+  var ids = this.getActiveTrackIds();
+  if( ids.join() != activeIds.join() ) {
+    this.setCaptions(this.activeTrackIndex);
+  }
+  var track = this.textTracks[this.activeTrackIndex];
+  if( track && track.offset ) {
+    this.setSubtitleOffset(track.offset);
+  }
+};
 
 /**
  * @param {string} e Receiver availability
@@ -192,9 +652,7 @@ CastPlayer.prototype.receiverListener = function(e) {
 CastPlayer.prototype.launchApp = function() {
   //console.log("launching app...");
   chrome.cast.requestSession(this.onRequestSessionSuccess.bind(this), this.onLaunchError.bind(this));
-  if( this.timer ) {
-    clearInterval(this.timer);
-  }
+  this.stopProgressLoop();
 };
 
 /**
@@ -202,25 +660,122 @@ CastPlayer.prototype.launchApp = function() {
  * @param {Object} e A chrome.cast.Session object
  */
 CastPlayer.prototype.onRequestSessionSuccess = function(e) {
-  //console.log("session success: " + e.sessionId);
-  this.session = e;
-  this.deviceState = DEVICE_STATE.ACTIVE;
+  this.log.info("Connected to " + e.receiver.friendlyName, e.sessionId);
+  this.hideError();
+  this.attachSession(e);
+  this.handOffToCast();
+};
+
+/**
+ * Callback function for session updates, playback goes back to the local
+ * player when the receiver app stopped and the session is rejoined when
+ * the connection was lost
+ * @param {chrome.cast.Session} session The session the listener was added to
+ * @param {Boolean} isAlive False once the session ended
+ */
+CastPlayer.prototype.onSessionUpdate = function(session, isAlive) {
+  if( session !== this.session ) {
+    return;
+  }
+  if( !isAlive && session.status == chrome.cast.SessionStatus.STOPPED ) {
+    this.log.info("The receiver app stopped on " + session.receiver.friendlyName, session.sessionId);
+    forgetStoredSessionId();
+    this.handOffToLocal();
+  }
+  else if( !isAlive ) {
+    this.startReconnect("Disconnected from " + session.receiver.friendlyName);
+  }
+  else {
+    // e.g. the receiver volume changed from its remote
+    this.syncVolume();
+  }
+};
+
+/**
+ * Continue local playback on the receiver: the media, position, paused
+ * state, volume, mute and subtitle track carry over
+ * A media never played locally starts from its resume position and plays
+ */
+CastPlayer.prototype.handOffToCast = function() {
+  var played = this.localPlayer.played.length > 0;
+  var startTime = played ? this.localPlayer.currentTime : undefined;
+  var paused = played && this.localPlayer.paused;
+  if( !this.localPlayer.paused ) {
+    this.localPlayer.pause();
+  }
+  this.localPlayerState = PLAYER_STATE.PAUSED;
+  // in stream mode the media gets the volume once the receiver created it
+  this.currentVolume = this.localPlayer.volume;
+  this.audio = !this.localPlayer.muted;
+  this.loadMedia(this.currentMediaIndex, startTime, paused);
+};
+
+/**
+ * Continue playback on the local player after the receiver stopped or
+ * disconnected, from the last position it reported with the same
+ * subtitle track, playing if it was playing
+ */
+CastPlayer.prototype.handOffToLocal = function() {
+  if( !this.session ) {
+    return;
+  }
+  var media = this.currentMediaSession;
+  var time = media ? this.clock.getTime() : this.currentMediaTime;
+  var playing = !!media && this.clock.state != PLAYER_STATE.IDLE && this.clock.state != PLAYER_STATE.PAUSED;
+  this.syncVolume();
+  this.savePlaybackPosition(time);
+
+  this.stopHeartbeat();
+  this.captions.detach();
+  this.session = null;
+  this.setMediaSession(null);
+  this.deviceState = DEVICE_STATE.IDLE;
+  this.castPlayerState = PLAYER_STATE.IDLE;
+  this.clock.sync(0, 1, PLAYER_STATE.IDLE);
+  this.stopProgressLoop();
   this.updateMediaControlUI();
-  this.loadMedia(this.currentMediaIndex);
+
+  var item = this.queue.get(this.currentMediaIndex);
+  if( !item ) {
+    return;
+  }
+  this.setCurrentMedia(this.currentMediaIndex);
+  this.setVolume(this.currentVolume, !this.audio);
+  var onLoaded = function() {
+    this.localPlayer.removeEventListener('loadedmetadata', onLoaded);
+    this.onMediaLoadedLocally(this.isLive ? 0 : time);
+    if( playing ) {
+      this.playMediaLocally();
+    }
+  }.bind(this);
+  this.localPlayer.addEventListener('loadedmetadata', onLoaded);
+  this.localPlayer.style.display = 'block';
+  this.setLocalSource(item);
 };
 
 /**
  * Callback function for launch error
+ * Closing the cast dialog is not an error, the page stays in local mode
+ * @param {chrome.cast.Error} e The error
  */
-CastPlayer.prototype.onLaunchError = function() {
-  //console.log("launch error");
+CastPlayer.prototype.onLaunchError = function(e) {
+  var error = CastError.describe(e);
+  if( error.code == CastError.CODE.CANCEL ) {
+    this.log.info(error.message, e);
+    return;
+  }
+  this.log.error("Could not start casting: " + error.message, e);
   this.deviceState = DEVICE_STATE.ERROR;
+  this.showError(error.message, error.retryable ? this.launchApp.bind(this) : undefined);
+  this.emit('error', error);
+  this.updateMediaControlUI();
 };
 
 /**
  * Stops the running receiver application associated with the session.
  */
 CastPlayer.prototype.stopApp = function() {
+  forgetStoredSessionId();
   if (this.session) {
     this.session.stop(this.onStopAppSuccess.bind(this, 'Session stopped'), this.onError.bind(this));    
   }
@@ -231,70 +786,210 @@ CastPlayer.prototype.stopApp = function() {
  */
 CastPlayer.prototype.onStopAppSuccess = function(message) {
   //console.log(message);
-  this.deviceState = DEVICE_STATE.IDLE;
-  this.castPlayerState = PLAYER_STATE.IDLE;
-  this.currentMediaSession = null;
-  clearInterval(this.timer);
-  this.updateDisplayMessage();
-  this.updateMediaControlUI();
+  this.handOffToLocal();
 };
 
 /**
- * Loads media into a running receiver application
+ * Loads the media queue into a running receiver application
+ * Only the media to play is in the load request, which has to fit in one
+ * message; the rest of the queue follows once it plays, so the receiver
+ * advances on its own, even after this page is closed
  * @param {Number} mediaIndex An index number to indicate current media content
+ * @param {Number} opt_currentTime A position in seconds to start playback from
+ * @param {Boolean} opt_paused True to load the media paused, whatever autoplay says
  */
-CastPlayer.prototype.loadMedia = function(mediaIndex) {
+CastPlayer.prototype.loadMedia = function(mediaIndex, opt_currentTime, opt_paused) {
   if (!this.session) {
     //console.log("no session");
     return;
   }
+  if( !this.queue.get(mediaIndex) ) {
+    return;
+  }
   //console.log("loading...");
-  var mediaInfo = new chrome.cast.media.MediaInfo(video_link);
-  var ext = video_link.split('.').pop();
-  var exts = ['mkv','webm','mp4','jpeg','jpg','gif','png','bmp','webp'];
-  var is_valid = exts.indexOf(ext);
-  if (is_valid > 0) {
-    mediaInfo.contentType = getContentType(video_link);
-  } else {
-    mediaInfo.contentType = 'video/mp4';
-  }
-  mediaInfo.metadata = new chrome.cast.media.MovieMediaMetadata({metadata: 0});
-  mediaInfo.metadata.images = [{'url': 'http://getpopcornti.me/images/bye.jpg'}];
-  mediaInfo.metadata.metadataType = 0;
-  mediaInfo.metadata.subtitle = video_link;
-  mediaInfo.metadata.title = 'PopcornCast';
-  var request = new chrome.cast.media.LoadRequest(mediaInfo);
-  request.autoplay = this.autoplay;
-  if( this.localPlayerState == PLAYER_STATE.PLAYING ) {
-    request.currentTime = this.localPlayer.currentTime;
+  var startTime = 0;
+  if( opt_currentTime !== undefined ) {
+    startTime = opt_currentTime;
+  }
+  else if( this.localPlayerState == PLAYER_STATE.PLAYING ) {
+    startTime = this.localPlayer.currentTime;
   }
   else {
-    request.currentTime = 0;
-  } 
+    startTime = this.queue.get(mediaIndex).startTime;
+  }
 
- var payload = {
-    "title:" : 'PopcornCast',
-    "thumb" : 'http://getpopcornti.me/images/bye.jpg'
-  };
+  var queueItem = this.buildQueueItem(mediaIndex, startTime);
+  if( opt_paused ) {
+    queueItem.autoplay = false;
+  }
+  var request = new chrome.cast.media.QueueLoadRequest([queueItem]);
+  request.startIndex = 0;
+  request.repeatMode = chrome.cast.media.RepeatMode.OFF;
+  if( !this.checkMessageSize(request, this.queue.get(mediaIndex)) ) {
+    return;
+  }
+  if( !this.captions.isSupported() && this.queue.get(mediaIndex).textTracks.some(function(track) { return !track.src; }) ) {
+    this.log.warn("This receiver cannot get subtitles converted in the browser, serve them next to the video with MediaServer.js");
+  }
 
-  // specify the closed captioning tracks
-  var json = {
-    "payload" : payload,
-        cc: {
-      tracks: [{
-        src: 'legenda.vtt'
-      }],
-      active: 0
+  // a new try of the same media keeps counting the failed ones
+  clearTimeout(this.loadRetry.timer);
+  if( !this.loadRetry.request || this.loadRetry.request.mediaIndex != mediaIndex ) {
+    this.loadRetry.attempt = 0;
+  }
+  var load = {mediaIndex: mediaIndex, startTime: startTime, paused: !!opt_paused};
+  this.loadRetry.request = load;
+  this.log.info("Loading " + this.queue.get(mediaIndex).title + " at " + formatTime(startTime), this.queue.get(mediaIndex).url);
+
+  this.setCurrentMedia(mediaIndex);
+  this.castPlayerState = PLAYER_STATE.LOADING;
+  this.session.queueLoad(request,
+    this.onQueueLoaded.bind(this, opt_paused ? 'loadMediaPaused' : 'loadMedia'),
+    this.onLoadMediaError.bind(this, load));
+
+};
+
+/**
+ * Callback function for loadMedia success, the rest of the queue follows
+ * @param {string} how 'loadMedia' or 'loadMediaPaused'
+ * @param {chrome.cast.media.Media} mediaSession The new media session
+ */
+CastPlayer.prototype.onQueueLoaded = function(how, mediaSession) {
+  this.onMediaDiscovered(how, mediaSession);
+  this.fillingSession = mediaSession;
+  this.insertQueueItems(mediaSession, 0);
+};
+
+/**
+ * Add the queued media the receiver does not have yet, from a position on
+ * Each request holds as many consecutive media as fit in one message and
+ * the next one is sent once the receiver took it
+ * @param {chrome.cast.media.Media} mediaSession The media session to add them to
+ * @param {Number} mediaIndex Position in the queue to start from
+ */
+CastPlayer.prototype.insertQueueItems = function(mediaSession, mediaIndex) {
+  if( mediaSession !== this.currentMediaSession ) {
+    return;
+  }
+  while( mediaIndex < this.queue.size() && this.queue.get(mediaIndex).castItemId !== null ) {
+    mediaIndex++;
+  }
+  if( mediaIndex >= this.queue.size() ) {
+    if( this.fillingSession === mediaSession ) {
+      this.fillingSession = null;
     }
-  };
+    return;
+  }
 
-  request.customData = json;
+  var items = [];
+  var request = new chrome.cast.media.QueueInsertItemsRequest(items);
+  var end = mediaIndex;
+  while( end < this.queue.size() && this.queue.get(end).castItemId === null ) {
+    items.push(this.buildQueueItem(end, 0));
+    if( items.length > 1 && JSON.stringify(request).length > MAX_MESSAGE_SIZE ) {
+      items.pop();
+      break;
+    }
+    end++;
+  }
+  // inserted before the next media the receiver has, appended if none
+  for( var i = end; i < this.queue.size(); i++ ) {
+    if( this.queue.get(i).castItemId !== null ) {
+      request.insertBefore = this.queue.get(i).castItemId;
+      break;
+    }
+  }
+  if( !this.checkMessageSize(request, this.queue.get(mediaIndex)) ) {
+    // this media stays on the page only
+    this.insertQueueItems(mediaSession, end);
+    return;
+  }
+  mediaSession.queueInsertItems(request, function() {
+    this.log.info("Added " + items.length + " media to the receiver queue");
+    if( mediaSession === this.currentMediaSession ) {
+      this.syncQueueFromMedia();
+    }
+    this.insertQueueItems(mediaSession, end);
+  }.bind(this), function(e) {
+    if( this.fillingSession === mediaSession ) {
+      this.fillingSession = null;
+    }
+    this.onError(e);
+  }.bind(this));
+};
 
-  this.castPlayerState = PLAYER_STATE.LOADING;
-  this.session.loadMedia(request,
-    this.onMediaDiscovered.bind(this, 'loadMedia'),
-    this.onLoadMediaError.bind(this));
+/**
+ * Report a request too large for the receiver instead of sending it, the
+ * Cast channel would drop it without telling why
+ * @param {Object} request A request for the receiver
+ * @param {Object} item The queued item it is for
+ * @return {Boolean} Whether the request can be sent
+ */
+CastPlayer.prototype.checkMessageSize = function(request, item) {
+  var size = JSON.stringify(request).length;
+  if( size <= MAX_MESSAGE_SIZE ) {
+    return true;
+  }
+  var error = CastError.describe(CastError.CODE.MESSAGE_TOO_LARGE);
+  this.log.error("Did not send " + Math.round(size / 1024) + " KB for " + item.title + ": " + error.message);
+  this.showLoadError(item, error.message);
+  this.showError(error.message);
+  this.emit('error', error);
+  return false;
+};
+
+/**
+ * Build the MediaInfo of a queued item
+ * @param {Number} mediaIndex Position of the item in the queue
+ * @return {chrome.cast.media.MediaInfo}
+ */
+CastPlayer.prototype.buildMediaInfo = function(mediaIndex) {
+  var item = this.queue.get(mediaIndex);
+  var mediaInfo = new chrome.cast.media.MediaInfo(item.url);
+  // Popcorn Time links have no extension, its streamer mostly serves mp4
+  mediaInfo.contentType = MediaType.detect(item.url, item.contentType).contentType || 'video/mp4';
+  mediaInfo.streamType = item.live ? chrome.cast.media.StreamType.LIVE : chrome.cast.media.StreamType.BUFFERED;
+  mediaInfo.metadata = item.metadata.toCastMetadata();
+  mediaInfo.tracks = this.buildCastTracks(item.textTracks);
+  mediaInfo.textTrackStyle = this.captionStyle.toTextTrackStyle();
+
+  // the receiver reads the tracks from mediaInfo.tracks
+  var tracks = [];
+  for( var i = 0; i < item.textTracks.length; i++ ) {
+    tracks.push({
+      // seconds the src is already shifted by, for SUBTITLE_OFFSET messages
+      offset: item.textTracks[i].offset,
+      // the cues follow in SUBTITLE_DATA messages, see onReceiverMediaStarted
+      chunked: !item.textTracks[i].src
+    });
+  }
+  mediaInfo.customData = {
+    "payload" : item.metadata.toPayload(),
+        cc: {
+      tracks: tracks,
+      active: item.activeTrackIndex >= 0 ? item.activeTrackIndex : null,
+      style: this.captionStyle.toMessage().style
+    }
+  };
+  return mediaInfo;
+};
 
+/**
+ * Build the receiver queue entry of a queued item
+ * @param {Number} mediaIndex Position of the item in the queue
+ * @param {Number} startTime A position in seconds to start playback from
+ * @return {chrome.cast.media.QueueItem}
+ */
+CastPlayer.prototype.buildQueueItem = function(mediaIndex, startTime) {
+  var item = this.queue.get(mediaIndex);
+  var queueItem = new chrome.cast.media.QueueItem(this.buildMediaInfo(mediaIndex));
+  queueItem.autoplay = this.autoplay;
+  if( !item.live ) {
+    // live streams start at the live edge
+    queueItem.startTime = startTime;
+  }
+  queueItem.activeTrackIds = this.getActiveTrackIds(item.textTracks, item.activeTrackIndex);
+  return queueItem;
 };
 
 /**
@@ -302,10 +997,12 @@ CastPlayer.prototype.loadMedia = function(mediaIndex) {
  * @param {Object} mediaSession A new media object.
  */
 CastPlayer.prototype.onMediaDiscovered = function(how, mediaSession) {
-  //console.log("new media session ID:" + mediaSession.mediaSessionId + ' (' + how + ')');
-  this.currentMediaSession = mediaSession;
-  if( how == 'loadMedia' ) {
-    if( this.autoplay ) {
+  this.log.info("Media session " + mediaSession.mediaSessionId + " (" + how + ")");
+  this.setMediaSession(mediaSession);
+  if( how == 'loadMedia' || how == 'loadMediaPaused' ) {
+    this.loadRetry.attempt = 0;
+    this.hideError();
+    if( this.autoplay && how != 'loadMediaPaused' ) {
       this.castPlayerState = PLAYER_STATE.PLAYING;
     }
     else {
@@ -318,35 +1015,18 @@ CastPlayer.prototype.onMediaDiscovered = function(how, mediaSession) {
     this.currentMediaTime = this.session.media[0].currentTime; 
   }
 
-  if( this.castPlayerState == PLAYER_STATE.PLAYING ) {
-    // start progress timer
-    this.startProgressTimer(this.incrementMediaTime);
-  }
-
-  this.currentMediaSession.addUpdateListener(this.onMediaStatusUpdate.bind(this));
-
-  this.currentMediaDuration = this.currentMediaSession.media.duration;
-  var duration = this.currentMediaDuration;
-  var hr = parseInt(duration/3600);
-  duration -= hr * 3600;
-  var min = parseInt(duration/60);
-  var sec = parseInt(duration % 60);
-  if ( hr > 0 ) {
-    duration = hr + ":" + min + ":" + leftPad(sec,2);
+  this.syncQueueFromMedia();
+  this.updateStreamState();
+  this.clock.syncFromMedia(mediaSession);
+  if( how != 'activeSession' && this.volumeMode == VOLUME_MODE.STREAM ) {
+    this.setVolume(this.currentVolume, !this.audio);
   }
   else {
-    if( min > 0 ) {
-      duration = min + ":" + leftPad(sec,2);
-    }
-    else {
-      leftPad(sec,2)
-    }
+    this.syncVolume();
   }
-  document.getElementById("duration").innerHTML = duration;
 
   this.localPlayerState == PLAYER_STATE.STOPPED;
-  // start progress timer
-  this.startProgressTimer(this.incrementMediaTime);
+  this.startProgressLoop();
 
   // update UIs
   this.updateMediaControlUI();
@@ -355,92 +1035,1540 @@ CastPlayer.prototype.onMediaDiscovered = function(how, mediaSession) {
 
 /**
  * Callback function when media load returns error 
+ * Tells why the receiver could not load the media and tries again later
+ * when it may work then, up to LOAD_RETRY_LIMIT times
+ * @param {Object} load The failed load {mediaIndex, startTime, paused}
+ * @param {chrome.cast.Error} e The error
  */
-CastPlayer.prototype.onLoadMediaError = function(e) {
-  //console.log(e);
+CastPlayer.prototype.onLoadMediaError = function(load, e) {
   this.castPlayerState = PLAYER_STATE.IDLE;
   // update UIs
   this.updateMediaControlUI();
   this.updateDisplayMessage();
 
-  document.getElementById("playerstate").style.display = 'block';
-  document.getElementById("playerstatebg").style.display = 'block';
-  document.getElementById("playerstate").innerHTML = "<span class='loaded'>Error...could not load file</span><span class='vid_link'><a href='"+video_link+"'>"+video_link+"</a></span>";
+  var item = this.queue.get(load.mediaIndex);
+  var error = CastError.describe(e);
+  this.log.error("Could not load " + (item ? item.title : "media") + ": " + error.message, e);
+  if( !item || error.code == CastError.CODE.CANCEL ) {
+    return;
+  }
+  if( error.code != CastError.CODE.LOAD_MEDIA_FAILED ) {
+    this.onLoadMediaFailed(load, error);
+    return;
+  }
+  this.showLoadError(item, error.message + ', checking why\u2026');
+  CastError.diagnoseLoad(item, function(diagnosis) {
+    this.log.warn(diagnosis.message, diagnosis.code);
+    this.onLoadMediaFailed(load, diagnosis);
+  }.bind(this));
+};
+
+/**
+ * Show why a load failed, then try again after a delay that doubles each
+ * time, or offer to retry once LOAD_RETRY_LIMIT tries failed
+ * Nothing happens when another load started in the meantime
+ * @param {Object} load The failed load {mediaIndex, startTime, paused}
+ * @param {Object} error {code, message, retryable}
+ */
+CastPlayer.prototype.onLoadMediaFailed = function(load, error) {
+  var item = this.queue.get(load.mediaIndex);
+  if( load !== this.loadRetry.request || !this.session || !item ) {
+    return;
+  }
+  if( error.retryable && this.loadRetry.attempt < LOAD_RETRY_LIMIT ) {
+    var delay = LOAD_RETRY_DELAY * Math.pow(2, this.loadRetry.attempt);
+    this.loadRetry.attempt++;
+    this.showLoadError(item, error.message + '. Trying again in ' + delay + 's ('
+      + this.loadRetry.attempt + ' of ' + LOAD_RETRY_LIMIT + ')');
+    this.loadRetry.timer = setTimeout(this.retryLoadMedia.bind(this), delay * 1000);
+    return;
+  }
+  this.loadRetry.attempt = 0;
+  this.showLoadError(item, error.message);
+  this.showError(error.message, this.retryLoadMedia.bind(this));
+  this.emit('error', error);
+};
+
+/**
+ * Load the media of the last failed load again
+ */
+CastPlayer.prototype.retryLoadMedia = function() {
+  var load = this.loadRetry.request;
+  if( load && this.session ) {
+    this.loadMedia(load.mediaIndex, load.startTime, load.paused);
+  }
+};
+
+/**
+ * Show why a media could not be played over the player
+ * @param {Object} item A queued item
+ * @param {string} message What went wrong
+ */
+CastPlayer.prototype.showLoadError = function(item, message) {
+  var text = document.createElement('span');
+  text.className = 'loaded';
+  text.textContent = 'Error...' + message;
+  this.showPlayerState(text.outerHTML + "<span class='vid_link'>" + mediaLink(item, item.url) + "</span>");
+};
+
+/**
+ * The receiver stopped playing because of an error, e.g. the server went
+ * away or the file is damaged past the part it read when loading
+ * @param {chrome.cast.media.Media} media The media session
+ */
+CastPlayer.prototype.onCastMediaError = function(media) {
+  this.clock.sync(this.clock.getTime(), 1, PLAYER_STATE.IDLE);
+  this.stopProgressLoop();
+  this.castPlayerState = PLAYER_STATE.IDLE;
+  this.updateDisplayMessage();
+  var item = this.queue.get(this.currentMediaIndex);
+  var message = 'The Chromecast stopped playing because of an error';
+  this.log.error(message, {currentTime: media.currentTime, idleReason: media.idleReason});
+  if( item ) {
+    this.showLoadError(item, message);
+    this.showError(message, this.loadMedia.bind(this, this.currentMediaIndex, this.currentMediaTime));
+  }
+  this.emit('error', {code: 'media_error', message: message, retryable: true});
+};
 
+/**
+ * Follow a new media session, or none, and stop following the one it replaces
+ * @param {chrome.cast.media.Media} mediaSession The media cast, null when none is
+ */
+CastPlayer.prototype.setMediaSession = function(mediaSession) {
+  if( this.currentMediaSession && this.mediaStatusListener ) {
+    this.currentMediaSession.removeUpdateListener(this.mediaStatusListener);
+  }
+  this.currentMediaSession = mediaSession;
+  this.mediaStatusListener = null;
+  if( mediaSession ) {
+    this.mediaStatusListener = this.onMediaStatusUpdate.bind(this, mediaSession);
+    mediaSession.addUpdateListener(this.mediaStatusListener);
+  }
 };
 
 /**
  * Callback function for media status update from receiver
+ * Updates of media sessions replaced meanwhile are ignored
+ * @param {chrome.cast.media.Media} mediaSession The media session that changed
  * @param {!Boolean} e true/false
  */
-CastPlayer.prototype.onMediaStatusUpdate = function(e) {
+CastPlayer.prototype.onMediaStatusUpdate = function(mediaSession, e) {
+  if( mediaSession !== this.currentMediaSession ) {
+    return;
+  }
   if( e == false ) {
     this.currentMediaTime = 0;
     this.castPlayerState = PLAYER_STATE.IDLE;
+    this.clock.sync(0, 1, PLAYER_STATE.IDLE);
+    this.stopProgressLoop();
+  }
+  else {
+    this.syncQueueFromMedia();
+    this.updateStreamState();
+    this.syncVolume();
+    //console.log("updating media");
+    this.updateProgressBar(this.currentMediaSession);
   }
-  //console.log("updating media");
-  this.updateProgressBar(e);
   this.updateDisplayMessage();
   this.updateMediaControlUI();
 };
 
 /**
- * Helper function
- * Increment media current position by 1 second 
+ * @return {Boolean} Whether the media position is moving, in Cast or local mode
+ */
+CastPlayer.prototype.isProgressing = function() {
+  if( this.currentMediaSession ) {
+    return this.clock.isAdvancing();
+  }
+  return !this.localPlayer.paused && !this.localPlayer.ended && this.localPlayer.readyState > 2;
+};
+
+/**
+ * Read the current position, from the playback clock when casting and from
+ * the local player otherwise, and show it
+ */
+CastPlayer.prototype.updateProgress = function() {
+  this.currentMediaTime = this.currentMediaSession ? this.clock.getTime() : this.localPlayer.currentTime;
+  if( this.isLive ) {
+    this.updateLiveWindow();
+    this.updateDurationUI();
+  }
+  this.renderProgress();
+  this.emit('time', {time: this.currentMediaTime, duration: this.currentMediaDuration, live: this.isLive});
+  if( !this.isLive && this.isProgressing()
+      && Date.now() - this.lastHistorySave >= HISTORY_SAVE_INTERVAL * 1000 ) {
+    this.savePlaybackPosition();
+  }
+};
+
+/**
+ * Redraw the progress once per frame while the media position moves
+ * Calling it while the loop runs does nothing
+ */
+CastPlayer.prototype.startProgressLoop = function() {
+  if( this.progressFrame ) {
+    return;
+  }
+  this.progressFrame = requestAnimationFrame(this.onProgressFrame.bind(this));
+};
+
+/**
+ * Stop redrawing the progress
+ */
+CastPlayer.prototype.stopProgressLoop = function() {
+  if( this.progressFrame ) {
+    cancelAnimationFrame(this.progressFrame);
+    this.progressFrame = 0;
+  }
+};
+
+/**
+ * Animation frame of the progress loop, the loop ends once the media
+ * position stops moving
+ */
+CastPlayer.prototype.onProgressFrame = function() {
+  this.progressFrame = 0;
+  this.updateProgress();
+  if( this.isProgressing() ) {
+    this.startProgressLoop();
+  }
+};
+
+
+
+/**
+ * Callback when media is loaded in local player 
+ * The start time of the item is used once, later loads start over
+ * @param {Number} currentTime A number for media current position, 0 to
+ *  start from the start time of the item or leave the position as it is
+ */
+CastPlayer.prototype.onMediaLoadedLocally = function(currentTime) {
+  this.updateStreamState();
+  var item = this.queue.get(this.currentMediaIndex);
+  var startTime = currentTime || (item ? item.startTime : 0);
+  if( item ) {
+    item.startTime = 0;
+  }
+  if( !this.isLive && startTime ) {
+    this.localPlayer.currentTime= startTime;
+  }
+  this.startProgressLoop();
+
+  this.showPlayerState("<span class='loaded'>Loaded...now push play!</span><span class='vid_link'>" + mediaLink(item, item ? item.url : this.localPlayer.currentSrc) + "</span>");
+
+};
+
+/**
+ * Convert a subtitle file picked in the browser to WebVTT
+ * @param {File} file A SRT, ASS/SSA, SUB or VTT file
+ * @param {string} opt_language A language code, guessed from the file name if omitted
+ * @param {Number} opt_mediaIndex The queued media it belongs to, the current one if omitted
+ */
+CastPlayer.prototype.loadSubtitleFile = function(file, opt_language, opt_mediaIndex) {
+  var item = this.queue.get(opt_mediaIndex !== undefined ? opt_mediaIndex : this.currentMediaIndex) || null;
+  SubtitleConverter.readFile(file,
+    this.onSubtitleConverted.bind(this, opt_language || guessLanguage(file.name), item),
+    this.onSubtitleError.bind(this));
+};
+
+/**
+ * Find the queued media a subtitle file was made for, by file name
+ * @param {string} filename A subtitle file name like Show.Name.S02E05.en.srt
+ * @return {Number} Position of the media in the queue, -1 if none matches
+ */
+CastPlayer.prototype.findMediaForSubtitle = function(filename) {
+  for( var i = 0; i < this.queue.size(); i++ ) {
+    if( FilenameParser.matchesSubtitle(this.queue.get(i).url, filename) ) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Callback function for subtitle conversion success
+ * Adds the track and makes it active, see addConvertedTracks
+ * @param {string} language A language code
+ * @param {Object} item The queued item the track belongs to, null when the queue was empty
+ * @param {Object} result A converted subtitle {name, format, cues, vtt}
+ */
+CastPlayer.prototype.onSubtitleConverted = function(language, item, result) {
+  this.addConvertedTracks([{item: item, language: language, result: result}], true);
+};
+
+/**
+ * Add converted subtitles as tracks, all at once
+ * Items are kept rather than their position, which changes when the queue
+ * does; subtitles of items removed meanwhile are dropped. When casting, the
+ * current media is reloaded once at its current position and other queued
+ * media are replaced once on the receiver so it picks up the new tracks
+ * @param {Array} converted Subtitles {item, language, result}; item is the
+ *  queued item, null for the current one, result a converted subtitle {name, format, cues, vtt}
+ * @param {Boolean} show Whether the first track added to an item is shown
+ *  even when it already shows one
+ */
+CastPlayer.prototype.addConvertedTracks = function(converted, show) {
+  var touched = [];
+  var shown = [];
+  for( var i = 0; i < converted.length; i++ ) {
+    var item = converted[i].item || this.queue.get(this.currentMediaIndex) || null;
+    var mediaIndex = item ? this.queue.items.indexOf(item) : this.currentMediaIndex;
+    if( mediaIndex < 0 ) {
+      continue;
+    }
+    var index = this.addTextTrack(convertedTrack(converted[i].language, converted[i].result), mediaIndex);
+    if( touched.indexOf(item) < 0 ) {
+      touched.push(item);
+    }
+    var activeTrackIndex = item ? item.activeTrackIndex : this.activeTrackIndex;
+    if( shown.indexOf(item) >= 0 || (!show && activeTrackIndex >= 0) ) {
+      continue;
+    }
+    shown.push(item);
+    if( mediaIndex == this.currentMediaIndex ) {
+      this.setActiveTrackIndex(index);
+    }
+    else {
+      item.activeTrackIndex = index;
+    }
+  }
+  for( i = 0; i < touched.length; i++ ) {
+    mediaIndex = touched[i] ? this.queue.items.indexOf(touched[i]) : this.currentMediaIndex;
+    if( mediaIndex != this.currentMediaIndex ) {
+      this.refreshQueueItem(mediaIndex);
+      continue;
+    }
+    this.updateLocalTracks();
+    if( this.currentMediaSession ) {
+      this.loadMedia(this.currentMediaIndex, this.currentMediaTime);
+    }
+  }
+};
+
+/**
+ * Convert subtitle files and the subtitles of .zip archives and add them
+ * as tracks, each to the queued media its name matches or to the current
+ * media. They are added together once all are read, see addConvertedTracks,
+ * so the first one is shown and the media reloaded only once
+ * @param {Array} files Subtitle files and zip archives from an input or a drop event
+ * @param {string} opt_language A language code, read from each file name if omitted
  */
-CastPlayer.prototype.incrementMediaTime = function() {
-  if( this.castPlayerState == PLAYER_STATE.PLAYING || this.localPlayerState == PLAYER_STATE.PLAYING ) {
-    if( this.currentMediaTime < this.currentMediaDuration ) {
-      this.currentMediaTime += 1;
-      this.updateProgressBarByTimer();
+CastPlayer.prototype.loadSubtitleFiles = function(files, opt_language) {
+  var converted = [];
+  // one more for the loop itself, the files are read after it
+  var pending = 1;
+  var onRead = function() {
+    if( --pending == 0 && converted.length ) {
+      this.log.info("Added " + converted.length + " subtitles");
+      this.addConvertedTracks(converted, true);
+    }
+  }.bind(this);
+  var onError = function(e) {
+    this.onSubtitleError(e);
+    onRead();
+  }.bind(this);
+  for( var i = 0; i < files.length; i++ ) {
+    var file = files[i];
+    if( SubtitleArchive.isArchive(file) ) {
+      pending++;
+      SubtitleArchive.readFile(file, function(archiveName, entries, skipped) {
+        converted.push.apply(converted, this.convertSubtitleArchive(archiveName, opt_language || '', entries, skipped));
+        onRead();
+      }.bind(this, file.name), onError);
+    }
+    else if( SubtitleConverter.isSubtitleFile(file.name) ) {
+      pending++;
+      var item = this.queue.get(this.findMediaForSubtitle(file.name)) || null;
+      SubtitleConverter.readFile(file, function(language, item, result) {
+        converted.push({item: item, language: language, result: result});
+        onRead();
+      }.bind(this, opt_language || guessLanguage(file.name), item), onError);
     }
     else {
-      this.currentMediaTime = 0;
-      clearInterval(this.timer);
+      this.showError(file.name + " is not a subtitle file. Drop a link to cast a video.");
     }
   }
+  onRead();
 };
 
+/**
+ * Convert the subtitles of a read .zip archive
+ * Files that cannot be unzipped or converted are skipped with a warning
+ * @param {string} archiveName Name of the archive
+ * @param {string} language A language code, read from each file name if empty
+ * @param {Array} entries The subtitle files {name, buffer}
+ * @param {Array} skipped The files that could not be unzipped {name, error}
+ * @return {Array} Subtitles {item, language, result} for addConvertedTracks
+ */
+CastPlayer.prototype.convertSubtitleArchive = function(archiveName, language, entries, skipped) {
+  var converted = [];
+  for( var i = 0; i < skipped.length; i++ ) {
+    this.log.warn("Skipped " + skipped[i].name + " of " + archiveName + ": " + skipped[i].error.message, skipped[i].error);
+  }
+  for( i = 0; i < entries.length; i++ ) {
+    var result;
+    try {
+      result = SubtitleConverter.convert(SubtitleConverter.decode(entries[i].buffer), entries[i].name);
+    }
+    catch (e) {
+      this.log.warn("Skipped " + entries[i].name + " of " + archiveName + ": " + e.message, e);
+      continue;
+    }
+    result.name = entries[i].name;
+    converted.push({
+      item: this.queue.get(this.findMediaForSubtitle(result.name)) || null,
+      language: language || guessLanguage(result.name),
+      result: result
+    });
+  }
+  if( converted.length == 0 ) {
+    this.onSubtitleError(new Error('No subtitles could be read from ' + archiveName));
+  }
+  return converted;
+};
 
+/**
+ * Callback function when a subtitle file cannot be read or converted
+ * @param {Error} e The conversion error
+ */
+CastPlayer.prototype.onSubtitleError = function(e) {
+  this.log.error("Could not read subtitle: " + e.message, e);
+  this.showPlayerState("<span class='loaded'>Error...could not read subtitle</span><span class='vid_link'>" + e.message + "</span>");
+  this.emit('error', {code: 'subtitle_error', message: e.message, retryable: false});
+};
 
 /**
- * Callback when media is loaded in local player 
- * @param {Number} currentTime A number for media current position 
+ * Add a subtitle track to a queued media
+ * New tracks only reach the receiver with the next loadMedia
+ * @param {Object} track {src, language, label} plus optional localSrc, cues
+ *  and offset, the seconds src is already shifted by
+ * @param {Number} opt_mediaIndex The queued media, the current one if omitted
+ * @return {Number} The index of the new track
+ */
+CastPlayer.prototype.addTextTrack = function(track, opt_mediaIndex) {
+  var item = this.queue.get(opt_mediaIndex !== undefined ? opt_mediaIndex : this.currentMediaIndex);
+  var textTracks = item ? item.textTracks : this.textTracks;
+  textTracks.push({
+    'trackId' : textTracks.length + 1,
+    'src' : track.src,
+    'localSrc' : track.localSrc || track.src,
+    'language' : track.language || '',
+    'label' : track.label || languageLabel(track.language) || 'Track ' + (textTracks.length + 1),
+    'cues' : track.cues || null,
+    'offset' : track.offset || 0
+  });
+  if( textTracks === this.textTracks ) {
+    this.updateLocalTracks();
+    this.renderTrackPicker();
+  }
+  this.renderQueue();
+  return textTracks.length - 1;
+};
+
+/**
+ * Replace all subtitle tracks of the current media
+ * @param {Array} tracks A list of {src, language, label}
+ * @param {Number} opt_active Index of the track to show, none if omitted
+ */
+CastPlayer.prototype.setTextTracks = function(tracks, opt_active) {
+  this.textTracks.splice(0).forEach(releaseTrack);
+  for( var i = 0; i < tracks.length; i++ ) {
+    this.addTextTrack(tracks[i]);
+  }
+  this.setActiveTrackIndex(opt_active !== undefined ? opt_active : -1);
+  this.updateLocalTracks();
+  this.renderTrackPicker();
+};
+
+/**
+ * Build the chrome.cast.media.Track list for a MediaInfo
+ * @param {Array} textTracks Subtitle tracks of a media item
+ * @return {Array} A list of chrome.cast.media.Track objects
+ */
+CastPlayer.prototype.buildCastTracks = function(textTracks) {
+  var tracks = [];
+  for( var i = 0; i < textTracks.length; i++ ) {
+    var t = textTracks[i];
+    var track = new chrome.cast.media.Track(t.trackId, chrome.cast.media.TrackType.TEXT);
+    track.trackContentId = t.src || EMPTY_TRACK_SRC;
+    track.trackContentType = 'text/vtt';
+    track.subtype = chrome.cast.media.TextTrackType.SUBTITLES;
+    track.name = t.label;
+    track.language = t.language;
+    tracks.push(track);
+  }
+  return tracks;
+};
+
+/**
+ * @param {Array} opt_textTracks Subtitle tracks, those of the current media if omitted
+ * @param {Number} opt_activeTrackIndex Index of the shown track
+ * @return {Array} The track IDs to activate, empty when captions are off
+ */
+CastPlayer.prototype.getActiveTrackIds = function(opt_textTracks, opt_activeTrackIndex) {
+  var track = opt_textTracks ? opt_textTracks[opt_activeTrackIndex] : this.textTracks[this.activeTrackIndex];
+  return track ? [track.trackId] : [];
+};
+
+/**
+ * Show a subtitle track of the current media, -1 for none
+ * The choice is kept on the queue item so it survives switching media
+ * @param {Number} trackIndex A track index
+ */
+CastPlayer.prototype.setActiveTrackIndex = function(trackIndex) {
+  this.activeTrackIndex = trackIndex;
+  var item = this.queue.get(this.currentMediaIndex);
+  if( item ) {
+    item.activeTrackIndex = trackIndex;
+  }
+};
+
+/**
+ * Set the closed captioning track in either Cast or local mode
+ * @param {Number} trackIndex A track index, or undefined to turn captions off
+ */
+CastPlayer.prototype.setCaptions = function(trackIndex) {
+  if( trackIndex === undefined || trackIndex < 0 || trackIndex >= this.textTracks.length ) {
+    trackIndex = -1;
+  }
+  this.setActiveTrackIndex(trackIndex);
+  this.updateLocalTracks();
+  this.renderTrackPicker();
+  this.updateSubtitleOffsetUI();
+  this.captions.showTrack(trackIndex, this.getActiveTrackIds());
+};
+
+/**
+ * Delay the active subtitle track
+ * The cues are re-timed, the local player gets the shifted track and the
+ * receiver is told to shift its cues, keeping the current playback position
+ * @param {Number} offset Seconds, positive to show subtitles later
+ */
+CastPlayer.prototype.setSubtitleOffset = function(offset) {
+  var index = this.activeTrackIndex;
+  var track = this.textTracks[index];
+  if( !track ) {
+    return;
+  }
+  if( !track.cues ) {
+    this.loadTrackCues(track, this.setSubtitleOffset.bind(this, offset));
+    return;
+  }
+
+  this.shiftTrack(track, offset);
+  this.captions.setOffset(index, track.offset, this.onSubtitleOffsetError.bind(this));
+};
+
+/**
+ * Re-time the cues of a track on the page; the local player gets the
+ * shifted cues and the receiver gets them in messages from the next load
+ * on, the track has no src anymore
+ * @param {Object} track A subtitle track whose cues are loaded
+ * @param {Number} offset Seconds, positive to show subtitles later
+ */
+CastPlayer.prototype.shiftTrack = function(track, offset) {
+  track.offset = Math.round(offset * 10) / 10;
+  var vtt = SubtitleConverter.toWebVtt(SubtitleConverter.shiftCues(track.cues, track.offset));
+  track.src = '';
+  releaseTrack(track);
+  track.localSrc = SubtitleConverter.toBlobUrl(vtt);
+  this.updateLocalTracks();
+  this.updateSubtitleOffsetUI();
+};
+
+/**
+ * Download the cues of a track served by URL so they can be re-timed
+ * A src taken from the receiver may already be shifted, its cues are moved back
+ * @param {Object} track A subtitle track
+ * @param {function} callback Called once the cues are available
+ */
+CastPlayer.prototype.loadTrackCues = function(track, callback) {
+  SubtitleConverter.fetch(track.src, function(result) {
+    track.cues = track.offset ? SubtitleConverter.shiftCues(result.cues, -track.offset) : result.cues;
+    callback();
+  }, function(e) {
+    CastError.diagnoseSubtitle(track.src, e, function(error) {
+      this.onSubtitleError(new Error(error.message));
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Callback function when the receiver did not take the offset message
+ * Reloads the media with the shifted track at the current position
+ */
+CastPlayer.prototype.onSubtitleOffsetError = function() {
+  if( this.currentMediaSession ) {
+    this.loadMedia(this.currentMediaIndex, this.currentMediaTime);
+  }
+};
+
+/**
+ * Change the delay of the active subtitle track by a step
+ * @param {Number} step Seconds to add, e.g. -1, -0.1, 0.1 or 1
+ */
+CastPlayer.prototype.adjustSubtitleOffset = function(step) {
+  var track = this.textTracks[this.activeTrackIndex];
+  if( track ) {
+    this.setSubtitleOffset(track.offset + step);
+  }
+};
+
+/**
+ * Align the next subtitle line with the current playback position
+ * Press it when the line that should be on screen is heard
+ */
+CastPlayer.prototype.syncSubtitlesToNow = function() {
+  var track = this.textTracks[this.activeTrackIndex];
+  if( !track ) {
+    return;
+  }
+  if( !track.cues ) {
+    this.loadTrackCues(track, this.syncSubtitlesToNow.bind(this));
+    return;
+  }
+  var now = this.currentMediaSession ? this.currentMediaTime : this.localPlayer.currentTime;
+  for( var i = 0; i < track.cues.length; i++ ) {
+    if( track.cues[i].start + track.offset > now ) {
+      this.setSubtitleOffset(now - track.cues[i].start);
+      return;
+    }
+  }
+};
+
+/**
+ * Show the delay of the active subtitle track
+ */
+CastPlayer.prototype.updateSubtitleOffsetUI = function() {
+  var track = this.textTracks[this.activeTrackIndex];
+  var offset = track ? track.offset : 0;
+  if( this.elements.subtitleOffset ) {
+    this.elements.subtitleOffset.innerHTML = (offset > 0 ? '+' : '') + offset.toFixed(1) + 's';
+  }
+};
+
+/**
+ * Mirror the subtitle tracks on the local player, only the active one showing
+ */
+CastPlayer.prototype.updateLocalTracks = function() {
+  var old = this.localPlayer.querySelectorAll('track');
+  for( var i = 0; i < old.length; i++ ) {
+    this.localPlayer.removeChild(old[i]);
+  }
+  for( var i = 0; i < this.textTracks.length; i++ ) {
+    var track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.label = this.textTracks[i].label;
+    track.srclang = this.textTracks[i].language;
+    track.src = this.textTracks[i].localSrc;
+    track.addEventListener('load', this.previewCaptionStyle.bind(this));
+    this.localPlayer.appendChild(track);
+  }
+  var textTracks = this.localPlayer.textTracks;
+  for( var i = 0; i < textTracks.length; i++ ) {
+    textTracks[i].mode = i == this.activeTrackIndex ? 'showing' : 'disabled';
+  }
+};
+
+/**
+ * Change how captions look in either Cast or local mode
+ * @param {Object} values Caption style values to change
+ */
+CastPlayer.prototype.setCaptionStyle = function(values) {
+  this.captionStyle.update(values);
+  this.captionStyle.save();
+  this.previewCaptionStyle();
+  this.renderCaptionStyleEditor();
+  this.captions.setStyle(this.captionStyle, this.getActiveTrackIds());
+};
+
+/**
+ * Apply a caption style preset
+ * Receivers that only know font messages get the preset by name too
+ * @param {string} name NORMAL, YELLOW or LARGE
+ */
+CastPlayer.prototype.applyCaptionPreset = function(name) {
+  this.setCaptionStyle(CaptionStyle.preset(name).toJSON());
+  this.captions.setFont(name);
+};
+
+/**
+ * Follow what the TV shows, as told by our receiver after each caption
+ * message and each load; another sender may have changed it
+ * @param {Object} status {contentId, activeTrackIndex, offset, style}
+ */
+CastPlayer.prototype.onCaptionStatus = function(status) {
+  var item = this.queue.get(this.currentMediaIndex);
+  if( !item || item.url != status.contentId ) {
+    return;
+  }
+  if( status.activeTrackIndex != this.activeTrackIndex && status.activeTrackIndex < this.textTracks.length ) {
+    this.setActiveTrackIndex(status.activeTrackIndex);
+    this.updateLocalTracks();
+    this.renderTrackPicker();
+    this.updateSubtitleOffsetUI();
+  }
+  if( JSON.stringify(this.captionStyle.toMessage().style) != JSON.stringify(status.style) ) {
+    this.captionStyle = CaptionStyle.fromMessage(status.style);
+    this.previewCaptionStyle();
+    this.renderCaptionStyleEditor();
+  }
+  var track = this.textTracks[this.activeTrackIndex];
+  if( track && track.offset != status.offset ) {
+    if( track.cues ) {
+      this.shiftTrack(track, status.offset);
+    }
+    else {
+      this.loadTrackCues(track, this.shiftTrack.bind(this, track, status.offset));
+    }
+  }
+  this.emit('captions', {activeTrackIndex: this.activeTrackIndex, style: this.captionStyle.toJSON(), offset: status.offset});
+};
+
+/**
+ * Send the cues of the tracks without a src once the receiver started the
+ * media they belong to, see CaptionsController.sendTrackData
+ * @param {string} contentId The media the receiver started
+ */
+CastPlayer.prototype.onReceiverMediaStarted = function(contentId) {
+  for( var i = 0; i < this.queue.size(); i++ ) {
+    var item = this.queue.get(i);
+    if( item.url != contentId ) {
+      continue;
+    }
+    for( var j = 0; j < item.textTracks.length; j++ ) {
+      var track = item.textTracks[j];
+      if( !track.src && track.cues ) {
+        this.captions.sendTrackData(contentId, j,
+          SubtitleConverter.toWebVtt(SubtitleConverter.shiftCues(track.cues, track.offset)));
+      }
+    }
+    return;
+  }
+};
+
+/**
+ * Show the caption style on the local player
+ */
+CastPlayer.prototype.previewCaptionStyle = function() {
+  if( !this.captionSheet ) {
+    this.captionSheet = document.createElement('style');
+    document.head.appendChild(this.captionSheet);
+  }
+  this.captionSheet.textContent = '#' + this.localPlayer.id + '::cue { ' + this.captionStyle.toCueCss() + ' }';
+
+  var textTracks = this.localPlayer.textTracks;
+  for( var i = 0; i < textTracks.length; i++ ) {
+    CaptionStyle.positionCues(textTracks[i], this.captionStyle.verticalPosition);
+  }
+};
+
+/**
+ * Fill the caption style editor with the current style
+ */
+CastPlayer.prototype.renderCaptionStyleEditor = function() {
+  if( this.elements.captionStyle ) {
+    fillFields(this.elements.captionStyle, this.captionStyle.toJSON());
+  }
+};
+
+/**
+ * @return {Object} The caption style values entered in the editor
+ */
+CastPlayer.prototype.readCaptionStyleEditor = function() {
+  return this.elements.captionStyle ? readFields(this.elements.captionStyle) : {};
+};
+
+/**
+ * Render the subtitle track picker
+ */
+CastPlayer.prototype.renderTrackPicker = function() {
+  var picker = this.elements.trackPicker;
+  if( !picker ) {
+    return;
+  }
+  picker.innerHTML = '';
+  var off = document.createElement('option');
+  off.value = -1;
+  off.textContent = 'Off';
+  picker.appendChild(off);
+  for( var i = 0; i < this.textTracks.length; i++ ) {
+    var option = document.createElement('option');
+    option.value = i;
+    option.textContent = this.textTracks[i].label;
+    picker.appendChild(option);
+  }
+  picker.value = this.activeTrackIndex;
+};
+
+/**
+ * Append a media URL to the queue
+ * The first media becomes the current one, later ones are inserted
+ * into the receiver queue when casting
+ * @param {string} url Media URL
+ * @param {string} opt_title A title, derived from the URL if omitted
+ * @return {Number} Position of the new media in the queue
+ */
+CastPlayer.prototype.addToQueue = function(url, opt_title) {
+  var item = this.queue.add(url, opt_title);
+  var index = this.queue.size() - 1;
+  this.resolveMedia(item);
+  if( index == 0 ) {
+    this.selectMedia(0);
+  }
+  else if( this.currentMediaSession && this.fillingSession !== this.currentMediaSession &&
+      this.queue.get(this.currentMediaIndex).castItemId !== null ) {
+    // while the queue is being filled the new media comes with the rest
+    this.insertQueueItems(this.currentMediaSession, index);
+  }
+  this.renderQueue();
+  return index;
+};
+
+/**
+ * Ask the server behind a queued link for the file it streams and its
+ * content type, so a bare http://PopcornIP:8888 casts with the right type
+ * @param {Object} item A queued item
+ */
+CastPlayer.prototype.resolveMedia = function(item) {
+  var url = item.url;
+  this.discovery.resolve(url, function(result) {
+    var index = this.queue.items.indexOf(item);
+    if( index < 0 || item.url != url ) {
+      return;
+    }
+    this.queue.resolve(item, result.url, result.contentType);
+    this.detectLiveStream(item);
+    if( index == this.currentMediaIndex && !this.currentMediaSession && result.url != url ) {
+      this.setLocalSource(item);
+    }
+    else if( index != this.currentMediaIndex ) {
+      this.refreshQueueItem(index);
+    }
+    this.updateMediaWarning();
+    this.renderQueue();
+  }.bind(this), function(e) {
+    // keep the link as typed, the players may still manage to open it
+    this.log.warn("Could not resolve " + url, e);
+    this.detectLiveStream(item);
+  }.bind(this));
+};
+
+/**
+ * Find out from its manifest whether an adaptive stream is live
+ * @param {Object} item A queued item
+ */
+CastPlayer.prototype.detectLiveStream = function(item) {
+  var type = MediaType.detect(item.url, item.contentType);
+  if( !MediaType.isAdaptive(type) ) {
+    return;
+  }
+  var url = item.url;
+  MediaType.probeLive(url, type.kind, function(live) {
+    var index = this.queue.items.indexOf(item);
+    if( index < 0 || item.url != url || item.live == live ) {
+      return;
+    }
+    item.live = live;
+    if( index == this.currentMediaIndex ) {
+      this.updateStreamState();
+    }
+    else {
+      this.refreshQueueItem(index);
+    }
+  }.bind(this), function(e) {
+    this.log.warn("Could not read the manifest of " + url, e);
+  }.bind(this));
+};
+
+/**
+ * Point the local player at a media, through hls.js or dash.js for
+ * adaptive streams the browser cannot play by itself
+ * @param {Object} item A queued item
+ */
+CastPlayer.prototype.setLocalSource = function(item) {
+  if( this.streamPlayer ) {
+    // dash.js players are reset, hls.js ones destroyed
+    this.streamPlayer[typeof this.streamPlayer.destroy == 'function' ? 'destroy' : 'reset']();
+    this.streamPlayer = null;
+  }
+  var type = MediaType.detect(item.url, item.contentType);
+  var player = STREAM_PLAYERS[type.kind];
+  if( !player || this.localPlayer.canPlayType(type.contentType) ) {
+    this.localPlayer.src = item.url;
+    return;
+  }
+
+  var url = item.url;
+  this.localPlayer.removeAttribute('src');
+  loadScript(player, function() {
+    if( this.queue.get(this.currentMediaIndex) !== item || item.url != url || this.currentMediaSession ) {
+      return;
+    }
+    if( type.kind == 'hls' ) {
+      if( !Hls.isSupported() ) {
+        this.localPlayer.src = url;
+        return;
+      }
+      this.streamPlayer = new Hls({liveDurationInfinity: true});
+      this.streamPlayer.loadSource(url);
+      this.streamPlayer.attachMedia(this.localPlayer);
+    }
+    else {
+      this.streamPlayer = dashjs.MediaPlayer().create();
+      this.streamPlayer.initialize(this.localPlayer, url, false);
+    }
+  }.bind(this), function() {
+    this.showPlayerState("<span class='loaded'>Error...could not load the stream player</span>");
+  }.bind(this));
+};
+
+/**
+ * Work out whether the current media is a live stream and its duration
+ * Live streams report no duration, the receiver may also mark them LIVE
+ */
+CastPlayer.prototype.updateStreamState = function() {
+  var item = this.queue.get(this.currentMediaIndex);
+  var wasLive = this.isLive;
+  if( this.currentMediaSession ) {
+    var media = this.currentMediaSession.media;
+    var adaptive = item && MediaType.isAdaptive(MediaType.detect(item.url, item.contentType));
+    this.isLive = !!(item && item.live) || !!(media && (media.streamType == chrome.cast.media.StreamType.LIVE
+      || adaptive && !(media.duration > 0)));
+    if( media ) {
+      // idle receivers drop the media, the last duration is kept for the history
+      this.currentMediaDuration = media.duration;
+    }
+  }
+  else {
+    this.isLive = !!(item && item.live) || this.localPlayer.duration == Infinity;
+    this.currentMediaDuration = this.localPlayer.duration;
+  }
+  if( this.isLive ) {
+    this.currentMediaDuration = -1;
+    if( !wasLive ) {
+      this.liveWindow = {start: this.currentMediaTime, end: this.currentMediaTime};
+    }
+    this.updateLiveWindow();
+  }
+  this.updateDurationUI();
+};
+
+/**
+ * Follow the seekable window of a live stream
+ * Receivers report it as liveSeekableRange and the local player as its
+ * seekable ranges; otherwise it starts where we joined and grows with playback
+ */
+CastPlayer.prototype.updateLiveWindow = function() {
+  if( !this.isLive ) {
+    return;
+  }
+  var range = this.currentMediaSession ? this.currentMediaSession.liveSeekableRange : null;
+  var seekable = this.localPlayer.seekable;
+  if( range && range.end > range.start ) {
+    this.liveWindow = {start: range.start, end: range.end};
+  }
+  else if( !this.currentMediaSession && seekable.length ) {
+    this.liveWindow = {start: seekable.start(0), end: seekable.end(seekable.length - 1)};
+  }
+  else {
+    this.liveWindow.start = Math.min(this.liveWindow.start, this.currentMediaTime);
+    this.liveWindow.end = Math.max(this.liveWindow.end, this.currentMediaTime);
+  }
+};
+
+/**
+ * Show the duration, or LIVE and how far behind the live edge playback is
+ */
+CastPlayer.prototype.updateDurationUI = function() {
+  var element = this.elements.duration;
+  if( !element ) {
+    return;
+  }
+  if( !this.isLive ) {
+    element.className = '';
+    element.title = '';
+    element.innerHTML = formatTime(this.currentMediaDuration);
+    return;
+  }
+  var behind = this.liveWindow.end - this.currentMediaTime;
+  element.className = behind > LIVE_EDGE_TOLERANCE ? 'live behind' : 'live';
+  element.title = 'Jump to live';
+  element.innerHTML = behind > LIVE_EDGE_TOLERANCE ? '-' + formatTime(behind) : 'LIVE';
+};
+
+/**
+ * Move playback of a live stream to its live edge
+ */
+CastPlayer.prototype.jumpToLive = function() {
+  if( !this.isLive ) {
+    return;
+  }
+  this.updateLiveWindow();
+  if( !this.currentMediaSession ) {
+    this.localPlayer.currentTime = this.liveWindow.end;
+  }
+  else if( this.currentMediaSession.liveSeekableRange ) {
+    var request = new chrome.cast.media.SeekRequest();
+    request.currentTime = this.liveWindow.end;
+    this.currentMediaSession.seek(request,
+      this.onSeekSuccess.bind(this, 'jumped to live'),
+      this.onError.bind(this));
+    this.clock.seek(this.liveWindow.end);
+  }
+  else {
+    // without a seekable range only a fresh load starts at the live edge
+    this.queue.get(this.currentMediaIndex).live = true;
+    this.loadMedia(this.currentMediaIndex);
+  }
+  this.currentMediaTime = this.liveWindow.end;
+  this.updateDurationUI();
+};
+
+/**
+ * Text for a position on the seek bar, how far behind the live edge it is
+ * for live streams
+ * @param {Number} time Time in seconds
+ * @return {string}
+ */
+CastPlayer.prototype.formatSeekTime = function(time) {
+  if( !this.isLive ) {
+    return formatTime(time);
+  }
+  var behind = this.liveWindow.end - time;
+  return behind > LIVE_EDGE_TOLERANCE ? '-' + formatTime(behind) : 'LIVE';
+};
+
+/**
+ * Remove a media from the queue
+ * @param {Number} mediaIndex Position in the queue
+ */
+CastPlayer.prototype.removeFromQueue = function(mediaIndex) {
+  var item = this.queue.get(mediaIndex);
+  if( !item ) {
+    return;
+  }
+  if( this.currentMediaSession && item.castItemId !== null ) {
+    this.currentMediaSession.queueRemoveItem(item.castItemId,
+      this.mediaCommandSuccessCallback.bind(this, "queue item removed"),
+      this.onError.bind(this));
+  }
+  this.queue.remove(mediaIndex).textTracks.forEach(releaseTrack);
+
+  if( mediaIndex < this.currentMediaIndex ) {
+    this.currentMediaIndex--;
+  }
+  else if( mediaIndex == this.currentMediaIndex ) {
+    var next = Math.max(Math.min(mediaIndex, this.queue.size() - 1), 0);
+    if( this.currentMediaSession || !this.queue.size() ) {
+      // the receiver moves on to the next item by itself
+      this.setCurrentMedia(next);
+    }
+    else {
+      this.selectMedia(next);
+    }
+  }
+  this.renderQueue();
+};
+
+/**
+ * Move a media to another position in the queue
+ * @param {Number} mediaIndex Position of the media
+ * @param {Number} newIndex Its new position
+ */
+CastPlayer.prototype.moveInQueue = function(mediaIndex, newIndex) {
+  var item = this.queue.get(mediaIndex);
+  if( !item || newIndex < 0 || newIndex >= this.queue.size() ) {
+    return;
+  }
+  var current = this.queue.get(this.currentMediaIndex);
+  this.queue.move(mediaIndex, newIndex);
+  this.currentMediaIndex = this.queue.items.indexOf(current);
+  if( this.currentMediaSession && item.castItemId !== null ) {
+    this.currentMediaSession.queueMoveItemToNewIndex(item.castItemId, newIndex,
+      this.mediaCommandSuccessCallback.bind(this, "queue item moved"),
+      this.onError.bind(this));
+  }
+  this.renderQueue();
+};
+
+/**
+ * Replace a queued media on the receiver, e.g. after it got a new subtitle track
+ * @param {Number} mediaIndex Position in the queue
+ */
+CastPlayer.prototype.refreshQueueItem = function(mediaIndex) {
+  var item = this.queue.get(mediaIndex);
+  if( !this.currentMediaSession || item.castItemId === null ) {
+    return;
+  }
+  var next = this.queue.get(mediaIndex + 1);
+  var insert = new chrome.cast.media.QueueInsertItemsRequest([this.buildQueueItem(mediaIndex, 0)]);
+  if( next && next.castItemId !== null ) {
+    insert.insertBefore = next.castItemId;
+  }
+  if( !this.checkMessageSize(insert, item) ) {
+    return;
+  }
+  this.currentMediaSession.queueRemoveItem(item.castItemId, function() {
+    this.currentMediaSession.queueInsertItems(insert,
+      this.mediaCommandSuccessCallback.bind(this, "queue item replaced"),
+      this.onError.bind(this));
+  }.bind(this), this.onError.bind(this));
+  item.castItemId = null;
+};
+
+/**
+ * Play a queued media in either Cast or local mode
+ * @param {Number} mediaIndex Position in the queue
+ */
+CastPlayer.prototype.selectMedia = function(mediaIndex) {
+  var item = this.queue.get(mediaIndex);
+  if( !item ) {
+    return;
+  }
+  if( this.currentMediaSession ) {
+    if( item.castItemId !== null ) {
+      this.currentMediaSession.queueJumpToItem(item.castItemId,
+        this.mediaCommandSuccessCallback.bind(this, "jumped to " + item.castItemId),
+        this.onError.bind(this));
+    }
+    else {
+      this.loadMedia(mediaIndex);
+    }
+    this.offerResume(mediaIndex);
+    return;
+  }
+  this.setCurrentMedia(mediaIndex);
+  this.setLocalSource(item);
+  this.offerResume(mediaIndex);
+};
+
+/**
+ * Play the next media of the queue
+ */
+CastPlayer.prototype.nextMedia = function() {
+  this.selectMedia(this.currentMediaIndex + 1);
+};
+
+/**
+ * Play the previous media of the queue
+ */
+CastPlayer.prototype.previousMedia = function() {
+  this.selectMedia(this.currentMediaIndex - 1);
+};
+
+/**
+ * Make a queued media the current one and show its subtitle tracks
+ * @param {Number} mediaIndex Position in the queue
+ */
+CastPlayer.prototype.setCurrentMedia = function(mediaIndex) {
+  var item = this.queue.get(mediaIndex);
+  this.currentMediaIndex = mediaIndex;
+  this.textTracks = item ? item.textTracks : [];
+  this.activeTrackIndex = item ? item.activeTrackIndex : -1;
+  this.updateLocalTracks();
+  this.renderTrackPicker();
+  this.updateSubtitleOffsetUI();
+  this.updateMediaWarning();
+  this.renderMetadataEditor();
+  this.renderMetadataOverlay();
+  this.updateMediaSessionMetadata();
+  this.renderQueue();
+};
+
+/**
+ * Describe a queued media, e.g. from the metadata editor
+ * The receiver shows new metadata of the playing media right away, other
+ * queued media are replaced on the receiver
+ * @param {Object} values MediaMetadata values
+ * @param {Number} opt_mediaIndex Position in the queue, the current media if omitted
+ */
+CastPlayer.prototype.setMediaMetadata = function(values, opt_mediaIndex) {
+  var mediaIndex = opt_mediaIndex !== undefined ? opt_mediaIndex : this.currentMediaIndex;
+  var item = this.queue.get(mediaIndex);
+  if( !item ) {
+    return;
+  }
+  this.queue.setMetadata(item, values);
+  if( mediaIndex != this.currentMediaIndex ) {
+    this.refreshQueueItem(mediaIndex);
+  }
+  else {
+    this.renderMetadataEditor();
+    this.renderMetadataOverlay();
+    this.updateMediaSessionMetadata();
+    // our receiver takes metadata on the caption namespace too
+    this.captions.send({type: 'SET_METADATA', payload: item.metadata.toPayload()});
+  }
+  this.renderQueue();
+};
+
+/**
+ * Fill the metadata editor with the current media
+ */
+CastPlayer.prototype.renderMetadataEditor = function() {
+  var item = this.queue.get(this.currentMediaIndex);
+  var values = item ? item.metadata.toJSON() : {};
+  for( var key in values ) {
+    if( values[key] === 0 ) {
+      // unknown numbers leave the field empty
+      values[key] = '';
+    }
+  }
+  if( this.elements.metadataEditor ) {
+    fillFields(this.elements.metadataEditor, values);
+  }
+};
+
+/**
+ * @return {Object} The metadata values entered in the editor
+ */
+CastPlayer.prototype.readMetadataEditor = function() {
+  return this.elements.metadataEditor ? readFields(this.elements.metadataEditor) : {};
+};
+
+/**
+ * Show what is cast over the local player, with its backdrop or poster
+ * The images also become the poster of the local player
+ */
+CastPlayer.prototype.renderMetadataOverlay = function() {
+  var overlay = this.elements.overlay;
+  var item = this.queue.get(this.currentMediaIndex);
+  if( !item ) {
+    setShown(overlay, false);
+    return;
+  }
+  var metadata = item.metadata;
+  var image = metadata.backdrop || metadata.poster;
+  if( image ) {
+    this.localPlayer.poster = image;
+  }
+  if( !overlay ) {
+    return;
+  }
+  var display = metadata.toDisplay();
+  setText(this.elements.overlayTitle, display.title);
+  setText(this.elements.overlaySubtitle, display.subtitle);
+  if( this.elements.overlayPoster ) {
+    this.elements.overlayPoster.src = metadata.poster;
+    setShown(this.elements.overlayPoster, !!metadata.poster);
+  }
+  overlay.className = metadata.poster ? 'has_poster' : '';
+  overlay.style.backgroundImage = 'linear-gradient(to top, rgba(0, 0, 0, 0.9), rgba(0, 0, 0, 0) 72%)'
+    + (image ? ', url(' + JSON.stringify(image) + ')' : '');
+  overlay.style.display = this.deviceState == DEVICE_STATE.ACTIVE ? 'block' : 'none';
+};
+
+/**
+ * Warn when the current media is in a format Chromecast may not play
+ */
+CastPlayer.prototype.updateMediaWarning = function() {
+  var item = this.queue.get(this.currentMediaIndex);
+  var warning = item ? MediaType.warning(MediaType.detect(item.url, item.contentType)) : '';
+  setText(this.elements.mediaWarning, warning);
+  setShown(this.elements.mediaWarning, !!warning);
+};
+
+/**
+ * Follow the receiver through the queue
+ * Records the receiver itemIds and switches the current media when the
+ * receiver advanced on its own
+ */
+CastPlayer.prototype.syncQueueFromMedia = function() {
+  var media = this.currentMediaSession;
+  if( media.items ) {
+    this.queue.syncCastItems(media.items);
+  }
+  var index = this.queue.indexOfCastItem(media.currentItemId);
+  if( index >= 0 && index != this.currentMediaIndex ) {
+    this.setCurrentMedia(index);
+    this.currentMediaTime = media.currentTime;
+    if( media.media ) {
+      this.currentMediaDuration = media.media.duration;
+      this.updateDurationUI();
+    }
+  }
+};
+
+/**
+ * Advance to the next queued media when the receiver did not do it
+ * itself, e.g. when its queue was loaded before the media was added
+ * @param {Object} media The finished chrome.cast.media.Media
+ */
+CastPlayer.prototype.onCastMediaFinished = function(media) {
+  var next = this.currentMediaIndex + 1;
+  if( !this.queue.get(next) ) {
+    return;
+  }
+  var items = media.items || [];
+  for( var i = 0; i < items.length - 1; i++ ) {
+    if( items[i].itemId == media.currentItemId ) {
+      return;
+    }
+  }
+  this.loadMedia(next);
+};
+
+/**
+ * Callback when the local player reaches the end of a media
+ */
+CastPlayer.prototype.onLocalMediaEnded = function() {
+  if( !this.currentMediaSession ) {
+    this.savePlaybackPosition(this.currentMediaDuration);
+  }
+  if( this.currentMediaSession || !this.queue.get(this.currentMediaIndex + 1) ) {
+    return;
+  }
+  this.nextMedia();
+  this.playMediaLocally();
+};
+
+/**
+ * Render the media queue with play, move and remove controls
+ */
+CastPlayer.prototype.renderQueue = function() {
+  var list = this.elements.queueList;
+  if( !list ) {
+    return;
+  }
+  list.innerHTML = '';
+  for( var i = 0; i < this.queue.size(); i++ ) {
+    var item = this.queue.get(i);
+    var li = document.createElement('li');
+    if( i == this.currentMediaIndex ) {
+      li.className = 'current';
+    }
+    if( !MediaType.isCastable(MediaType.detect(item.url, item.contentType)) ) {
+      li.className += ' uncastable';
+    }
+
+    var title = document.createElement('span');
+    title.className = 'queue_title';
+    title.textContent = item.title + (item.textTracks.length ? ' (' + item.textTracks.length + ' subtitles)' : '');
+    title.title = item.url;
+    title.addEventListener('click', this.selectMedia.bind(this, i));
+    li.appendChild(title);
+
+    var controls = [
+      ['\u25B2', 'Move up', this.moveInQueue.bind(this, i, i - 1)],
+      ['\u25BC', 'Move down', this.moveInQueue.bind(this, i, i + 1)],
+      ['\u2715', 'Remove', this.removeFromQueue.bind(this, i)]
+    ];
+    for( var j = 0; j < controls.length; j++ ) {
+      var button = document.createElement('button');
+      button.textContent = controls[j][0];
+      button.title = controls[j][1];
+      button.addEventListener('click', controls[j][2]);
+      li.appendChild(button);
+    }
+    list.appendChild(li);
+  }
+};
+
+/**
+ * Remember the playback position of the current media
+ * @param {Number} opt_position Position in seconds, the current one if omitted
+ */
+CastPlayer.prototype.savePlaybackPosition = function(opt_position) {
+  var item = this.queue.get(this.currentMediaIndex);
+  if( !item || this.isLive ) {
+    return;
+  }
+  var position = opt_position;
+  if( position === undefined ) {
+    position = this.currentMediaSession ? this.currentMediaTime : this.localPlayer.currentTime;
+  }
+  if( !(position > 0) && !this.history.get(item.url) ) {
+    return;
+  }
+  this.history.record(item.url, item.title, position, this.currentMediaDuration, item.metadata.toJSON());
+  this.lastHistorySave = Date.now();
+  this.renderHistory();
+};
+
+/**
+ * Offer to resume a media watched before
+ * @param {Number} mediaIndex Position of the media in the queue
+ */
+CastPlayer.prototype.offerResume = function(mediaIndex) {
+  var item = this.queue.get(mediaIndex);
+  var position = this.history.getResumePosition(item.url);
+  if( !position ) {
+    this.resumeMediaIndex = -1;
+    setShown(this.elements.resumePrompt, false);
+    return;
+  }
+  this.resumeMediaIndex = mediaIndex;
+  setText(this.elements.resumePosition, formatTime(position));
+  setShown(this.elements.resumePrompt, true);
+};
+
+/**
+ * Answer the resume prompt
+ * The chosen position is used as start time of the next load and the
+ * media already playing is moved to it
+ * @param {Boolean} resume True to resume, false to start over
+ */
+CastPlayer.prototype.resumePlayback = function(resume) {
+  var item = this.queue.get(this.resumeMediaIndex);
+  setShown(this.elements.resumePrompt, false);
+  if( !item ) {
+    return;
+  }
+  item.startTime = resume ? this.history.getResumePosition(item.url) : 0;
+  if( this.resumeMediaIndex != this.currentMediaIndex ) {
+    this.resumeMediaIndex = -1;
+    return;
+  }
+  this.resumeMediaIndex = -1;
+
+  if( this.currentMediaSession ) {
+    var request = new chrome.cast.media.SeekRequest();
+    request.currentTime = item.startTime;
+    this.currentMediaSession.seek(request,
+      this.onSeekSuccess.bind(this, 'resumed'),
+      this.onError.bind(this));
+    this.currentMediaTime = item.startTime;
+    this.clock.seek(item.startTime);
+    this.renderProgress();
+  }
+  else if( this.localPlayer.readyState > 0 ) {
+    this.localPlayer.currentTime = item.startTime;
+  }
+};
+
+/**
+ * Render the recently cast media with their playback positions
+ */
+CastPlayer.prototype.renderHistory = function() {
+  var list = this.elements.historyList;
+  var entries = this.history.recent();
+  if( !list ) {
+    return;
+  }
+  list.innerHTML = '';
+  for( var i = 0; i < entries.length; i++ ) {
+    var li = document.createElement('li');
+    var title = document.createElement('span');
+    title.className = 'history_title';
+    title.textContent = entries[i].title;
+    title.title = entries[i].url;
+    title.addEventListener('click', this.playFromHistory.bind(this, entries[i]));
+    li.appendChild(title);
+
+    var position = document.createElement('span');
+    position.className = 'history_position';
+    if( entries[i].finished ) {
+      position.textContent = 'watched';
+    }
+    else {
+      position.textContent = formatTime(entries[i].position) + (entries[i].duration ? ' / ' + formatTime(entries[i].duration) : '');
+    }
+    li.appendChild(position);
+
+    var forget = document.createElement('button');
+    forget.textContent = '\u2715';
+    forget.title = 'Forget';
+    forget.addEventListener('click', function(url) {
+      this.history.remove(url);
+      this.renderHistory();
+    }.bind(this, entries[i].url));
+    li.appendChild(forget);
+    list.appendChild(li);
+  }
+};
+
+/**
+ * Queue a media from the history, or jump to it when already queued
+ * @param {Object} entry A history entry
+ */
+CastPlayer.prototype.playFromHistory = function(entry) {
+  for( var i = 0; i < this.queue.size(); i++ ) {
+    if( this.queue.get(i).url == entry.url ) {
+      this.selectMedia(i);
+      return;
+    }
+  }
+  var index = this.addToQueue(entry.url, entry.title);
+  if( entry.metadata ) {
+    this.setMediaMetadata(entry.metadata, index);
+  }
+  if( index > 0 ) {
+    this.selectMedia(index);
+  }
+};
+
+/**
+ * Queue a media picked in a MediaLibrary with its subtitles and play it,
+ * or jump to it when already queued. WebVTT subtitles are added as they
+ * are and the first one is shown, other formats are downloaded and
+ * converted like picked subtitle files, then added together once all are;
+ * one of them is only shown when the media shows none yet
+ * @param {Object} media A library media {url, contentType, metadata, subtitles}
+ * @return {Number} Position of the media in the queue
  */
-CastPlayer.prototype.onMediaLoadedLocally = function(currentTime) {
-  this.currentMediaDuration = this.localPlayer.duration;
-  var duration = this.currentMediaDuration;
-      
-  var hr = parseInt(duration/3600);
-  duration -= hr * 3600;
-  var min = parseInt(duration/60);
-  var sec = parseInt(duration % 60);
-  if ( hr > 0 ) {
-    duration = hr + ":" + min + ":" + leftPad(sec,2);
+CastPlayer.prototype.playLibraryMedia = function(media) {
+  for( var i = 0; i < this.queue.size(); i++ ) {
+    if( this.queue.get(i).url == media.url ) {
+      this.selectMedia(i);
+      return i;
+    }
   }
-  else {
-    if( min > 0 ) {
-      duration = min + ":" + leftPad(sec,2);
+  var item = this.queue.add(media.url);
+  var index = this.queue.size() - 1;
+  this.queue.setMetadata(item, media.metadata.toJSON());
+  var converted = [];
+  // one more for the loop itself, the downloads finish after it
+  var pending = 1;
+  var onFetched = function() {
+    if( --pending == 0 && converted.length ) {
+      this.addConvertedTracks(converted, false);
     }
-    else {
-      duration = leftPad(sec,2);
+  }.bind(this);
+  for( i = 0; i < media.subtitles.length; i++ ) {
+    var subtitle = media.subtitles[i];
+    var language = subtitle.language || guessLanguage(subtitle.url);
+    if( MediaType.extension(subtitle.url) != 'vtt' ) {
+      pending++;
+      SubtitleConverter.fetch(subtitle.url, function(language, result) {
+        converted.push({item: item, language: language, result: result});
+        onFetched();
+      }.bind(this, language), function(e) {
+        this.onSubtitleError(e);
+        onFetched();
+      }.bind(this));
+      continue;
     }
+    this.addTextTrack({'src' : subtitle.url, 'language' : language, 'label' : subtitle.label}, index);
   }
-  document.getElementById("duration").innerHTML = duration;
-  this.localPlayer.currentTime= currentTime;
-  // start progress timer
-  this.startProgressTimer(this.incrementMediaTime);
-
-  document.getElementById("playerstate").style.display = 'block';
-  document.getElementById("playerstatebg").style.display = 'block';
-  document.getElementById("playerstate").innerHTML = "<span class='loaded'>Loaded...now push play!</span><span class='vid_link'><a href='"+video_link+"'>"+video_link+"</a></span>";
-
+  item.activeTrackIndex = item.textTracks.length ? 0 : -1;
+  onFetched();
+  if( media.contentType ) {
+    // the library already tells the file and its type
+    this.queue.resolve(item, media.url, media.contentType);
+    this.detectLiveStream(item);
+  }
+  else {
+    this.resolveMedia(item);
+  }
+  this.selectMedia(index);
+  this.renderQueue();
+  return index;
 };
 
 /**
  * Play media in Cast mode 
  */
 CastPlayer.prototype.playMedia = function() {
+  if( this.reconnect ) {
+    // the receiver gets the play state again once rejoined
+    return;
+  }
+  if( !this.session && this.localPlayer.currentSrc ) {
+    this.playMediaLocally();
+    return;
+  }
   switch( this.castPlayerState ) 
   {
     case PLAYER_STATE.LOADED:
@@ -448,20 +2576,12 @@ CastPlayer.prototype.playMedia = function() {
       this.currentMediaSession.play(null, 
         this.mediaCommandSuccessCallback.bind(this,"playing started for " + this.currentMediaSession.sessionId),
         this.onError.bind(this));
-      if (this.currentMediaSession) {
-        this.currentMediaSession.addUpdateListener(this.onMediaStatusUpdate.bind(this));
-      }
       this.castPlayerState = PLAYER_STATE.PLAYING;
-      // start progress timer
-      this.startProgressTimer(this.incrementMediaTime);
       break;
     case PLAYER_STATE.IDLE:
     case PLAYER_STATE.LOADING:
     case PLAYER_STATE.STOPPED:
       this.loadMedia(this.currentMediaIndex);
-      if (this.currentMediaSession) {
-        this.currentMediaSession.addUpdateListener(this.onMediaStatusUpdate.bind(this));
-      }
       this.castPlayerState = PLAYER_STATE.PLAYING;
       break;
     default:
@@ -487,8 +2607,32 @@ CastPlayer.prototype.pauseMedia = function() {
       this.onError.bind(this));
     this.updateMediaControlUI();
     this.updateDisplayMessage();
-    clearInterval(this.timer);
+    this.clock.setState(PLAYER_STATE.PAUSED);
+    this.updateProgress();
+    this.savePlaybackPosition();
+  }
+};
+
+/**
+ * Play media in local player
+ */
+CastPlayer.prototype.playMediaLocally = function() {
+  this.localPlayer.style.display = 'block';
+  this.localPlayerState = PLAYER_STATE.PLAYING;
+  var promise = this.localPlayer.play();
+  if( promise ) {
+    // browsers refuse to play before the page was interacted with
+    promise.catch(this.onLocalPlayerStateChange.bind(this));
   }
+  this.updateMediaControlUI();
+};
+
+/**
+ * Follow the local player when it starts or pauses by itself
+ */
+CastPlayer.prototype.onLocalPlayerStateChange = function() {
+  this.localPlayerState = this.localPlayer.paused ? PLAYER_STATE.PAUSED : PLAYER_STATE.PLAYING;
+  this.updateMediaControlUI();
 };
 
 /**
@@ -498,7 +2642,7 @@ CastPlayer.prototype.pauseMediaLocally = function() {
   this.localPlayer.pause();
   this.localPlayerState = PLAYER_STATE.PAUSED;
   this.updateMediaControlUI();
-  clearInterval(this.timer);
+  this.savePlaybackPosition();
 };
 
 /**
@@ -510,11 +2654,13 @@ CastPlayer.prototype.stopMedia = function() {
     return;
   }
 
+  this.savePlaybackPosition();
   this.currentMediaSession.stop(null,
     this.mediaCommandSuccessCallback.bind(this,"stopped " + this.currentMediaSession.sessionId),
     this.onError.bind(this));
   this.castPlayerState = PLAYER_STATE.STOPPED;
-  clearInterval(this.timer);
+  this.clock.setState(PLAYER_STATE.IDLE);
+  this.stopProgressLoop();
 
   this.updateDisplayMessage();
   this.updateMediaControlUI();
@@ -531,112 +2677,175 @@ CastPlayer.prototype.stopMediaLocally = function() {
 };
 
 /**
- * Set media volume in Cast mode
- * @param {Boolean} mute A boolean  
+ * @return {Boolean} Whether the volume controls change the receiver volume
+ * Receivers with a fixed volume only let the media volume change
  */
-CastPlayer.prototype.setMediaVolume = function(mute) {
-  var p = document.getElementById("audio_bg_level"); 
-  if( event.currentTarget.id == 'audio_bg_track' ) {
-    var pos = 100 - parseInt(event.offsetY);
+CastPlayer.prototype.isSessionVolume = function() {
+  if( !this.session || this.volumeMode != VOLUME_MODE.SESSION ) {
+    return false;
   }
-  else {
-    var pos = parseInt(p.clientHeight) - parseInt(event.offsetY);
+  var volume = this.session.receiver && this.session.receiver.volume;
+  return !(volume && chrome.cast.VolumeControlType && volume.controlType == chrome.cast.VolumeControlType.FIXED);
+};
+
+/**
+ * Read the volume and mute state back from where they live: the receiver,
+ * the cast media or the local player, and show them
+ */
+CastPlayer.prototype.syncVolume = function() {
+  var volume = null;
+  if( this.isSessionVolume() ) {
+    volume = this.session.receiver.volume;
   }
-  if( !this.currentMediaSession ) {
-      this.localPlayer.volume = pos < 100 ? pos/100 : 1;
-      p.style.height = pos + 'px';
-      p.style.marginTop = -pos + 'px';
-      return;
+  else if( this.currentMediaSession ) {
+    volume = this.currentMediaSession.volume;
+  }
+  else if( !this.session ) {
+    volume = {level: this.localPlayer.volume, muted: this.localPlayer.muted};
   }
+  if( volume ) {
+    this.currentVolume = typeof volume.level == 'number' ? volume.level : this.currentVolume;
+    this.audio = typeof volume.muted == 'boolean' ? !volume.muted : this.audio;
+  }
+  this.renderVolume();
+};
 
-  if( event.currentTarget.id == 'audio_bg_track' || event.currentTarget.id == 'audio_bg_level' ) {
-    // add a drag to avoid loud volume
-    if( pos < 100 ) {
-      var vScale = this.currentVolume * 100;
-      if( pos > vScale ) {
-        pos = vScale + (pos - vScale)/2;
-      }
-      p.style.height = pos + 'px';
-      p.style.marginTop = -pos + 'px';
-      this.currentVolume = pos/100;
+/**
+ * Show the volume, the mute state and the volume step
+ */
+CastPlayer.prototype.renderVolume = function() {
+  if( this.volumeSlider ) {
+    this.volumeSlider.setStep(this.getVolumeStep());
+    this.volumeSlider.setValue(this.currentVolume, !this.audio);
+  }
+  setShown(this.elements.audioOn, this.audio);
+  setShown(this.elements.audioOff, !this.audio);
+};
+
+/**
+ * @return {Number} Volume change of one step, the receiver's in session mode
+ */
+CastPlayer.prototype.getVolumeStep = function() {
+  var receiver = this.isSessionVolume() ? this.session.receiver.volume : null;
+  return receiver && receiver.stepInterval > 0 ? receiver.stepInterval : VOLUME_STEP;
+};
+
+/**
+ * Set the volume and mute state in either Cast or local mode and show them
+ * When casting they go to the receiver in session mode and to the media
+ * in stream mode
+ * @param {Number} level Volume from 0 to 1
+ * @param {Boolean} muted
+ */
+CastPlayer.prototype.setVolume = function(level, muted) {
+  level = Math.min(1, Math.max(0, level));
+  // the receiver volume is only requested where it changes, e.g. not the level on mute
+  var levelChanged = level !== this.currentVolume;
+  var muteChanged = muted === this.audio;
+  this.currentVolume = level;
+  this.audio = !muted;
+  this.renderVolume();
+  if( this.isSessionVolume() ) {
+    if( levelChanged ) {
+      this.session.setReceiverVolumeLevel(level,
+        this.mediaCommandSuccessCallback.bind(this),
+        this.onError.bind(this));
     }
-    else {
-      this.currentVolume = 1;
+    if( muteChanged ) {
+      this.session.setReceiverMuted(muted,
+        this.mediaCommandSuccessCallback.bind(this),
+        this.onError.bind(this));
     }
+    return;
+  }
+  if( !this.currentMediaSession ) {
+    if( !this.session ) {
+      this.localPlayer.volume = level;
+      this.localPlayer.muted = muted;
+    }
+    return;
   }
-
   var volume = new chrome.cast.Volume();
-  volume.level = this.currentVolume;
-  volume.muted = mute;
+  volume.level = level;
+  volume.muted = muted;
   var request = new chrome.cast.media.VolumeRequest();
   request.volume = volume;
   this.currentMediaSession.setVolume(request,
     this.mediaCommandSuccessCallback.bind(this),
     this.onError.bind(this));
-  this.updateMediaControlUI();
+};
+
+/**
+ * A volume picked on the slider, which also unmutes
+ * @param {Number} level Volume from 0 to 1
+ */
+CastPlayer.prototype.onVolumeSliderChange = function(level) {
+  this.setVolume(level, false);
+};
+
+/**
+ * Raise or lower the volume by steps of the receiver in session mode, or
+ * of VOLUME_STEP
+ * @param {Number} steps Steps to move, negative to lower the volume
+ */
+CastPlayer.prototype.stepVolume = function(steps) {
+  var level = Math.round((this.currentVolume + steps * this.getVolumeStep()) * 100) / 100;
+  this.setVolume(level, !this.audio);
+};
+
+/**
+ * Switch what the volume controls change when casting
+ * @param {VOLUME_MODE} mode
+ */
+CastPlayer.prototype.setVolumeMode = function(mode) {
+  this.volumeMode = mode;
+  this.syncVolume();
 };
 
 /**
  * Mute media function in either Cast or local mode 
  */
 CastPlayer.prototype.muteMedia = function() {
-  if( this.audio == true ) {
-    this.audio = false;
-    document.getElementById('audio_on').style.display = 'none';
-    document.getElementById('audio_off').style.display = 'block';
-    if( this.currentMediaSession ) {
-      this.setMediaVolume(true);
-    }
-    else {
-      this.localPlayer.muted = true;
-    }
-  }
-  else {
-    this.audio = true;
-    document.getElementById('audio_on').style.display = 'block';
-    document.getElementById('audio_off').style.display = 'none';
-    if( this.currentMediaSession ) {
-      this.setMediaVolume(false);
-    }
-    else {
-      this.localPlayer.muted = false;
-    }
-  } 
+  this.setVolume(this.currentVolume, this.audio);
   this.updateMediaControlUI();
 };
 
 
 /**
  * media seek function in either Cast or local mode
- * @param {Event} e An event object from seek 
+ * @param {Number} time Position to seek to in seconds
  */
-CastPlayer.prototype.seekMedia = function(event) {
-  var pos = parseInt(event.offsetX);
-  var pi = document.getElementById("progress_indicator"); 
-  var p = document.getElementById("progress"); 
-  if( event.currentTarget.id == 'progress_indicator' ) {
-    var curr = parseInt(this.currentMediaTime + this.currentMediaDuration * pos / PROGRESS_BAR_WIDTH);
-    var pp = parseInt(pi.style.marginLeft) + pos;
-    var pw = parseInt(p.style.width) + pos;
-  }
-  else {
-    var curr = parseInt(pos * this.currentMediaDuration / PROGRESS_BAR_WIDTH);
-    var pp = pos -21 - PROGRESS_BAR_WIDTH;
-    var pw = pos;
+CastPlayer.prototype.seekMedia = function(time) {
+  var curr = Math.floor(time);
+  if( !this.currentMediaSession ) {
+    if( this.localPlayer.readyState > 0 ) {
+      this.localPlayer.currentTime = curr;
+      this.currentMediaTime = curr;
+      this.renderProgress();
+    }
+    return;
   }
 
-  if( this.castPlayerState != PLAYER_STATE.PLAYING && this.castPlayerState != PLAYER_STATE.PAUSED ) {
-    return;
+  switch( this.castPlayerState ) {
+    case PLAYER_STATE.IDLE:
+    case PLAYER_STATE.LOADING:
+    case PLAYER_STATE.STOPPED:
+      // nothing on the receiver to seek in
+      this.renderProgress();
+      return;
   }
 
   this.currentMediaTime = curr;
-  //console.log('Seeking ' + this.currentMediaSession.sessionId + ':' + this.currentMediaSession.mediaSessionId + ' to ' + pos + "%");
+  //console.log('Seeking ' + this.currentMediaSession.sessionId + ':' + this.currentMediaSession.mediaSessionId + ' to ' + curr);
   var request = new chrome.cast.media.SeekRequest();
   request.currentTime = this.currentMediaTime;
   this.currentMediaSession.seek(request,
     this.onSeekSuccess.bind(this, 'media seek done'),
     this.onError.bind(this));
   this.castPlayerState = PLAYER_STATE.SEEKING;
+  // hold the bar at the target until the receiver reports from there
+  this.clock.seek(curr);
+  this.renderProgress();
 
   this.updateDisplayMessage();
   this.updateMediaControlUI();
@@ -665,255 +2874,500 @@ CastPlayer.prototype.mediaCommandSuccessCallback = function(info, e) {
  * @param {Object} e An media status update object 
  */
 CastPlayer.prototype.updateProgressBar = function(e) {
-  var p = document.getElementById("progress"); 
-  var pi = document.getElementById("progress_indicator"); 
   if(e.idleReason == 'FINISHED' && e.playerState == 'IDLE' ) {
-    p.style.width = '0px';
-    pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + 'px';
-    clearInterval(this.timer);
+    if( this.seekBar ) {
+      this.seekBar.setValue(0);
+    }
+    this.clock.sync(0, 1, PLAYER_STATE.IDLE);
+    this.stopProgressLoop();
     this.castPlayerState = PLAYER_STATE.STOPPED;
     this.updateDisplayMessage();
+    this.savePlaybackPosition(this.currentMediaDuration);
+    this.onCastMediaFinished(e);
+  }
+  else if( e.idleReason == 'ERROR' && e.playerState == 'IDLE' ) {
+    this.onCastMediaError(e);
   }
   else {
-    var width = Math.ceil(PROGRESS_BAR_WIDTH * e.currentTime / this.currentMediaSession.media.duration + 1);
-    if (width > 600) { width = 600; }
-    p.style.width = width + 'px';
-    this.progressFlag = false; 
-    setTimeout(this.setProgressFlag.bind(this),1000); // don't update progress in 1 second
-    var pp = Math.ceil(PROGRESS_BAR_WIDTH * e.currentTime / this.currentMediaSession.media.duration);
-    pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + pp + 'px';
+    // the receiver is right, the clock estimate restarts from its report
+    this.clock.syncFromMedia(e);
+    this.updateProgress();
+    if( this.clock.isAdvancing() ) {
+      this.startProgressLoop();
+    }
+    else {
+      this.stopProgressLoop();
+    }
   }
 };
 
 /**
- * Set progressFlag with a timeout of 1 second to avoid UI update
- * until a media status update from receiver 
- */
-CastPlayer.prototype.setProgressFlag = function() {
-  this.progressFlag = true;
-};
-
-/**
- * Update progress bar based on timer  
+ * Move the seek bar to the current media time, over the seekable window
+ * for live streams
+ * Receivers do not report what they buffered, only the local player does
  */
-CastPlayer.prototype.updateProgressBarByTimer = function() {
-  var p = document.getElementById("progress"); 
-  if( isNaN(parseInt(p.style.width)) ) {
-    p.style.width = 0;
-  } 
-  if( this.currentMediaDuration > 0 ) {
-    var pp = Math.floor(PROGRESS_BAR_WIDTH * this.currentMediaTime/this.currentMediaDuration);
-  }
-    
-  if( this.progressFlag ) { 
-    // don't update progress if it's been updated on media status update event
-    if (pp > 600) { pp = 600; }
-    p.style.width = pp + 'px'; 
-    var pi = document.getElementById("progress_indicator"); 
-    pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + pp + 'px';
+CastPlayer.prototype.renderProgress = function() {
+  if( !this.seekBar ) {
+    return;
   }
-
-  if( pp > PROGRESS_BAR_WIDTH ) {
-    clearInterval(this.timer);
-    this.deviceState = DEVICE_STATE.IDLE;
-    this.castPlayerState = PLAYER_STATE.IDLE;
-    this.updateDisplayMessage();
-    this.updateMediaControlUI();
+  var start = this.isLive ? this.liveWindow.start : 0;
+  var end = this.isLive ? this.liveWindow.end : this.currentMediaDuration;
+  this.seekBar.setRange(start, end);
+  this.seekBar.setValue(this.currentMediaTime);
+  var ranges = [];
+  var buffered = this.localPlayer.buffered;
+  for( var i = 0; !this.currentMediaSession && i < buffered.length; i++ ) {
+    ranges.push({start: buffered.start(i), end: buffered.end(i)});
   }
+  this.seekBar.setBuffered(ranges);
 };
 
 /**
  * Update display message depending on cast mode by deviceState 
  */
 CastPlayer.prototype.updateDisplayMessage = function() {
-
-  document.getElementById("playerstate").style.display = 'block';
-  document.getElementById("playerstatebg").style.display = 'block';
-
-  if (this.session != null) {
-    document.getElementById("playerstate").innerHTML = this.castPlayerState
-      + " on " + this.session.receiver.friendlyName;
+  if (this.reconnect) {
+    this.showPlayerState("Reconnecting to " + this.session.receiver.friendlyName + "\u2026");
+  } else if (this.session != null) {
+    this.showPlayerState(this.castPlayerState + " on " + this.session.receiver.friendlyName);
   } else {
-    document.getElementById("playerstate").innerHTML = "Start casting to begin";
+    this.showPlayerState("Start casting to begin");
     this.launchApp();
   }
 
 }
 
+/**
+ * Show a message over the player
+ * @param {string} html The message, as HTML
+ */
+CastPlayer.prototype.showPlayerState = function(html) {
+  setShown(this.elements.playerStateBackground, true);
+  if( this.elements.playerState ) {
+    this.elements.playerState.style.display = 'block';
+    this.elements.playerState.innerHTML = html;
+  }
+};
+
 /**
  * Update media control UI components based on localPlayerState or castPlayerState
  */
 CastPlayer.prototype.updateMediaControlUI = function() {
-  if( this.deviceState == DEVICE_STATE.ACTIVE ) {
-    document.getElementById("casticonactive").style.display = 'block';
-    document.getElementById("casticonidle").style.display = 'none';
-    var playerState = this.castPlayerState;
-  }
-  else {
-    document.getElementById("casticonidle").style.display = 'block';
-    document.getElementById("casticonactive").style.display = 'none';
-    var playerState = this.localPlayerState;
-  }
+  this.renderMetadataOverlay();
+  var casting = this.deviceState == DEVICE_STATE.ACTIVE || this.deviceState == DEVICE_STATE.WARNING;
+  setShown(this.elements.castIconActive, this.deviceState == DEVICE_STATE.ACTIVE);
+  setShown(this.elements.castIconWarning, this.deviceState == DEVICE_STATE.WARNING);
+  setShown(this.elements.castIconIdle, !casting);
+  var playerState = casting ? this.castPlayerState : this.localPlayerState;
 
   switch( playerState ) 
   {
     case PLAYER_STATE.LOADED:
     case PLAYER_STATE.PLAYING:
-      document.getElementById("play").style.display = 'none';
-      document.getElementById("pause").style.display = 'block';
+      setShown(this.elements.play, false);
+      setShown(this.elements.pause, true);
       break;
     case PLAYER_STATE.PAUSED:
     case PLAYER_STATE.IDLE:
     case PLAYER_STATE.LOADING:
     case PLAYER_STATE.STOPPED:
-      document.getElementById("play").style.display = 'block';
-      document.getElementById("pause").style.display = 'none';
+      setShown(this.elements.play, true);
+      setShown(this.elements.pause, false);
       break;
     default:
       break;
   }
-}
+  this.updateMediaSession();
+  this.emitState(playerState);
+};
 
 /**
- * Initialize UI components and add event listeners 
+ * Tell listeners the device or player state changed
+ * @param {PLAYER_STATE} playerState State of the player in use, cast or local
  */
-CastPlayer.prototype.initializeUI = function() {
-
-  // add event handlers to UI components
-  document.getElementById("casticonidle").addEventListener('click', this.launchApp.bind(this));
-  document.getElementById("casticonactive").addEventListener('click', this.stopApp.bind(this));
-  document.getElementById("progress_bg").addEventListener('click', this.seekMedia.bind(this));
-  document.getElementById("progress").addEventListener('click', this.seekMedia.bind(this));
-  document.getElementById("progress_indicator").addEventListener('dragend', this.seekMedia.bind(this));
-  document.getElementById("audio_on").addEventListener('click', this.muteMedia.bind(this));
-  document.getElementById("audio_off").addEventListener('click', this.muteMedia.bind(this));
-  document.getElementById("audio_bg").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_on").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_bg_level").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_bg_track").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_bg_level").addEventListener('click', this.setMediaVolume.bind(this, false));
-  document.getElementById("audio_bg_track").addEventListener('click', this.setMediaVolume.bind(this, false));
-  document.getElementById("audio_bg").addEventListener('mouseout', this.hideVolumeSlider.bind(this));
-  document.getElementById("audio_on").addEventListener('mouseout', this.hideVolumeSlider.bind(this));
+CastPlayer.prototype.emitState = function(playerState) {
+  var last = this.emittedState;
+  if( last && last.deviceState == this.deviceState && last.playerState == playerState ) {
+    return;
+  }
+  this.emittedState = {deviceState: this.deviceState, playerState: playerState};
+  this.emit('state', this.emittedState);
+};
 
-  // enable play/pause buttons
-  document.getElementById("play").addEventListener('click', this.playMedia.bind(this));
-  document.getElementById("pause").addEventListener('click', this.pauseMedia.bind(this));
-  document.getElementById("progress_indicator").draggable = true;
+/**
+ * Let hardware media keys and the media controls of the OS drive playback
+ * in either Cast or local mode through the Media Session API
+ */
+CastPlayer.prototype.initializeMediaSession = function() {
+  if( !('mediaSession' in navigator) ) {
+    return;
+  }
+  var handlers = {
+    'play' : this.playMedia.bind(this),
+    'pause' : this.pauseMedia.bind(this),
+    'stop' : this.stopMedia.bind(this),
+    'previoustrack' : this.previousMedia.bind(this),
+    'nexttrack' : this.nextMedia.bind(this),
+    'seekbackward' : function(details) {
+      this.seekBy(-(details.seekOffset || 10));
+    }.bind(this),
+    'seekforward' : function(details) {
+      this.seekBy(details.seekOffset || 10);
+    }.bind(this),
+    'seekto' : function(details) {
+      this.seekMedia(details.seekTime);
+    }.bind(this)
+  };
+  for( var action in handlers ) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handlers[action]);
+    }
+    catch (e) {
+      // an action this browser does not know
+    }
+  }
+};
 
+/**
+ * Show the current media in the media controls of the OS
+ */
+CastPlayer.prototype.updateMediaSessionMetadata = function() {
+  if( !('mediaSession' in navigator) ) {
+    return;
+  }
+  var item = this.queue.get(this.currentMediaIndex);
+  navigator.mediaSession.metadata = item ? item.metadata.toSessionMetadata() : null;
 };
 
 /**
- * Show the volume slider
+ * Show the playback state and position in the media controls of the OS
  */
-CastPlayer.prototype.showVolumeSlider = function() {
-  document.getElementById('audio_bg').style.opacity = 1;
-  document.getElementById('audio_bg_track').style.opacity = 1;
-  document.getElementById('audio_bg_level').style.opacity = 1;
-  document.getElementById('audio_indicator').style.opacity = 1;
-};    
+CastPlayer.prototype.updateMediaSession = function() {
+  if( !('mediaSession' in navigator) ) {
+    return;
+  }
+  var state = this.deviceState == DEVICE_STATE.ACTIVE ? this.castPlayerState : this.localPlayerState;
+  if( !this.queue.get(this.currentMediaIndex) ) {
+    navigator.mediaSession.playbackState = 'none';
+  }
+  else {
+    navigator.mediaSession.playbackState = state == PLAYER_STATE.PLAYING ? 'playing' : 'paused';
+  }
+  if( navigator.mediaSession.setPositionState && !this.isLive && this.currentMediaDuration > 0 ) {
+    navigator.mediaSession.setPositionState({
+      duration: this.currentMediaDuration,
+      playbackRate: this.currentMediaSession ? this.clock.rate : this.localPlayer.playbackRate,
+      position: Math.min(Math.max(this.currentMediaTime, 0), this.currentMediaDuration)
+    });
+  }
+};
 
 /**
- * Hide the volume stlider 
+ * Play or pause in either Cast or local mode
  */
-CastPlayer.prototype.hideVolumeSlider = function() {
-  document.getElementById('audio_bg').style.opacity = 0;
-  document.getElementById('audio_bg_track').style.opacity = 0;
-  document.getElementById('audio_bg_level').style.opacity = 0;
-  document.getElementById('audio_indicator').style.opacity = 0;
-};    
+CastPlayer.prototype.togglePlayback = function() {
+  var state = this.session ? this.castPlayerState : this.localPlayerState;
+  if( state == PLAYER_STATE.PLAYING ) {
+    this.pauseMedia();
+  }
+  else {
+    this.playMedia();
+  }
+};
 
 /**
- * @param {function} A callback function for the fucntion to start timer 
+ * Seek relative to the current position, within the media or the
+ * seekable window of a live stream
+ * @param {Number} seconds Seconds to move, negative to go back
  */
-CastPlayer.prototype.startProgressTimer = function(callback) {
-  if( this.timer ) {
-    clearInterval(this.timer);
-    this.timer = null;
+CastPlayer.prototype.seekBy = function(seconds) {
+  var start = this.isLive ? this.liveWindow.start : 0;
+  var end = this.isLive ? this.liveWindow.end : this.currentMediaDuration;
+  if( !(end > start) ) {
+    return;
   }
+  this.seekMedia(Math.min(end, Math.max(start, this.currentMediaTime + seconds)));
+};
 
-  // start progress timer
-  this.timer = setInterval(callback.bind(this), this.timerStep);
+/**
+ * Show the next subtitle track, turning captions off after the last one
+ */
+CastPlayer.prototype.cycleCaptions = function() {
+  if( !this.textTracks.length ) {
+    return;
+  }
+  var next = this.activeTrackIndex + 1;
+  this.setCaptions(next < this.textTracks.length ? next : -1);
 };
 
- window.CastPlayer = CastPlayer;
-})();
+/**
+ * Tell why the local player could not play the current media
+ */
+CastPlayer.prototype.onLocalPlayerError = function() {
+  if( !this.localPlayer.error || !this.localPlayer.currentSrc ) {
+    // the source was only removed
+    return;
+  }
+  var error = CastError.describeMediaError(this.localPlayer.error);
+  this.log.error("Local player: " + error.message, this.localPlayer.error.message || error.code);
+  this.showError(error.message, error.retryable ? this.setLocalSource.bind(this, this.queue.get(this.currentMediaIndex)) : undefined);
+  this.emit('error', error);
+};
 
+/**
+ * Initialize the Cast API for all the players of the page
+ * The receiver application of the first player is the one cast to
+ * @param {string} applicationId Receiver application id
+ * @param {function} errorCallback Called when the API cannot be initialized
+ */
+function initializeCastApi(applicationId, errorCallback) {
+  var sessionRequest = new chrome.cast.SessionRequest(applicationId);
+  var apiConfig = new chrome.cast.ApiConfig(sessionRequest, routeSession, function(availability) {
+    for( var i = 0; i < castPlayers.length; i++ ) {
+      castPlayers[i].receiverListener(availability);
+    }
+  });
+  chrome.cast.initialize(apiConfig, function() {
+    castApiReady = true;
+    for( var i = 0; i < castPlayers.length; i++ ) {
+      castPlayers[i].onInitSuccess();
+    }
+  }, errorCallback);
+}
 
-function getContentType(url) {
-  var ext = url.split('.').pop();
-  var formats = [
-    {ext: 'mkv', type: 'video'},
-    {ext: 'webm', type: 'video'},
-    {ext: 'mp4', type: 'video'},
-    {ext: 'jpeg', type: 'image'},
-    {ext: 'jpg', type: 'image'},
-    {ext: 'gif', type: 'image'},
-    {ext: 'png', type: 'image'},
-    {ext: 'bmp', type: 'image'},
-    {ext: 'webp', type: 'image'}
-  ];
-  for (var i = 0; i < formats.length; i++) {
-    if (formats[i].ext == ext) {
-      return formats[i].type + "/" + ext;
+/**
+ * Hand a session the API joined without a player asking, after a reload
+ * or a request by id, to the player rejoining it, else to the first
+ * player not casting; sessions a player already follows are left alone
+ * @param {chrome.cast.Session} session The joined session
+ */
+function routeSession(session) {
+  if( !session ) {
+    return;
+  }
+  for( var i = 0; i < castPlayers.length; i++ ) {
+    if( castPlayers[i].reconnect && castPlayers[i].reconnect.sessionId == session.sessionId ) {
+      castPlayers[i].sessionListener(session);
+      return;
+    }
+  }
+  for( var i = 0; i < castPlayers.length; i++ ) {
+    if( castPlayers[i].session && castPlayers[i].session.sessionId == session.sessionId ) {
+      return;
+    }
+  }
+  for( var i = 0; i < castPlayers.length; i++ ) {
+    if( !castPlayers[i].session ) {
+      castPlayers[i].sessionListener(session);
+      return;
     }
   }
-  // it doesn't matter now, as it's unsupported.
-  return "";
 }
 
-function leftPad(number, targetLength) {
-    var output = number + '';
-    while (output.length < targetLength) {
-        output = '0' + output;
-    }
-    return output;
+/**
+ * Show or hide an element, when there is one
+ * @param {HTMLElement} element The element, may be null
+ * @param {Boolean} shown
+ */
+function setShown(element, shown) {
+  if( element ) {
+    element.style.display = shown ? 'block' : 'none';
+  }
 }
 
 /**
- * set the closed captioning track
- * @param {string} trackNumber the closed captioning track number
+ * Set the text of an element, when there is one
+ * @param {HTMLElement} element The element, may be null
+ * @param {string} text
  */
-function setCaptions(trackNumber) {
-  if (this.session!=null) {
-        if (trackNumber == undefined) {
-      message = {
-        type: 'DISABLE_CC'
-      }
-    } else {
-      message = {
-        type: 'ENABLE_CC',
-        trackNumber: trackNumber
-      }
-    }
-    this.session.sendMessage('urn:x-cast:com.google.cast.sample.closecaption', message, onSuccess, onError);
-  }     else {
-    alert("First connect to a Cast device.");
+function setText(element, text) {
+  if( element ) {
+    element.textContent = text;
   }
-};
+}
 
 /**
- * set the closed captioning font size
- * @param {string} size the closed captioning size index
+ * Read the named fields of a form section
+ * @param {HTMLElement} container Element holding the fields
+ * @return {Object} Field values by name
  */
-function setFont(number) {
-  if (this.session!=null) {
-        if (number == 0) {
-      message = {
-        type: 'NORMAL_FONT'
-      }
-    } else {
-      message = {
-        type: 'YELLOW_FONT'
-      }
+function readFields(container) {
+  var values = {};
+  var fields = container.querySelectorAll("[name]");
+  for( var i = 0; i < fields.length; i++ ) {
+    values[fields[i].name] = fields[i].value;
+  }
+  return values;
+}
+
+/**
+ * Fill the named fields of a form section
+ * @param {HTMLElement} container Element holding the fields
+ * @param {Object} values Field values by name, missing ones are cleared
+ */
+function fillFields(container, values) {
+  var fields = container.querySelectorAll("[name]");
+  for( var i = 0; i < fields.length; i++ ) {
+    var value = values[fields[i].name];
+    fields[i].value = value === undefined ? '' : value;
+  }
+}
+
+/**
+ * A link to a media for the player state, labelled with its title and
+ * release details rather than the raw URL
+ * @param {Object} item A queued item, may be null
+ * @param {string} url URL the link points to
+ * @return {string} HTML
+ */
+function mediaLink(item, url) {
+  var link = document.createElement('a');
+  link.href = url;
+  link.title = url;
+  link.textContent = url;
+  if( item ) {
+    var tags = item.metadata.tags();
+    link.textContent = item.title + (tags ? ' \u00b7 ' + tags : '');
+  }
+  return link.outerHTML;
+}
+
+/**
+ * @return {string} The id of the last cast session, empty when none
+ */
+function loadStoredSessionId() {
+  try {
+    return localStorage.getItem(SESSION_STORAGE_KEY) || '';
+  }
+  catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Keep the id of a cast session to rejoin it after a reload
+ * @param {string} sessionId
+ */
+function storeSessionId(sessionId) {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }
+  catch (e) {
+    // private mode, the session is only joined again from this tab
+  }
+}
+
+/**
+ * Forget the last cast session, it ended
+ */
+function forgetStoredSessionId() {
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+  catch (e) {
+    // nothing was stored
+  }
+}
+
+/**
+ * Load a script once, e.g. a stream player from its CDN
+ * The browser refuses it when it does not match its integrity hash
+ * @param {Object} player A script {src, integrity, global}, global being
+ *  the name of the global it defines
+ * @param {function} successCallback
+ * @param {function} errorCallback
+ */
+function loadScript(player, successCallback, errorCallback) {
+  if( window[player.global] ) {
+    successCallback();
+    return;
+  }
+  var script = document.createElement('script');
+  script.src = player.src;
+  script.integrity = player.integrity;
+  script.crossOrigin = 'anonymous';
+  script.onload = successCallback;
+  script.onerror = errorCallback;
+  document.head.appendChild(script);
+}
+
+/**
+ * Free the blob URL a discarded track was shown from locally
+ * @param {Object} track A subtitle track
+ */
+function releaseTrack(track) {
+  if( track.localSrc.indexOf('blob:') == 0 ) {
+    URL.revokeObjectURL(track.localSrc);
+  }
+}
+
+/**
+ * The track of a converted subtitle, without a src: its cues are sent to
+ * the receiver in messages and shown locally from a blob URL
+ * @param {string} language A language code
+ * @param {Object} result A converted subtitle {name, format, cues, vtt}
+ * @return {Object} A track for addTextTrack
+ */
+function convertedTrack(language, result) {
+  return {
+    'src' : '',
+    'localSrc' : SubtitleConverter.toBlobUrl(result.vtt),
+    'language' : language,
+    'label' : languageLabel(language) || result.name,
+    'cues' : result.cues
+  };
+}
+
+/**
+ * Guess the language of a subtitle file from its name
+ * @param {string} filename A file name like Movie.Name.pt-BR.srt
+ * @return {string} A language code or an empty string
+ */
+function guessLanguage(filename) {
+  var parts = filename.toLowerCase().split('.');
+  var suffix = parts.length > 2 ? parts[parts.length - 2].replace(/[-_]/g, '') : '';
+  if( LANGUAGE_TOKENS.hasOwnProperty(suffix) ) {
+    return LANGUAGE_TOKENS[suffix];
+  }
+  // otherwise only trust spelled out names, short codes clash with words of titles
+  var words = filename.toLowerCase().split(/[^a-z]+/);
+  for( var i = 0; i < words.length; i++ ) {
+    if( words[i].length > 3 && LANGUAGE_TOKENS.hasOwnProperty(words[i]) ) {
+      return LANGUAGE_TOKENS[words[i]];
     }
-    this.session.sendMessage('urn:x-cast:com.google.cast.sample.closecaption', message, onSuccess, onError);
-  }     else {
-    alert("First connect to a Cast device.");
   }
-};
+  return '';
+}
 
+/**
+ * @param {string} language A language code
+ * @return {string} A readable label or an empty string for unknown languages
+ */
+function languageLabel(language) {
+  return LANGUAGES[language] || language || '';
+}
+
+/**
+ * Format seconds as H:MM:SS, or M:SS under an hour
+ * @param {Number} time Time in seconds
+ * @return {string}
+ */
+function formatTime(time) {
+  var hr = parseInt(time/3600);
+  var min = parseInt((time % 3600)/60);
+  var sec = parseInt(time % 60);
+  if( hr > 0 ) {
+    return hr + ":" + leftPad(min,2) + ":" + leftPad(sec,2);
+  }
+  return min + ":" + leftPad(sec,2);
+}
+
+function leftPad(number, targetLength) {
+    var output = number + '';
+    while (output.length < targetLength) {
+        output = '0' + output;
+    }
+    return output;
+}
 
-document.addEventListener('DOMContentLoaded',function(){ 
-  document.getElementById("the_bookmarklet").onclick = function (e) {e.preventDefault();alert("Drag this to your bookmarks bar and click it on other pages!")};
-})
+export { CastPlayer };
@@ -0,0 +1,77 @@
+/**
+ * Event emitter
+ * Lets pages follow a player without knowing its markup, e.g.
+ * player.on('state', render). Listeners are called in the order they were
+ * added, with the value emitted.
+ */
+var EventEmitter = function() {
+  // @type {Object} Listeners by event name
+  this.listeners = {};
+};
+
+/**
+ * @param {string} name Event name
+ * @param {function} listener Called with the value of each event
+ * @return {EventEmitter} this, to chain calls
+ */
+EventEmitter.prototype.on = function(name, listener) {
+  if (!this.listeners.hasOwnProperty(name)) {
+    this.listeners[name] = [];
+  }
+  this.listeners[name].push(listener);
+  return this;
+};
+
+/**
+ * @param {string} name Event name
+ * @param {function} listener A listener added with on or once
+ * @return {EventEmitter} this, to chain calls
+ */
+EventEmitter.prototype.off = function(name, listener) {
+  var listeners = this.listeners[name] || [];
+  for (var i = 0; i < listeners.length; i++) {
+    if (listeners[i] === listener || listeners[i].listener === listener) {
+      listeners.splice(i, 1);
+      break;
+    }
+  }
+  return this;
+};
+
+/**
+ * @param {string} name Event name
+ * @param {function} listener Called with the value of the next event only
+ * @return {EventEmitter} this, to chain calls
+ */
+EventEmitter.prototype.once = function(name, listener) {
+  var wrapper = function(value) {
+    this.off(name, wrapper);
+    listener.call(this, value);
+  }.bind(this);
+  // @type {function} Lets off remove the listener before it was called
+  wrapper.listener = listener;
+  return this.on(name, wrapper);
+};
+
+/**
+ * Call the listeners of an event
+ * A failing listener is reported without stopping the others or the player
+ * @param {string} name Event name
+ * @param {*} value Passed to each listener
+ */
+EventEmitter.prototype.emit = function(name, value) {
+  var listeners = (this.listeners[name] || []).slice();
+  for (var i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i].call(this, value);
+    }
+    catch (e) {
+      // still shown in the console, from outside the player
+      setTimeout(function() {
+        throw e;
+      }, 0);
+    }
+  }
+};
+
+export { EventEmitter };
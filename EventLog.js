@@ -0,0 +1,114 @@
+/**
+ * Number of events kept, older ones are dropped
+ **/
+var MAX_EVENTS = 200;
+
+/**
+ * Event levels
+ **/
+var LEVEL = {
+  'INFO' : 'info',
+  'WARNING' : 'warning',
+  'ERROR' : 'error'
+};
+
+/**
+ * Event log
+ * Keeps what happened while casting, {time, level, message, detail}, for
+ * the debug panel and bug reports. Only the last MAX_EVENTS are kept, in
+ * memory, newest last.
+ */
+var EventLog = function() {
+  // @type {Array} The events, oldest first
+  this.events = [];
+  // @type {function} Called with each new event, null when nobody listens
+  this.listener = null;
+};
+
+EventLog.LEVEL = LEVEL;
+
+/**
+ * Record an event
+ * @param {string} level One of LEVEL
+ * @param {string} message What happened, for people
+ * @param {*} opt_detail Anything that helps debugging, e.g. an error object
+ * @return {Object} The event
+ */
+EventLog.prototype.add = function(level, message, opt_detail) {
+  var event = {
+    time: Date.now(),
+    level: level,
+    message: message,
+    detail: opt_detail === undefined ? '' : formatDetail(opt_detail)
+  };
+  this.events.push(event);
+  if (this.events.length > MAX_EVENTS) {
+    this.events.splice(0, this.events.length - MAX_EVENTS);
+  }
+  if (this.listener) {
+    this.listener(event);
+  }
+  return event;
+};
+
+/**
+ * @param {string} message
+ * @param {*} opt_detail
+ */
+EventLog.prototype.info = function(message, opt_detail) {
+  return this.add(LEVEL.INFO, message, opt_detail);
+};
+
+/**
+ * @param {string} message
+ * @param {*} opt_detail
+ */
+EventLog.prototype.warn = function(message, opt_detail) {
+  return this.add(LEVEL.WARNING, message, opt_detail);
+};
+
+/**
+ * @param {string} message
+ * @param {*} opt_detail
+ */
+EventLog.prototype.error = function(message, opt_detail) {
+  return this.add(LEVEL.ERROR, message, opt_detail);
+};
+
+/**
+ * Forget all events
+ */
+EventLog.prototype.clear = function() {
+  this.events = [];
+};
+
+/**
+ * @return {string} The events as text, one per line, to copy into a bug report
+ */
+EventLog.prototype.toText = function() {
+  return this.events.map(function(event) {
+    return new Date(event.time).toISOString() + ' ' + event.level.toUpperCase() + ' '
+      + event.message + (event.detail ? ' ' + event.detail : '');
+  }).join('\n');
+};
+
+/**
+ * @param {*} detail An error, a cast error or any value
+ * @return {string} The detail on one line
+ */
+function formatDetail(detail) {
+  if (detail instanceof Error) {
+    return detail.name + ': ' + detail.message;
+  }
+  if (typeof detail == 'string') {
+    return detail;
+  }
+  try {
+    return JSON.stringify(detail);
+  }
+  catch (e) {
+    return String(detail);
+  }
+}
+
+export { EventLog };
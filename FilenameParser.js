@@ -0,0 +1,233 @@
+/**
+ * Release tags that end the title, with the canonical form of each
+ **/
+var RESOLUTIONS = {
+  '2160p' : '2160p', '4k' : '2160p', 'uhd' : '2160p', '1080p' : '1080p', '1080i' : '1080i',
+  '720p' : '720p', '576p' : '576p', '480p' : '480p'
+};
+
+var CODECS = {
+  'x264' : 'x264', 'h264' : 'H.264', 'h.264' : 'H.264', 'avc' : 'H.264',
+  'x265' : 'x265', 'h265' : 'H.265', 'h.265' : 'H.265', 'hevc' : 'HEVC',
+  'xvid' : 'XviD', 'divx' : 'DivX', 'vp9' : 'VP9', 'av1' : 'AV1'
+};
+
+var SOURCES = {
+  'bluray' : 'BluRay', 'blu-ray' : 'BluRay', 'bdrip' : 'BDRip', 'brrip' : 'BRRip',
+  'web-dl' : 'WEB-DL', 'webdl' : 'WEB-DL', 'webrip' : 'WEBRip', 'web' : 'WEB',
+  'hdtv' : 'HDTV', 'pdtv' : 'PDTV', 'dvdrip' : 'DVDRip', 'dvd' : 'DVD', 'hdrip' : 'HDRip',
+  'cam' : 'CAM', 'ts' : 'TS'
+};
+
+/**
+ * Sources that are also common words in titles
+ **/
+var WEAK_SOURCES = ['web', 'dvd', 'cam', 'ts'];
+
+/**
+ * Other tags that only tell the title is over
+ **/
+var JUNK = ['proper', 'repack', 'internal', 'limited', 'extended', 'unrated', 'remastered',
+  'dubbed', 'subbed', 'multi', 'aac', 'ac3', 'dts', 'dd5', 'mp3', '10bit', 'hdr'];
+
+/**
+ * Filename parser
+ * Reads release names like Show.Name.S02E05.720p.HDTV.x264-GRP.mkv or
+ * Movie.Title.2014.1080p.BluRay.x264-GRP.mp4 from file names and URLs.
+ * A release is an object {title, episodeTitle, season, episode, year,
+ * resolution, codec, source, group, extension}; fields that are not in
+ * the name are empty strings or 0.
+ */
+var FilenameParser = {};
+
+/**
+ * The decoded file name at the end of a URL path
+ * @param {string} url A URL or a plain file name
+ * @return {string} The file name, empty when the path has none
+ */
+FilenameParser.basename = function(url) {
+  var name = (url || '').split(/[?#]/)[0].replace(/\/+$/, '').split('/').pop();
+  if (name.indexOf(':') >= 0) {
+    // a bare host:port
+    return '';
+  }
+  try {
+    return decodeURIComponent(name);
+  }
+  catch (e) {
+    return name;
+  }
+};
+
+/**
+ * Parse a release name
+ * @param {string} name A file name or URL
+ * @return {Object} A release
+ */
+FilenameParser.parse = function(name) {
+  var release = {
+    title: '', episodeTitle: '', season: 0, episode: 0, year: 0,
+    resolution: '', codec: '', source: '', group: '', extension: ''
+  };
+  name = FilenameParser.basename(name);
+  var extension = /\.([a-z0-9]{2,4})$/i.exec(name);
+  if (extension && !/^\d+$/.test(extension[1]) && !isTag([extension[1]], 0)) {
+    release.extension = extension[1].toLowerCase();
+    name = name.substring(0, name.length - extension[0].length);
+  }
+
+  // [Group] Title - 05 [720p], common for anime
+  var prefix = /^\[([^\]]+)\]\s*/.exec(name);
+  if (prefix) {
+    release.group = prefix[1];
+    name = name.substring(prefix[0].length);
+  }
+  var suffix = /-([A-Za-z0-9]+)(?:\[[^\]]*\])?$/.exec(name);
+  var joined = suffix ? (name.substring(0, suffix.index).split(/[\s._]/).pop() + suffix[0]).toLowerCase() : '';
+  if (suffix && !release.group && !SOURCES[joined] && /[._ ]/.test(name.substring(0, suffix.index))) {
+    release.group = suffix[1];
+    name = name.substring(0, suffix.index);
+  }
+
+  var words = name.replace(/[\[\]()]/g, ' ').split(/[\s._]+/).filter(Boolean);
+  var titleEnd = words.length;
+  var episodeEnd = -1;
+  for (var i = 0; i < words.length; i++) {
+    var start = i;
+    var lower = words[i].toLowerCase();
+    var match = /^s(\d{1,2})-?e(\d{1,3})(?:-?e\d{1,3})*$/i.exec(words[i]) || /^(\d{1,2})x(\d{2,3})$/i.exec(words[i]);
+    if (match && episodeEnd < 0) {
+      release.season = parseInt(match[1], 10);
+      release.episode = parseInt(match[2], 10);
+      episodeEnd = i + 1;
+    }
+    else if (lower == 'season' && /^\d{1,2}$/.test(words[i + 1]) && episodeEnd < 0) {
+      release.season = parseInt(words[++i], 10);
+      if (/^episode$/i.test(words[i + 1]) && /^\d{1,3}$/.test(words[i + 2])) {
+        release.episode = parseInt(words[i + 2], 10);
+        i += 2;
+      }
+      episodeEnd = i + 1;
+    }
+    else if (prefix && words[i] == '-' && /^\d{1,3}$/.test(words[i + 1]) && episodeEnd < 0) {
+      release.episode = parseInt(words[++i], 10);
+      episodeEnd = i + 1;
+    }
+    else if (!isTag(words, i)) {
+      continue;
+    }
+    titleEnd = Math.min(titleEnd, start);
+  }
+
+  // a year right before the tags, 2001.A.Space.Odyssey.1968 is from 1968
+  if (titleEnd > 1 && isYear(words[titleEnd - 1])) {
+    release.year = parseInt(words[--titleEnd], 10);
+  }
+  for (var j = 0; j < words.length; j++) {
+    var tag = words[j].toLowerCase();
+    if (!isTag(words, j)) {
+      continue;
+    }
+    release.resolution = release.resolution || RESOLUTIONS[tag] || '';
+    release.codec = release.codec || CODECS[tag] || '';
+    release.source = release.source || SOURCES[tag] || '';
+  }
+
+  release.title = words.slice(0, titleEnd).join(' ').replace(/\s+-$/, '').trim();
+  if (episodeEnd > 0) {
+    var end = episodeEnd;
+    while (end < words.length && !isTag(words, end) && !isYear(words[end])) {
+      end++;
+    }
+    release.episodeTitle = words.slice(episodeEnd, end).join(' ').replace(/^-\s*/, '').trim();
+  }
+  if (!release.title && !release.season && !release.episode) {
+    release.title = words.join(' ');
+  }
+  return release;
+};
+
+/**
+ * Whether a subtitle file was made for a video
+ * The same base name matches, so does the same title with the same
+ * episode for shows or the same year for movies
+ * @param {string} videoName Video file name or URL
+ * @param {string} subtitleName Subtitle file name
+ * @return {Boolean}
+ */
+FilenameParser.matchesSubtitle = function(videoName, subtitleName) {
+  var video = stripExtensions(FilenameParser.basename(videoName));
+  var subtitle = stripExtensions(subtitleName);
+  if (video && video.toLowerCase() == subtitle.toLowerCase()) {
+    return true;
+  }
+  var a = FilenameParser.parse(video);
+  var b = FilenameParser.parse(subtitle);
+  if (!a.title || normalize(a.title) != normalize(b.title)) {
+    return false;
+  }
+  if (a.season || a.episode || b.season || b.episode) {
+    return a.season == b.season && a.episode == b.episode;
+  }
+  return !a.year || !b.year || a.year == b.year;
+};
+
+/**
+ * Release details worth showing next to the title
+ * @param {Object} release A release
+ * @return {string} e.g. 720p · HDTV · x264 · GRP
+ */
+FilenameParser.tags = function(release) {
+  return [release.resolution, release.source, release.codec, release.group].filter(Boolean).join(' · ');
+};
+
+/**
+ * Whether a word of a release name is a release tag
+ * Tags that are also common words, like WEB or TS, only count after
+ * a year or another tag
+ * @param {Array} words Words of the name
+ * @param {Number} index Index of the word
+ * @return {Boolean}
+ */
+function isTag(words, index) {
+  var lower = words[index].toLowerCase();
+  if (RESOLUTIONS[lower] || CODECS[lower] || JUNK.indexOf(lower) >= 0) {
+    return true;
+  }
+  if (!SOURCES[lower] || index == 0) {
+    return false;
+  }
+  if (WEAK_SOURCES.indexOf(lower) < 0) {
+    return true;
+  }
+  return isYear(words[index - 1]) || isTag(words, index - 1);
+}
+
+/**
+ * @param {string} word A word of a release name
+ * @return {Boolean} Whether the word looks like a release year
+ */
+function isYear(word) {
+  return /^(19|20)\d{2}$/.test(word || '');
+}
+
+/**
+ * Drop the extension and language suffix of a file name
+ * @param {string} name e.g. Movie.2014.pt-BR.srt
+ * @return {string} e.g. Movie.2014
+ */
+function stripExtensions(name) {
+  return (name || '')
+    .replace(/\.[a-z0-9]{2,4}$/i, '')
+    .replace(/\.(?:[a-z]{2,3}(?:[-_][a-z]{2})?|forced|sdh|hi)$/i, '');
+}
+
+/**
+ * @param {string} title A title
+ * @return {string} The title in lower case letters and digits only
+ */
+function normalize(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+export { FilenameParser };
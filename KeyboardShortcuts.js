@@ -0,0 +1,153 @@
+/**
+ * Key bindings:
+ *  - keys: values of KeyboardEvent.key, letters in lower case
+ *  - label: how the keys are written in the help overlay
+ *  - action, args: the CastPlayer method run and its arguments
+ *  - description: what the help overlay says it does
+ **/
+var BINDINGS = [
+  {keys: [' ', 'k'], label: 'Space / K', action: 'togglePlayback', args: [], description: 'Play or pause'},
+  {keys: ['j'], label: 'J', action: 'seekBy', args: [-10], description: 'Back 10 seconds'},
+  {keys: ['l'], label: 'L', action: 'seekBy', args: [10], description: 'Forward 10 seconds'},
+  {keys: ['ArrowLeft'], label: '←', action: 'seekBy', args: [-5], description: 'Back 5 seconds'},
+  {keys: ['ArrowRight'], label: '→', action: 'seekBy', args: [5], description: 'Forward 5 seconds'},
+  {keys: ['ArrowUp'], label: '↑', action: 'stepVolume', args: [1], description: 'Volume up'},
+  {keys: ['ArrowDown'], label: '↓', action: 'stepVolume', args: [-1], description: 'Volume down'},
+  {keys: ['m'], label: 'M', action: 'muteMedia', args: [], description: 'Mute or unmute'},
+  {keys: ['c'], label: 'C', action: 'cycleCaptions', args: [], description: 'Next subtitle track, then off'},
+  {keys: ['['], label: '[', action: 'adjustSubtitleOffset', args: [-0.1], description: 'Subtitles 0.1s earlier'},
+  {keys: [']'], label: ']', action: 'adjustSubtitleOffset', args: [0.1], description: 'Subtitles 0.1s later'},
+  {keys: ['n'], label: 'N', action: 'nextMedia', args: [], description: 'Next in queue'},
+  {keys: ['p'], label: 'P', action: 'previousMedia', args: [], description: 'Previous in queue'}
+];
+
+/**
+ * Key that shows and hides the help overlay
+ **/
+var HELP_KEY = '?';
+
+/**
+ * Keyboard shortcuts
+ * Runs CastPlayer actions from key presses anywhere on the page, except
+ * while typing in a form field, and lists the bindings in a help overlay.
+ * @param {CastPlayer} player The player controlled
+ * @param {HTMLElement} help The help overlay
+ */
+var KeyboardShortcuts = function(player, help) {
+  // @type {CastPlayer} The player controlled
+  this.player = player;
+  // @type {HTMLElement} The help overlay, hidden until the help key is pressed
+  this.help = help;
+
+  this.renderHelp();
+  help.addEventListener('click', this.hideHelp.bind(this));
+  document.addEventListener('keydown', this.onKeyDown.bind(this));
+};
+
+/**
+ * Run the action bound to a key
+ * Keys with modifiers are left to the browser, so are keys already handled,
+ * e.g. arrows by a focused seek bar
+ * @param {KeyboardEvent} e
+ */
+KeyboardShortcuts.prototype.onKeyDown = function(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) {
+    return;
+  }
+  if (e.key == 'Escape' && this.isHelpShown()) {
+    this.hideHelp();
+    return;
+  }
+  if (e.key == HELP_KEY) {
+    this.toggleHelp();
+    e.preventDefault();
+    return;
+  }
+  if (e.key == ' ' && /^(BUTTON|A)$/.test(e.target.tagName)) {
+    // space presses focused buttons and links
+    return;
+  }
+  var binding = findBinding(e.key.length == 1 ? e.key.toLowerCase() : e.key);
+  if (!binding) {
+    return;
+  }
+  e.preventDefault();
+  this.player[binding.action].apply(this.player, binding.args);
+};
+
+/**
+ * @return {Boolean} Whether the help overlay is shown
+ */
+KeyboardShortcuts.prototype.isHelpShown = function() {
+  return this.help.style.display == 'block';
+};
+
+/**
+ * Show the help overlay, or hide it when shown
+ */
+KeyboardShortcuts.prototype.toggleHelp = function() {
+  if (this.isHelpShown()) {
+    this.hideHelp();
+  }
+  else {
+    this.help.style.display = 'block';
+    this.help.focus();
+  }
+};
+
+/**
+ * Hide the help overlay
+ */
+KeyboardShortcuts.prototype.hideHelp = function() {
+  this.help.style.display = 'none';
+};
+
+/**
+ * List the bindings in the help overlay
+ */
+KeyboardShortcuts.prototype.renderHelp = function() {
+  var list = document.createElement('dl');
+  var rows = BINDINGS.concat([{label: HELP_KEY, description: 'Show or hide this help'}]);
+  for (var i = 0; i < rows.length; i++) {
+    var key = document.createElement('dt');
+    key.textContent = rows[i].label;
+    var description = document.createElement('dd');
+    description.textContent = rows[i].description;
+    list.appendChild(key);
+    list.appendChild(description);
+  }
+  this.help.innerHTML = '';
+  this.help.setAttribute('role', 'dialog');
+  this.help.setAttribute('aria-label', 'Keyboard shortcuts');
+  this.help.setAttribute('tabindex', '-1');
+  this.help.appendChild(list);
+};
+
+/**
+ * @param {string} key A KeyboardEvent key, letters in lower case
+ * @return {Object} The binding of the key or null
+ */
+function findBinding(key) {
+  for (var i = 0; i < BINDINGS.length; i++) {
+    if (BINDINGS[i].keys.indexOf(key) >= 0) {
+      return BINDINGS[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {HTMLElement} element The target of a key press
+ * @return {Boolean} Whether keys typed there are text
+ */
+function isTyping(element) {
+  if (element.isContentEditable) {
+    return true;
+  }
+  if (element.tagName == 'INPUT') {
+    return !/^(button|checkbox|radio|color|file|submit|reset)$/.test(element.type);
+  }
+  return element.tagName == 'TEXTAREA' || element.tagName == 'SELECT';
+}
+
+export { KeyboardShortcuts };
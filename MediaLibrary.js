@@ -0,0 +1,434 @@
+import { EventEmitter } from './EventEmitter.js';
+import { FilenameParser } from './FilenameParser.js';
+import { MediaMetadata } from './MediaMetadata.js';
+import { MediaType } from './MediaType.js';
+
+/**
+ * Key under which the last library opened is kept between sessions
+ **/
+var STORAGE_KEY = 'popcorncast.library';
+
+/**
+ * Milliseconds to wait for a listing
+ **/
+var REQUEST_TIMEOUT = 10000;
+
+/**
+ * Number of media whose duration is read at the same time
+ **/
+var PROBE_CONCURRENCY = 2;
+
+/**
+ * Heading of the media that are not episodes
+ **/
+var OTHER_GROUP = 'Movies';
+
+/**
+ * Media library
+ * Lists the media of a folder served by MediaServer, or of a JSON index
+ * file in the same format {folders, media}; an index may also be a plain
+ * list of media and use URLs relative to itself. Episodes are grouped by
+ * show and season read from their file names, movies follow. Posters come
+ * from the listing, durations from the listing or from the media itself.
+ * Picking a media emits 'select' with a library media {name, url,
+ * contentType, duration, metadata, subtitles}, see CastPlayer.playLibraryMedia.
+ * @param {HTMLElement} element Element the library is rendered in
+ */
+var MediaLibrary = function(element) {
+  EventEmitter.call(this);
+  // @type {HTMLElement} Element the library is rendered in
+  this.element = element;
+  // @type {string} URL of the listing shown
+  this.url = '';
+  // @type {Object} The listing shown {path, parent, folders, media}
+  this.listing = null;
+  // @type {Object} Durations in seconds by media URL
+  this.durations = {};
+  // @type {Array} Media waiting for their duration to be read
+  this.probes = [];
+  // @type {Number} Number of durations being read
+  this.probing = 0;
+  // @type {Object} Duration elements of the media shown by URL
+  this.durationElements = {};
+};
+
+MediaLibrary.prototype = Object.create(EventEmitter.prototype);
+MediaLibrary.prototype.constructor = MediaLibrary;
+
+/**
+ * Group media by show and season, the other media last
+ * @param {Array} media Library media
+ * @return {Array} Groups {title, media} in display order
+ */
+MediaLibrary.group = function(media) {
+  var groups = {};
+  var keys = [];
+  var others = [];
+  media.forEach(function(item) {
+    var metadata = item.metadata;
+    if (!metadata.isEpisode()) {
+      others.push(item);
+      return;
+    }
+    var show = metadata.seriesTitle || metadata.title;
+    var key = show.toLowerCase() + '\n' + leftPad(metadata.season);
+    if (!groups.hasOwnProperty(key)) {
+      groups[key] = {title: show + (metadata.season ? ' · Season ' + metadata.season : ''), media: []};
+      keys.push(key);
+    }
+    groups[key].media.push(item);
+  });
+  var sorted = keys.sort().map(function(key) {
+    groups[key].media.sort(function(a, b) {
+      return a.metadata.episode - b.metadata.episode || a.name.localeCompare(b.name);
+    });
+    return groups[key];
+  });
+  if (others.length) {
+    others.sort(function(a, b) {
+      return a.metadata.displayTitle().localeCompare(b.metadata.displayTitle(), undefined, {numeric: true});
+    });
+    sorted.push({title: OTHER_GROUP, media: others});
+  }
+  return sorted;
+};
+
+/**
+ * @return {string} The URL of the library opened last, empty if none
+ */
+MediaLibrary.prototype.lastUrl = function() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  }
+  catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Show a listing
+ * @param {string} url A MediaServer /list/ URL or a JSON index file
+ * @param {function} opt_errorCallback Called with an Error when it could not be read
+ */
+MediaLibrary.prototype.open = function(url, opt_errorCallback) {
+  var absolute = new URL(url, location.href).href;
+  requestJson(absolute, function(data) {
+    this.url = absolute;
+    this.listing = normalizeListing(data, absolute);
+    try {
+      localStorage.setItem(STORAGE_KEY, url);
+    }
+    catch (e) {
+      // storage may be disabled, the library is then asked for again
+    }
+    this.render();
+  }.bind(this), function(e) {
+    this.renderMessage(e.message);
+    if (opt_errorCallback) {
+      opt_errorCallback(e);
+    }
+  }.bind(this));
+};
+
+/**
+ * Wire the library form: the field takes a listing URL, the button opens it
+ * The library opened last is opened again
+ * @param {HTMLInputElement} input The listing URL field
+ * @param {HTMLElement} button The open button
+ */
+MediaLibrary.prototype.attachTo = function(input, button) {
+  var open = function() {
+    if (input.value.trim()) {
+      this.open(input.value.trim());
+    }
+  }.bind(this);
+  input.value = this.lastUrl();
+  button.addEventListener('click', open);
+  input.addEventListener('keydown', function(e) {
+    if (e.key == 'Enter') {
+      e.preventDefault();
+      open();
+    }
+  });
+  open();
+};
+
+/**
+ * Render the listing: the way up, the folders and the media by group
+ */
+MediaLibrary.prototype.render = function() {
+  var listing = this.listing;
+  this.stopProbes();
+  this.element.innerHTML = '';
+  this.durationElements = {};
+
+  var path = append(this.element, 'div', 'library_path');
+  if (listing.parent !== null) {
+    var up = append(path, 'a', 'library_up', '↑ Up');
+    up.href = '#';
+    up.addEventListener('click', this.onOpenClick.bind(this, new URL('../', this.url).href));
+  }
+  append(path, 'span', 'library_folder_name', '/' + listing.path);
+
+  if (listing.folders.length) {
+    var folders = append(this.element, 'ul', 'library_folders');
+    listing.folders.forEach(function(folder) {
+      var link = append(append(folders, 'li'), 'a', '', folder.name + '/');
+      link.href = '#';
+      link.addEventListener('click', this.onOpenClick.bind(this, folder.url));
+    }, this);
+  }
+
+  MediaLibrary.group(listing.media).forEach(function(group) {
+    var section = append(this.element, 'div', 'library_group');
+    append(section, 'h3', '', group.title);
+    var list = append(section, 'ul', 'library_media');
+    group.media.forEach(function(media) {
+      this.renderMedia(list, media);
+    }, this);
+  }, this);
+
+  if (!listing.folders.length && !listing.media.length) {
+    append(this.element, 'div', 'library_empty', 'Nothing to cast in this folder');
+  }
+};
+
+/**
+ * @param {HTMLElement} list The list of a group
+ * @param {Object} media A library media
+ */
+MediaLibrary.prototype.renderMedia = function(list, media) {
+  var item = append(list, 'li', 'library_item');
+  var type = MediaType.detect(media.url, media.contentType);
+  var metadata = media.metadata;
+  var poster = append(item, 'img', 'library_poster');
+  poster.alt = '';
+  if (metadata.poster) {
+    poster.src = metadata.poster;
+  }
+  // the group heading already names the show
+  append(item, 'span', 'library_title', metadata.isEpisode() ?
+    (metadata.episodeCode() + ' ' + (metadata.seriesTitle ? metadata.title : '')).trim() : metadata.title);
+  append(item, 'span', 'library_details', [metadata.year || '', metadata.tags()].filter(Boolean).join(' · '));
+  var duration = append(item, 'span', 'library_duration');
+  if (media.subtitles.length) {
+    append(item, 'span', 'library_subtitles', 'CC').title = media.subtitles.map(function(subtitle) {
+      return subtitle.label || subtitle.language || FilenameParser.basename(subtitle.url);
+    }).join(', ');
+  }
+  if (!MediaType.isCastable(type)) {
+    item.className += ' uncastable';
+    item.title = MediaType.warning(type);
+  }
+  item.tabIndex = 0;
+  item.addEventListener('click', this.emit.bind(this, 'select', media));
+  item.addEventListener('keydown', function(e) {
+    if (e.key == 'Enter') {
+      this.emit('select', media);
+    }
+  }.bind(this));
+
+  this.durationElements[media.url] = duration;
+  if (media.duration) {
+    this.durations[media.url] = media.duration;
+  }
+  if (this.durations[media.url]) {
+    this.renderDuration(media);
+  }
+  else if (type.kind == 'video' || type.kind == 'audio') {
+    this.probes.push(media);
+    this.probeNext();
+  }
+};
+
+/**
+ * @param {Object} media A library media whose duration is known
+ */
+MediaLibrary.prototype.renderDuration = function(media) {
+  media.duration = this.durations[media.url];
+  var element = this.durationElements[media.url];
+  if (element) {
+    element.textContent = formatDuration(media.duration);
+  }
+};
+
+/**
+ * @param {string} message Why there is nothing to show
+ */
+MediaLibrary.prototype.renderMessage = function(message) {
+  this.stopProbes();
+  this.element.innerHTML = '';
+  append(this.element, 'div', 'library_empty', message);
+};
+
+/**
+ * @param {string} url A listing URL
+ * @param {Event} e The click
+ */
+MediaLibrary.prototype.onOpenClick = function(url, e) {
+  e.preventDefault();
+  this.open(url);
+};
+
+/**
+ * Read the duration of the next media waiting for it from its metadata
+ */
+MediaLibrary.prototype.probeNext = function() {
+  if (this.probing >= PROBE_CONCURRENCY || !this.probes.length) {
+    return;
+  }
+  var media = this.probes.shift();
+  var probes = this.probes;
+  var video = document.createElement('video');
+  var done = function() {
+    video.removeAttribute('src');
+    video.load();
+    // probes of a listing no longer shown are not counted any more
+    if (probes === this.probes) {
+      this.probing--;
+      this.probeNext();
+    }
+  }.bind(this);
+  this.probing++;
+  video.preload = 'metadata';
+  video.muted = true;
+  video.addEventListener('loadedmetadata', function() {
+    if (isFinite(video.duration) && video.duration > 0) {
+      this.durations[media.url] = video.duration;
+      this.renderDuration(media);
+    }
+    done();
+  }.bind(this));
+  video.addEventListener('error', done);
+  video.src = media.url;
+  this.probeNext();
+};
+
+/**
+ * Forget the durations still to read, those being read finish on their own
+ */
+MediaLibrary.prototype.stopProbes = function() {
+  this.probes = [];
+  this.probing = 0;
+};
+
+/**
+ * Turn a listing or an index into the listing shown
+ * @param {Object|Array} data The JSON read
+ * @param {string} baseUrl URL it was read from, relative URLs start from it
+ * @return {Object} {path, parent, folders: [{name, url}], media}
+ */
+function normalizeListing(data, baseUrl) {
+  var listing = Array.isArray(data) ? {media: data} : data || {};
+  return {
+    path: listing.path || '',
+    parent: listing.parent === undefined ? null : listing.parent,
+    folders: (listing.folders || []).map(function(folder) {
+      return {name: folder.name, url: new URL(folder.url || folder.path, baseUrl).href};
+    }),
+    media: (listing.media || []).filter(function(media) {
+      return media && (media.url || media.path);
+    }).map(function(media) {
+      return normalizeMedia(media, baseUrl);
+    })
+  };
+}
+
+/**
+ * @param {Object} media A media of a listing or an index {url, name,
+ *  contentType, poster, duration, subtitles} plus optional metadata
+ *  fields overriding what the file name tells
+ * @param {string} baseUrl URL of the listing
+ * @return {Object} A library media
+ */
+function normalizeMedia(media, baseUrl) {
+  var url = new URL(media.url || media.path, baseUrl).href;
+  var name = media.name || FilenameParser.basename(url);
+  var metadata = MediaMetadata.fromFilename(name);
+  metadata.update(media);
+  if (media.poster) {
+    metadata.poster = new URL(media.poster, baseUrl).href;
+  }
+  return {
+    name: name,
+    url: url,
+    contentType: media.contentType || '',
+    duration: parseFloat(media.duration) || 0,
+    metadata: metadata,
+    subtitles: (media.subtitles || []).map(function(subtitle) {
+      return {
+        url: new URL(subtitle.url || subtitle.path, baseUrl).href,
+        language: subtitle.language || '',
+        label: subtitle.label || ''
+      };
+    })
+  };
+}
+
+/**
+ * @param {string} url A JSON URL
+ * @param {function} successCallback Called with the parsed JSON
+ * @param {function} errorCallback Called with an Error
+ */
+function requestJson(url, successCallback, errorCallback) {
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', url);
+  xhr.timeout = REQUEST_TIMEOUT;
+  xhr.onload = function() {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      errorCallback(new Error(url + ' answered ' + xhr.status));
+      return;
+    }
+    try {
+      successCallback(JSON.parse(xhr.responseText));
+    }
+    catch (e) {
+      errorCallback(new Error(url + ' is not a media listing'));
+    }
+  };
+  xhr.onerror = xhr.ontimeout = function() {
+    errorCallback(new Error('Could not reach ' + url));
+  };
+  xhr.send();
+}
+
+/**
+ * @param {HTMLElement} parent
+ * @param {string} tag
+ * @param {string} opt_className
+ * @param {string} opt_text
+ * @return {HTMLElement} The new child
+ */
+function append(parent, tag, opt_className, opt_text) {
+  var element = document.createElement(tag);
+  if (opt_className) {
+    element.className = opt_className;
+  }
+  if (opt_text) {
+    element.textContent = opt_text;
+  }
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * @param {Number} seconds A duration
+ * @return {string} e.g. 1h 42m, or 24m
+ */
+function formatDuration(seconds) {
+  var minutes = Math.round(seconds / 60);
+  if (minutes < 60) {
+    return Math.max(1, minutes) + 'm';
+  }
+  return Math.floor(minutes / 60) + 'h ' + leftPad(minutes % 60) + 'm';
+}
+
+/**
+ * @param {Number} value A number under 100
+ * @return {string} The number on two digits
+ */
+function leftPad(value) {
+  return (value < 10 ? '0' : '') + value;
+}
+
+export { MediaLibrary };
@@ -0,0 +1,227 @@
+import { FilenameParser } from './FilenameParser.js';
+
+/**
+ * Metadata fields and their empty values
+ **/
+var FIELDS = {
+  'title' : '',
+  'seriesTitle' : '',
+  'season' : 0,
+  'episode' : 0,
+  'year' : 0,
+  'poster' : '',
+  'backdrop' : '',
+  'resolution' : '',
+  'source' : '',
+  'codec' : '',
+  'group' : ''
+};
+
+/**
+ * Media metadata
+ * Describes a movie or a TV show episode for the receiver and the sender UI:
+ *  - title: movie title, or episode title of a TV show
+ *  - seriesTitle: name of the show, empty for movies
+ *  - season, episode: episode numbers, 0 when unknown
+ *  - year: release year, 0 when unknown
+ *  - poster, backdrop: image URLs, empty when there is none
+ *  - resolution, source, codec, group: release details read from file names
+ * @param {Object} opt_values Initial values
+ */
+var MediaMetadata = function(opt_values) {
+  for (var key in FIELDS) {
+    this[key] = FIELDS[key];
+  }
+  this.update(opt_values || {});
+};
+
+/**
+ * Metadata read from a release name like Show.Name.S02E05.720p.HDTV.x264-GRP.mkv
+ * @param {string} name A file name or URL
+ * @return {MediaMetadata}
+ */
+MediaMetadata.fromFilename = function(name) {
+  var release = FilenameParser.parse(name);
+  var episode = release.season > 0 || release.episode > 0;
+  return new MediaMetadata({
+    'title' : episode ? release.episodeTitle : release.title,
+    'seriesTitle' : episode ? release.title : '',
+    'season' : release.season,
+    'episode' : release.episode,
+    'year' : release.year,
+    'resolution' : release.resolution,
+    'source' : release.source,
+    'codec' : release.codec,
+    'group' : release.group
+  });
+};
+
+/**
+ * Copy the known metadata values, converting numbers from form fields
+ * @param {Object} values Metadata values
+ */
+MediaMetadata.prototype.update = function(values) {
+  for (var key in FIELDS) {
+    if (values[key] === undefined || values[key] === null) {
+      continue;
+    }
+    if (typeof FIELDS[key] == 'number') {
+      this[key] = parseInt(values[key], 10) || 0;
+    }
+    else {
+      this[key] = String(values[key]).trim();
+    }
+  }
+};
+
+/**
+ * @return {Boolean} Whether this describes a TV show episode
+ */
+MediaMetadata.prototype.isEpisode = function() {
+  return !!this.seriesTitle || this.episode > 0;
+};
+
+/**
+ * @return {string} The episode as S01E02, empty for movies
+ */
+MediaMetadata.prototype.episodeCode = function() {
+  if (!this.isEpisode()) {
+    return '';
+  }
+  var code = this.season > 0 ? 'S' + leftPad(this.season) : '';
+  return code + (this.episode > 0 ? 'E' + leftPad(this.episode) : '');
+};
+
+/**
+ * Heading and subheading shown on the sender overlay and the receiver
+ * @return {Object} {title, subtitle}
+ */
+MediaMetadata.prototype.toDisplay = function() {
+  var year = this.year ? String(this.year) : '';
+  if (!this.isEpisode()) {
+    return {title: this.title, subtitle: year};
+  }
+  var details = [this.episodeCode()];
+  if (this.seriesTitle && this.title) {
+    details.push(this.title);
+  }
+  if (year) {
+    details.push(year);
+  }
+  return {
+    title: this.seriesTitle || this.title,
+    subtitle: details.filter(Boolean).join(' · ')
+  };
+};
+
+/**
+ * One line title for the queue and the history
+ * @return {string}
+ */
+MediaMetadata.prototype.displayTitle = function() {
+  if (this.isEpisode()) {
+    return ((this.seriesTitle || this.title) + ' ' + this.episodeCode()).trim();
+  }
+  return this.title + (this.year ? ' (' + this.year + ')' : '');
+};
+
+/**
+ * @return {string} Release details, e.g. 720p · HDTV · x264 · GRP
+ */
+MediaMetadata.prototype.tags = function() {
+  return FilenameParser.tags(this);
+};
+
+/**
+ * Metadata for the receiver, TvShowMediaMetadata for episodes and
+ * MovieMediaMetadata otherwise
+ * @return {chrome.cast.media.MovieMediaMetadata|chrome.cast.media.TvShowMediaMetadata}
+ */
+MediaMetadata.prototype.toCastMetadata = function() {
+  var metadata;
+  if (this.isEpisode()) {
+    metadata = new chrome.cast.media.TvShowMediaMetadata();
+    metadata.seriesTitle = this.seriesTitle || this.title;
+    metadata.title = this.seriesTitle ? this.title || this.episodeCode() : this.episodeCode();
+    if (this.season > 0) {
+      metadata.season = this.season;
+    }
+    if (this.episode > 0) {
+      metadata.episode = this.episode;
+    }
+    if (this.year) {
+      metadata.originalAirdate = String(this.year);
+    }
+  }
+  else {
+    metadata = new chrome.cast.media.MovieMediaMetadata();
+    metadata.title = this.title;
+    if (this.year) {
+      metadata.releaseDate = String(this.year);
+    }
+  }
+  metadata.images = [];
+  if (this.poster) {
+    metadata.images.push(new chrome.cast.Image(this.poster));
+  }
+  if (this.backdrop) {
+    metadata.images.push(new chrome.cast.Image(this.backdrop));
+  }
+  return metadata;
+};
+
+/**
+ * The payload of the load customData and SET_METADATA messages, read by
+ * our receiver to show what is playing
+ * @return {Object}
+ */
+MediaMetadata.prototype.toPayload = function() {
+  var display = this.toDisplay();
+  return {
+    title: display.title,
+    subtitle: display.subtitle,
+    thumb: this.poster,
+    backdrop: this.backdrop
+  };
+};
+
+/**
+ * Metadata for the Media Session API, shown by the OS media controls
+ * @return {Object} A Media Session MediaMetadata, null without the API
+ */
+MediaMetadata.prototype.toSessionMetadata = function() {
+  // the Media Session API class, whose name this module shadows, is read
+  // here so the module also loads outside browsers
+  var SessionMetadata = typeof window != 'undefined' ? window.MediaMetadata : undefined;
+  if (!SessionMetadata) {
+    return null;
+  }
+  var display = this.toDisplay();
+  return new SessionMetadata({
+    title: display.title,
+    artist: display.subtitle,
+    album: this.tags(),
+    artwork: this.poster ? [{src: this.poster}] : []
+  });
+};
+
+/**
+ * @return {Object} The plain metadata values
+ */
+MediaMetadata.prototype.toJSON = function() {
+  var values = {};
+  for (var key in FIELDS) {
+    values[key] = this[key];
+  }
+  return values;
+};
+
+/**
+ * @param {Number} number A season or episode number
+ * @return {string} The number on two digits at least
+ */
+function leftPad(number) {
+  return (number < 10 ? '0' : '') + number;
+}
+
+export { MediaMetadata };
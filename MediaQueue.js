@@ -0,0 +1,170 @@
+import { MediaMetadata } from './MediaMetadata.js';
+
+/**
+ * Media queue
+ * An ordered list of media items cast one after the other. Each item is
+ * an object {id, url, contentType, live, title, metadata, textTracks, activeTrackIndex, startTime, castItemId}:
+ *  - id: a number identifying the item on this page
+ *  - contentType: MIME type reported by the server, empty until resolved
+ *  - live: whether the media is a live stream, read from its manifest
+ *  - title: one line title shown in the queue and the history
+ *  - metadata: the MediaMetadata sent to the receiver
+ *  - textTracks, activeTrackIndex: the subtitle tracks of the item
+ *  - startTime: position in seconds the next load starts from
+ *  - castItemId: the itemId the receiver gave the item, null until queued there
+ */
+var MediaQueue = function() {
+  // @type {Array} The queued media items
+  this.items = [];
+  // @type {Number} The id of the next item added
+  this.nextId = 1;
+};
+
+/**
+ * Append a media URL to the queue
+ * @param {string} url Media URL
+ * @param {string} opt_title Title shown in the queue, read from the file name if omitted
+ * @return {Object} The new item
+ */
+MediaQueue.prototype.add = function(url, opt_title) {
+  var metadata = opt_title ? new MediaMetadata({'title' : opt_title}) : metadataFromUrl(url);
+  var item = {
+    'id' : this.nextId++,
+    'url' : url,
+    'contentType' : '',
+    'live' : false,
+    'title' : metadata.displayTitle() || titleFromUrl(url),
+    'metadata' : metadata,
+    'textTracks' : [],
+    'activeTrackIndex' : -1,
+    'startTime' : 0,
+    'castItemId' : null
+  };
+  this.items.push(item);
+  return item;
+};
+
+/**
+ * Point an item at the file its link resolved to
+ * Metadata read from the old URL is read again from the new one
+ * @param {Object} item A queued item
+ * @param {string} url Resolved media URL
+ * @param {string} contentType MIME type, empty if unknown
+ */
+MediaQueue.prototype.resolve = function(item, url, contentType) {
+  if (JSON.stringify(item.metadata) == JSON.stringify(metadataFromUrl(item.url))) {
+    item.metadata = metadataFromUrl(url);
+    item.title = item.metadata.displayTitle() || titleFromUrl(url);
+  }
+  item.url = url;
+  item.contentType = contentType;
+};
+
+/**
+ * Describe an item, its title follows the new metadata
+ * @param {Object} item A queued item
+ * @param {Object} values MediaMetadata values
+ */
+MediaQueue.prototype.setMetadata = function(item, values) {
+  item.metadata.update(values);
+  item.title = item.metadata.displayTitle() || titleFromUrl(item.url);
+};
+
+/**
+ * @param {Number} index Position in the queue
+ * @return {Object} The removed item
+ */
+MediaQueue.prototype.remove = function(index) {
+  return this.items.splice(index, 1)[0];
+};
+
+/**
+ * @param {Number} index Position of the item to move
+ * @param {Number} newIndex Its new position
+ */
+MediaQueue.prototype.move = function(index, newIndex) {
+  var item = this.items.splice(index, 1)[0];
+  this.items.splice(newIndex, 0, item);
+};
+
+/**
+ * @param {Number} index Position in the queue
+ * @return {Object} The item or undefined
+ */
+MediaQueue.prototype.get = function(index) {
+  return this.items[index];
+};
+
+/**
+ * @return {Number} Number of queued items
+ */
+MediaQueue.prototype.size = function() {
+  return this.items.length;
+};
+
+/**
+ * @param {Number} castItemId An itemId reported by the receiver
+ * @return {Number} Position of the matching item, -1 if unknown
+ */
+MediaQueue.prototype.indexOfCastItem = function(castItemId) {
+  for (var i = 0; i < this.items.length; i++) {
+    if (this.items[i].castItemId === castItemId) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Record the receiver itemIds of the queue
+ * The receiver may hold only part of the queue, items are matched by URL
+ * in order, or by position when receiver items have no media
+ * @param {Array} castItems The chrome.cast.media.QueueItem list of a media session
+ */
+MediaQueue.prototype.syncCastItems = function(castItems) {
+  var unmatched = castItems.slice();
+  for (var i = 0; i < this.items.length; i++) {
+    var castItem = null;
+    for (var j = 0; j < unmatched.length; j++) {
+      var media = unmatched[j].media;
+      if (media ? media.contentId == this.items[i].url : castItems.length == this.items.length && unmatched[j] === castItems[i]) {
+        castItem = unmatched.splice(j, 1)[0];
+        break;
+      }
+    }
+    this.items[i].castItemId = castItem ? castItem.itemId : null;
+  }
+};
+
+/**
+ * Read the metadata of a media from its file name
+ * @param {string} url Media URL
+ * @return {MediaMetadata}
+ */
+function metadataFromUrl(url) {
+  var metadata = MediaMetadata.fromFilename(url);
+  if (!metadata.isEpisode() && !metadata.title) {
+    metadata.title = titleFromUrl(url);
+  }
+  return metadata;
+}
+
+/**
+ * Derive a title from the last part of a URL path
+ * @param {string} url Media URL
+ * @return {string}
+ */
+function titleFromUrl(url) {
+  var name = url.split(/[?#]/)[0].replace(/\/+$/, '').split('/').pop();
+  if (!name || name.indexOf(':') >= 0) {
+    return 'PopcornCast';
+  }
+  try {
+    return decodeURIComponent(name);
+  }
+  catch (e) {
+    return name;
+  }
+}
+
+export { MediaQueue };
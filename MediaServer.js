@@ -0,0 +1,562 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { FilenameParser } from './FilenameParser.js';
+import { MediaType } from './MediaType.js';
+import { SubtitleConverter } from './SubtitleConverter.js';
+
+/**
+ * Port the server listens on by default, next to the Popcorn Time streamer
+ **/
+var DEFAULT_PORT = 8889;
+
+/**
+ * Subtitle formats converted to WebVTT when their .vtt is asked for
+ **/
+var SUBTITLE_EXTENSIONS = ['srt', 'ass', 'ssa', 'sub'];
+
+/**
+ * Extensions of images shown as the poster of a video or a folder
+ **/
+var POSTER_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+
+/**
+ * Poster of a whole folder, e.g. a season, when a video has none of its own
+ **/
+var FOLDER_POSTERS = ['poster', 'folder', 'cover'];
+
+/**
+ * Content types of the files MediaType does not know
+ **/
+var CONTENT_TYPES = {
+  'vtt' : 'text/vtt; charset=utf-8',
+  'srt' : 'application/x-subrip; charset=utf-8',
+  'ass' : 'text/x-ssa; charset=utf-8',
+  'ssa' : 'text/x-ssa; charset=utf-8',
+  'sub' : 'text/plain; charset=utf-8',
+  'json' : 'application/json; charset=utf-8'
+};
+
+/**
+ * Headers that let the Chromecast and the sender page read from another origin
+ **/
+var CORS_HEADERS = {
+  'Access-Control-Allow-Origin' : '*',
+  'Access-Control-Allow-Methods' : 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers' : 'Range, Content-Type',
+  'Access-Control-Expose-Headers' : 'Accept-Ranges, Content-Length, Content-Range'
+};
+
+/**
+ * Media server
+ * Serves a folder of the computer to the Chromecast, for media that is not
+ * streamed by Popcorn Time. Run it with
+ *   node MediaServer.js ~/Videos [port]
+ * It answers
+ *  - /files/<path>: a file, with range requests; a .vtt that does not
+ *    exist is converted from the .srt, .ass or .sub of the same name
+ *  - /list/<path>: the folder as JSON {path, parent, folders, media}, see
+ *    listFolder; the media URLs can be cast as they are
+ * Symbolic links are followed only while they stay inside the folder.
+ * @param {string} root The folder to serve, it must exist
+ */
+var MediaServer = function(root) {
+  // @type {string} Real absolute path of the folder served
+  this.root = fs.realpathSync(path.resolve(root));
+  // @type {http.Server} Set by listen
+  this.server = null;
+};
+
+MediaServer.DEFAULT_PORT = DEFAULT_PORT;
+
+/**
+ * Start answering requests
+ * @param {Number} port The port to listen on
+ * @param {function} opt_callback Called once listening
+ */
+MediaServer.prototype.listen = function(port, opt_callback) {
+  this.server = http.createServer(this.onRequest.bind(this));
+  this.server.listen(port, opt_callback);
+};
+
+/**
+ * Stop answering requests
+ * @param {function} opt_callback Called once closed
+ */
+MediaServer.prototype.close = function(opt_callback) {
+  this.server.close(opt_callback);
+};
+
+/**
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+MediaServer.prototype.onRequest = function(request, response) {
+  var url = new URL(request.url, 'http://' + (request.headers.host || 'localhost'));
+  var route = url.pathname.split('/')[1];
+  var relative;
+  for (var name in CORS_HEADERS) {
+    response.setHeader(name, CORS_HEADERS[name]);
+  }
+  if (request.method == 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+  if (request.method != 'GET' && request.method != 'HEAD') {
+    sendError(response, 405, 'Only GET and HEAD are supported');
+    return;
+  }
+  try {
+    relative = decodeURIComponent(url.pathname.substring(route.length + 2));
+  }
+  catch (e) {
+    sendError(response, 400, 'Malformed path');
+    return;
+  }
+  this.resolve(relative, function(file) {
+    if (file === null) {
+      sendError(response, 403, 'Outside of the served folder');
+      return;
+    }
+    switch (route) {
+      case '':
+        response.writeHead(302, {'Location' : '/list/'});
+        response.end();
+        break;
+      case 'files':
+        this.serveFile(request, response, file);
+        break;
+      case 'list':
+        this.listFolder(request, relative, file, function(error, listing) {
+          if (error) {
+            // the message would tell where the folder is on this computer
+            var missing = error.code == 'ENOENT' || error.code == 'ENOTDIR';
+            sendError(response, missing ? 404 : 500, missing ? 'No such folder' : 'Could not read the folder');
+            return;
+          }
+          send(response, request, 200, CONTENT_TYPES['json'], JSON.stringify(listing));
+        });
+        break;
+      default:
+        sendError(response, 404, 'Unknown path');
+        break;
+    }
+  }.bind(this));
+};
+
+/**
+ * @param {string} relative A path below the served folder
+ * @param {function} callback Called with the real absolute path, or null
+ *  when it leaves the folder, through .. or a symbolic link
+ */
+MediaServer.prototype.resolve = function(relative, callback) {
+  this.realpath(path.resolve(this.root, '.' + path.sep + relative), callback);
+};
+
+/**
+ * Follow the symbolic links of a path, a missing file is resolved through
+ * its folder, e.g. a .vtt converted on the fly
+ * @param {string} file An absolute path
+ * @param {function} callback Called with the real path, or null when it is
+ *  outside of the served folder
+ */
+MediaServer.prototype.realpath = function(file, callback) {
+  fs.realpath(file, function(error, real) {
+    if (error && error.code == 'ENOENT' && path.dirname(file) != file) {
+      this.realpath(path.dirname(file), function(folder) {
+        callback(folder === null ? null : path.join(folder, path.basename(file)));
+      });
+      return;
+    }
+    // other errors leave the path as it is, reading it fails the same way
+    real = error ? file : real;
+    callback(real == this.root || real.indexOf(this.root + path.sep) == 0 ? real : null);
+  }.bind(this));
+};
+
+/**
+ * Send a file, or the part of it the Range header asks for
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string} file Absolute path of the file
+ */
+MediaServer.prototype.serveFile = function(request, response, file) {
+  fs.stat(file, function(error, stats) {
+    if (error && error.code == 'ENOENT' && MediaType.extension(file) == 'vtt') {
+      this.serveConvertedSubtitle(request, response, file);
+      return;
+    }
+    if (error || !stats.isFile()) {
+      sendError(response, 404, 'No such file');
+      return;
+    }
+    var range = parseRange(request.headers.range, stats.size);
+    var headers = {
+      'Content-Type' : contentType(file),
+      'Accept-Ranges' : 'bytes',
+      'Last-Modified' : stats.mtime.toUTCString()
+    };
+    if (range === null) {
+      headers['Content-Range'] = 'bytes */' + stats.size;
+      sendError(response, 416, 'Range not satisfiable', headers);
+      return;
+    }
+    var status = range ? 206 : 200;
+    var start = range ? range.start : 0;
+    var end = range ? range.end : stats.size - 1;
+    if (range) {
+      headers['Content-Range'] = 'bytes ' + start + '-' + end + '/' + stats.size;
+    }
+    headers['Content-Length'] = stats.size ? end - start + 1 : 0;
+    response.writeHead(status, headers);
+    if (request.method == 'HEAD' || !stats.size) {
+      response.end();
+      return;
+    }
+    var stream = fs.createReadStream(file, {start: start, end: end});
+    stream.on('error', function() {
+      response.destroy();
+    });
+    // a Chromecast seeking drops the connection of the previous range
+    response.on('close', function() {
+      stream.destroy();
+    });
+    stream.pipe(response);
+  }.bind(this));
+};
+
+/**
+ * Convert the subtitle next to a missing .vtt, e.g. movie.en.srt for movie.en.vtt
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string} file Absolute path of the .vtt asked for
+ */
+MediaServer.prototype.serveConvertedSubtitle = function(request, response, file) {
+  var base = file.substring(0, file.length - '.vtt'.length);
+  var candidates = SUBTITLE_EXTENSIONS.map(function(extension) {
+    return base + '.' + extension;
+  });
+  var next = function() {
+    var source = candidates.shift();
+    if (!source) {
+      sendError(response, 404, 'No such file');
+      return;
+    }
+    // the subtitle may be a link out of the served folder too
+    this.realpath(source, function(real) {
+      if (real === null) {
+        next();
+        return;
+      }
+      fs.readFile(real, function(error, data) {
+        if (error) {
+          next();
+          return;
+        }
+        try {
+          var bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+          var vtt = SubtitleConverter.convert(SubtitleConverter.decode(bytes), path.basename(source)).vtt;
+          send(response, request, 200, CONTENT_TYPES['vtt'], vtt);
+        }
+        catch (e) {
+          sendError(response, 422, 'Could not convert ' + path.basename(source) + ': ' + e.message);
+        }
+      });
+    });
+  }.bind(this);
+  next();
+};
+
+/**
+ * List a folder
+ * Videos and audio are listed with the subtitles made for them, as .vtt
+ * URLs, and a poster: an image of the same name or the folder poster.
+ * The listing is {path, parent, folders: [{name, path, url}], media:
+ * [{name, path, url, contentType, kind, support, size, modified, poster,
+ * subtitles: [{name, url, language}]}]}; url are absolute, for the
+ * Chromecast, path are relative to the served folder.
+ * @param {http.IncomingMessage} request
+ * @param {string} relative Path of the folder below the served folder
+ * @param {string} folder Its real absolute path, see resolve
+ * @param {function} callback Called with an error or null, and the listing
+ */
+MediaServer.prototype.listFolder = function(request, relative, folder, callback) {
+  var base = this.baseUrl(request);
+  var prefix = relative.replace(/^\/+|\/+$/g, '');
+  prefix = prefix ? prefix + '/' : '';
+  fs.readdir(folder, {withFileTypes: true}, function(error, entries) {
+    if (error) {
+      callback(error, null);
+      return;
+    }
+    var names = entries.filter(function(entry) {
+      return entry.name.charAt(0) != '.';
+    }).sort(function(a, b) {
+      return a.name.localeCompare(b.name, undefined, {numeric: true});
+    });
+    var files = names.filter(function(entry) {
+      return entry.isFile();
+    }).map(function(entry) {
+      return entry.name;
+    });
+    var listing = {
+      path: prefix,
+      parent: prefix ? prefix.replace(/[^\/]+\/$/, '') : null,
+      folders: [],
+      media: []
+    };
+    names.forEach(function(entry) {
+      if (entry.isDirectory()) {
+        listing.folders.push({
+          name: entry.name,
+          path: prefix + entry.name + '/',
+          url: base + '/list/' + encodePath(prefix + entry.name + '/')
+        });
+      }
+    });
+    var folderPoster = findPoster(files, FOLDER_POSTERS);
+    files.forEach(function(name) {
+      var type = MediaType.detect(name);
+      if (type.kind != 'video' && type.kind != 'audio') {
+        return;
+      }
+      var stem = name.substring(0, name.lastIndexOf('.'));
+      var poster = findPoster(files, [stem]) || folderPoster;
+      listing.media.push({
+        name: name,
+        path: prefix + name,
+        url: base + '/files/' + encodePath(prefix + name),
+        contentType: type.contentType,
+        kind: type.kind,
+        support: type.support,
+        poster: poster ? base + '/files/' + encodePath(prefix + poster) : '',
+        subtitles: findSubtitles(files, name).map(function(file) {
+          var vtt = file.substring(0, file.lastIndexOf('.')) + '.vtt';
+          return {
+            name: file,
+            url: base + '/files/' + encodePath(prefix + vtt),
+            language: subtitleLanguage(file)
+          };
+        })
+      });
+    });
+    statMedia(folder, listing.media, function() {
+      callback(null, listing);
+    });
+  });
+};
+
+/**
+ * The address the Chromecast reaches this server on
+ * Pages on this computer use localhost, which the Chromecast cannot reach,
+ * so a LAN address is used instead
+ * @param {http.IncomingMessage} request
+ * @return {string} e.g. http://192.168.1.5:8889
+ */
+MediaServer.prototype.baseUrl = function(request) {
+  var host = request.headers.host || 'localhost';
+  var port = this.server ? this.server.address().port : DEFAULT_PORT;
+  if (/^(localhost|127\.[\d.]+|\[::1\])(:|$)/.test(host)) {
+    host = lanAddress() + ':' + port;
+  }
+  return 'http://' + host;
+};
+
+/**
+ * Add the size and the modification time to listed media
+ * @param {string} folder Absolute path of the folder
+ * @param {Array} media Listed media
+ * @param {function} callback Called once all are known
+ */
+function statMedia(folder, media, callback) {
+  var left = media.length;
+  if (!left) {
+    callback();
+    return;
+  }
+  media.forEach(function(item) {
+    fs.stat(path.join(folder, item.name), function(error, stats) {
+      item.size = error ? 0 : stats.size;
+      item.modified = error ? '' : stats.mtime.toISOString();
+      if (--left == 0) {
+        callback();
+      }
+    });
+  });
+}
+
+/**
+ * @param {Array} files File names of a folder
+ * @param {Array} stems Names without extension to look for, in order
+ * @return {string} The first image found, or an empty string
+ */
+function findPoster(files, stems) {
+  for (var i = 0; i < stems.length; i++) {
+    for (var j = 0; j < files.length; j++) {
+      var dot = files[j].lastIndexOf('.');
+      if (files[j].substring(0, dot).toLowerCase() == stems[i].toLowerCase() &&
+          POSTER_EXTENSIONS.indexOf(files[j].substring(dot + 1).toLowerCase()) >= 0) {
+        return files[j];
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * The subtitles made for a video, one per .vtt URL they are served as: a
+ * real .vtt wins over the files it would be converted from, which are
+ * tried in the order serveConvertedSubtitle tries them
+ * @param {Array} files Names of the files of the folder
+ * @param {string} video Name of the video
+ * @return {Array} Names of its subtitle files
+ */
+function findSubtitles(files, video) {
+  var byVtt = {};
+  var rank = function(file) {
+    var extension = MediaType.extension(file);
+    return extension == 'vtt' ? -1 : SUBTITLE_EXTENSIONS.indexOf(extension);
+  };
+  files.forEach(function(file) {
+    if (!isSubtitle(file) || !FilenameParser.matchesSubtitle(video, file)) {
+      return;
+    }
+    var vtt = file.substring(0, file.lastIndexOf('.')) + '.vtt';
+    if (!byVtt.hasOwnProperty(vtt) || rank(file) < rank(byVtt[vtt])) {
+      byVtt[vtt] = file;
+    }
+  });
+  return Object.keys(byVtt).map(function(vtt) {
+    return byVtt[vtt];
+  });
+}
+
+/**
+ * @param {string} name A file name
+ * @return {Boolean} Whether it is a subtitle file
+ */
+function isSubtitle(name) {
+  var extension = MediaType.extension(name);
+  return extension == 'vtt' || SUBTITLE_EXTENSIONS.indexOf(extension) >= 0;
+}
+
+/**
+ * The language code before the extension, e.g. en for movie.en.srt
+ * @param {string} name A subtitle file name
+ * @return {string} The code, or an empty string
+ */
+function subtitleLanguage(name) {
+  var match = /\.([a-z]{2,3}(?:[-_][a-z]{2})?)\.[^.]+$/i.exec(name);
+  return match ? match[1].replace('_', '-').toLowerCase() : '';
+}
+
+/**
+ * @param {string} file A file path
+ * @return {string} Its Content-Type
+ */
+function contentType(file) {
+  var extension = MediaType.extension(file);
+  return CONTENT_TYPES[extension] || MediaType.detect(file).contentType || 'application/octet-stream';
+}
+
+/**
+ * Read a Range header; only single byte ranges are honoured
+ * @param {string} header The Range header, may be missing
+ * @param {Number} size Size of the file
+ * @return {Object} {start, end}, false to send the whole file, or null when
+ *  the range is past the end
+ */
+function parseRange(header, size) {
+  var match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return false;
+  }
+  var start, end;
+  if (match[1] === '') {
+    // the last bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  }
+  else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  if (start >= size || start > end) {
+    return null;
+  }
+  return {start: start, end: end};
+}
+
+/**
+ * @param {string} relative A relative path
+ * @return {string} The path with each segment URL encoded
+ */
+function encodePath(relative) {
+  return relative.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * @return {string} The first IPv4 LAN address of this computer
+ */
+function lanAddress() {
+  var interfaces = os.networkInterfaces();
+  for (var name in interfaces) {
+    for (var i = 0; i < interfaces[name].length; i++) {
+      var address = interfaces[name][i];
+      if (address.family == 'IPv4' && !address.internal) {
+        return address.address;
+      }
+    }
+  }
+  return 'localhost';
+}
+
+/**
+ * @param {http.ServerResponse} response
+ * @param {http.IncomingMessage} request A HEAD request gets no body
+ * @param {Number} status HTTP status
+ * @param {string} type Content-Type
+ * @param {string} body The body
+ */
+function send(response, request, status, type, body) {
+  response.writeHead(status, {
+    'Content-Type' : type,
+    'Content-Length' : Buffer.byteLength(body)
+  });
+  response.end(request.method == 'HEAD' ? '' : body);
+}
+
+/**
+ * @param {http.ServerResponse} response
+ * @param {Number} status HTTP status
+ * @param {string} message What went wrong
+ * @param {Object} opt_headers More headers
+ */
+function sendError(response, status, message, opt_headers) {
+  var headers = opt_headers || {};
+  var body = JSON.stringify({error: message});
+  headers['Content-Type'] = CONTENT_TYPES['json'];
+  headers['Content-Length'] = Buffer.byteLength(body);
+  response.writeHead(status, headers);
+  response.end(body);
+}
+
+// run from the command line: node MediaServer.js <folder> [port]
+if (process.argv[1] && path.resolve(process.argv[1]) == fileURLToPath(import.meta.url)) {
+  var folder = process.argv[2];
+  var port = parseInt(process.argv[3], 10) || DEFAULT_PORT;
+  if (!folder || !fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error('Usage: node MediaServer.js <folder> [port]');
+    process.exit(1);
+  }
+  var server = new MediaServer(folder);
+  server.listen(port, function() {
+    console.log('Serving ' + server.root + ' on http://' + lanAddress() + ':' + port + '/list/');
+  });
+}
+
+export { MediaServer };
@@ -0,0 +1,268 @@
+/**
+ * Milliseconds to wait for the answer to a request
+ **/
+var REQUEST_TIMEOUT = 5000;
+
+/**
+ * Known formats by file extension:
+ *  - contentType: the MIME type sent to the receiver
+ *  - kind: video, audio, image, hls, dash or smooth
+ *  - support: yes when the Default Media Receiver plays it, partial when
+ *    it depends on the codecs inside, no when it cannot be cast
+ **/
+var FORMATS = {
+  'mp4' : {contentType: 'video/mp4', kind: 'video', support: 'yes'},
+  'm4v' : {contentType: 'video/mp4', kind: 'video', support: 'yes'},
+  'webm' : {contentType: 'video/webm', kind: 'video', support: 'yes'},
+  'mkv' : {contentType: 'video/x-matroska', kind: 'video', support: 'partial'},
+  'mov' : {contentType: 'video/quicktime', kind: 'video', support: 'partial'},
+  'ts' : {contentType: 'video/mp2t', kind: 'video', support: 'yes'},
+  'm2ts' : {contentType: 'video/mp2t', kind: 'video', support: 'yes'},
+  'avi' : {contentType: 'video/x-msvideo', kind: 'video', support: 'no'},
+  'wmv' : {contentType: 'video/x-ms-wmv', kind: 'video', support: 'no'},
+  'flv' : {contentType: 'video/x-flv', kind: 'video', support: 'no'},
+  'mpg' : {contentType: 'video/mpeg', kind: 'video', support: 'no'},
+  'mpeg' : {contentType: 'video/mpeg', kind: 'video', support: 'no'},
+  'mp3' : {contentType: 'audio/mpeg', kind: 'audio', support: 'yes'},
+  'aac' : {contentType: 'audio/aac', kind: 'audio', support: 'yes'},
+  'm4a' : {contentType: 'audio/mp4', kind: 'audio', support: 'yes'},
+  'flac' : {contentType: 'audio/flac', kind: 'audio', support: 'yes'},
+  'ogg' : {contentType: 'audio/ogg', kind: 'audio', support: 'yes'},
+  'oga' : {contentType: 'audio/ogg', kind: 'audio', support: 'yes'},
+  'opus' : {contentType: 'audio/ogg', kind: 'audio', support: 'yes'},
+  'wav' : {contentType: 'audio/wav', kind: 'audio', support: 'yes'},
+  'm3u8' : {contentType: 'application/x-mpegurl', kind: 'hls', support: 'yes'},
+  'mpd' : {contentType: 'application/dash+xml', kind: 'dash', support: 'yes'},
+  'ism' : {contentType: 'application/vnd.ms-sstr+xml', kind: 'smooth', support: 'yes'},
+  'isml' : {contentType: 'application/vnd.ms-sstr+xml', kind: 'smooth', support: 'yes'},
+  'jpg' : {contentType: 'image/jpeg', kind: 'image', support: 'yes'},
+  'jpeg' : {contentType: 'image/jpeg', kind: 'image', support: 'yes'},
+  'png' : {contentType: 'image/png', kind: 'image', support: 'yes'},
+  'gif' : {contentType: 'image/gif', kind: 'image', support: 'yes'},
+  'bmp' : {contentType: 'image/bmp', kind: 'image', support: 'yes'},
+  'webp' : {contentType: 'image/webp', kind: 'image', support: 'yes'}
+};
+
+/**
+ * MIME types servers use for the formats above, mapped to an extension
+ **/
+var CONTENT_TYPES = {
+  'video/mp4' : 'mp4',
+  'video/x-m4v' : 'm4v',
+  'video/webm' : 'webm',
+  'video/x-matroska' : 'mkv',
+  'video/mkv' : 'mkv',
+  'video/quicktime' : 'mov',
+  'video/mp2t' : 'ts',
+  'video/x-msvideo' : 'avi',
+  'video/avi' : 'avi',
+  'video/x-ms-wmv' : 'wmv',
+  'video/x-flv' : 'flv',
+  'video/mpeg' : 'mpg',
+  'audio/mpeg' : 'mp3',
+  'audio/mp3' : 'mp3',
+  'audio/aac' : 'aac',
+  'audio/mp4' : 'm4a',
+  'audio/x-m4a' : 'm4a',
+  'audio/flac' : 'flac',
+  'audio/x-flac' : 'flac',
+  'audio/ogg' : 'ogg',
+  'audio/wav' : 'wav',
+  'audio/x-wav' : 'wav',
+  'application/x-mpegurl' : 'm3u8',
+  'application/vnd.apple.mpegurl' : 'm3u8',
+  'audio/x-mpegurl' : 'm3u8',
+  'audio/mpegurl' : 'm3u8',
+  'application/dash+xml' : 'mpd',
+  'application/vnd.ms-sstr+xml' : 'ism',
+  'image/jpeg' : 'jpg',
+  'image/png' : 'png',
+  'image/gif' : 'gif',
+  'image/bmp' : 'bmp',
+  'image/webp' : 'webp'
+};
+
+/**
+ * Media type detection
+ * Works out the MIME type of a media URL from its extension or from the
+ * Content-Type a server reports, and whether a Chromecast can play it.
+ * A media type is an object {extension, contentType, kind, support}:
+ *  - extension: the extension of the URL, lower case, may be empty
+ *  - contentType: the MIME type, empty when unknown
+ *  - kind: video, audio, image, hls, dash, smooth or empty when unknown
+ *  - support: yes, partial, no or unknown
+ */
+var MediaType = {};
+
+/**
+ * The extension of the last path segment, ignoring query and fragment
+ * Smooth Streaming manifests (/video.ism/Manifest) count as ism
+ * @param {string} url Media URL
+ * @return {string} Lower case extension or an empty string
+ */
+MediaType.extension = function(url) {
+  var path = (url || '').split(/[?#]/)[0];
+  if (/\.isml?\/manifest$/i.test(path)) {
+    return 'ism';
+  }
+  var name = path.replace(/\/+$/, '').split('/').pop();
+  var dot = name.lastIndexOf('.');
+  return dot > 0 ? name.substring(dot + 1).toLowerCase() : '';
+};
+
+/**
+ * Detect the media type of a URL
+ * A Content-Type reported by the server wins over the extension, except
+ * for generic ones like application/octet-stream
+ * @param {string} url Media URL
+ * @param {string} opt_contentType Content-Type reported by the server
+ * @return {Object} A media type
+ */
+MediaType.detect = function(url, opt_contentType) {
+  var extension = MediaType.extension(url);
+  var contentType = (opt_contentType || '').split(';')[0].trim().toLowerCase();
+  var format = FORMATS[CONTENT_TYPES[contentType]] || FORMATS[extension];
+  if (!format) {
+    return {extension: extension, contentType: '', kind: '', support: 'unknown'};
+  }
+  return {
+    extension: extension,
+    contentType: format.contentType,
+    kind: format.kind,
+    support: format.support
+  };
+};
+
+/**
+ * Ask the server for the Content-Type of a URL with a HEAD request
+ * Redirects are followed, the media type then describes the final URL
+ * @param {string} url Media URL
+ * @param {function} successCallback Called with a media type extended with
+ *   url, the final URL, and serverType, the Content-Type as reported
+ * @param {function} errorCallback Called with an Error when the server
+ *   cannot be reached or does not allow cross origin requests
+ */
+MediaType.sniff = function(url, successCallback, errorCallback) {
+  MediaType.request('HEAD', url, REQUEST_TIMEOUT, function(xhr) {
+    var finalUrl = xhr.responseURL || url;
+    var serverType = (xhr.getResponseHeader('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    var type = MediaType.detect(finalUrl, serverType);
+    type.url = finalUrl;
+    type.serverType = serverType;
+    successCallback(type);
+  }, errorCallback);
+};
+
+/**
+ * Send a request with a timeout
+ * A malformed URL is reported through the error callback too
+ * @param {string} method An HTTP method
+ * @param {string} url
+ * @param {Number} timeout Milliseconds to wait for the answer
+ * @param {function} successCallback Called with the XMLHttpRequest
+ * @param {function} errorCallback Called with an Error
+ */
+MediaType.request = function(method, url, timeout, successCallback, errorCallback) {
+  var xhr = new XMLHttpRequest();
+  try {
+    xhr.open(method, url);
+  }
+  catch (e) {
+    errorCallback(new Error(url + ' is not a valid URL'));
+    return;
+  }
+  xhr.timeout = timeout;
+  xhr.onload = function() {
+    if (xhr.status >= 200 && xhr.status < 400) {
+      successCallback(xhr);
+    }
+    else {
+      errorCallback(new Error(url + ' answered ' + xhr.status));
+    }
+  };
+  xhr.onerror = function() {
+    errorCallback(new Error('Could not reach ' + url));
+  };
+  xhr.ontimeout = function() {
+    errorCallback(new Error(url + ' did not answer'));
+  };
+  xhr.send();
+};
+
+/**
+ * @param {Object} type A media type
+ * @return {Boolean} Whether the media is an HLS, DASH or Smooth Streaming stream
+ */
+MediaType.isAdaptive = function(type) {
+  return type.kind == 'hls' || type.kind == 'dash' || type.kind == 'smooth';
+};
+
+/**
+ * Read the manifest of an adaptive stream to find out whether it is live
+ * HLS master playlists are followed to their first variant, whose
+ * playlist is live until it carries #EXT-X-ENDLIST
+ * @param {string} url Manifest URL
+ * @param {string} kind hls, dash or smooth
+ * @param {function} successCallback Called with true for a live stream
+ * @param {function} errorCallback Called with an Error
+ */
+MediaType.probeLive = function(url, kind, successCallback, errorCallback) {
+  MediaType.request('GET', url, REQUEST_TIMEOUT, function(xhr) {
+    var text = xhr.responseText;
+    switch (kind) {
+      case 'hls':
+        var variant = /#EXT-X-STREAM-INF[^\n]*\n\s*([^#\s][^\n]*)/.exec(text);
+        if (variant) {
+          var variantUrl;
+          try {
+            variantUrl = new URL(variant[1].trim(), xhr.responseURL || url).href;
+          }
+          catch (e) {
+            errorCallback(new Error('Bad variant playlist link in ' + url));
+            return;
+          }
+          MediaType.probeLive(variantUrl, kind, successCallback, errorCallback);
+          return;
+        }
+        successCallback(!/#EXT-X-ENDLIST/.test(text) && !/#EXT-X-PLAYLIST-TYPE:\s*VOD/.test(text));
+        break;
+      case 'dash':
+        successCallback(/<MPD[^>]*\stype=["']dynamic["']/.test(text));
+        break;
+      case 'smooth':
+        successCallback(/<SmoothStreamingMedia[^>]*\sIsLive=["']true["']/i.test(text));
+        break;
+      default:
+        successCallback(false);
+        break;
+    }
+  }, errorCallback);
+};
+
+/**
+ * @param {Object} type A media type
+ * @return {Boolean} Whether the media is worth sending to the receiver
+ */
+MediaType.isCastable = function(type) {
+  return type.support != 'no';
+};
+
+/**
+ * A warning to show before casting a media type, if any
+ * @param {Object} type A media type
+ * @return {string} The warning or an empty string
+ */
+MediaType.warning = function(type) {
+  var name = type.extension ? type.extension.toUpperCase() : 'This format';
+  switch (type.support) {
+    case 'no':
+      return name + ' files cannot be played by Chromecast.';
+    case 'partial':
+      return name + ' files only play on Chromecast when they hold H.264 or VP8 video'
+        + ' with AAC, MP3 or Vorbis audio.';
+    default:
+      return '';
+  }
+};
+
+export { MediaType };
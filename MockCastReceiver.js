@@ -0,0 +1,196 @@
+/**
+ * Id the messages of the framing page come from
+ **/
+var SENDER_ID = 'mock.sender';
+
+/**
+ * Message buses by namespace
+ **/
+var buses = {};
+
+/**
+ * Media managers, the last one created takes load requests
+ **/
+var mediaManagers = [];
+
+/**
+ * Mock receiver API
+ * The part of cast.receiver our receivers use, driven by the page framing
+ * them instead of a sender, see mocksender.html. The framing page posts
+ *  - {type: 'load', media: {contentId, contentType, customData}, autoplay, currentTime}
+ *  - {type: 'message', namespace, data}
+ *  - {type: 'play' | 'pause'} and {type: 'seek', currentTime}
+ * and receives {type: 'ready'} once started, {type: 'message', namespace,
+ * data} for what the receiver sends and {type: 'status', playerState,
+ * currentTime, contentId} as the video plays.
+ */
+var MockCastReceiver = {
+  LoggerLevel: {
+    'DEBUG' : 0,
+    'NONE' : 1000
+  },
+  logger: {
+    setLevelValue: function() {}
+  },
+  CastMessageBus: MockMessageBus,
+  MediaManager: MockMediaManager,
+  CastReceiverManager: {
+    getInstance: function() {
+      return receiverManager;
+    }
+  }
+};
+
+/**
+ * @param {string} namespace The namespace of the messages
+ */
+function MockMessageBus(namespace) {
+  // @type {string} The namespace of the messages
+  this.namespace = namespace;
+  // @type {function} Set by the receiver, called with {senderId, data}
+  this.onMessage = null;
+}
+
+MockMessageBus.MessageType = {
+  'STRING' : 'STRING',
+  'JSON' : 'JSON'
+};
+
+/**
+ * @param {string} senderId Ignored, there is only the framing page
+ * @param {*} data The message
+ */
+MockMessageBus.prototype.send = function(senderId, data) {
+  this.broadcast(data);
+};
+
+/**
+ * @param {*} data The message
+ */
+MockMessageBus.prototype.broadcast = function(data) {
+  post({type: 'message', namespace: this.namespace, data: data});
+};
+
+/**
+ * Plays load requests in a video element and reports its state
+ * @param {HTMLMediaElement} mediaElement The video element
+ */
+function MockMediaManager(mediaElement) {
+  // @type {HTMLMediaElement} The video element
+  this.mediaElement = mediaElement;
+  // @type {Object} The media of the last load request
+  this.mediaInformation = null;
+  mediaManagers.push(this);
+  ['playing', 'pause', 'ended', 'waiting', 'error'].forEach(function(type) {
+    mediaElement.addEventListener(type, this.postStatus.bind(this));
+  }, this);
+}
+
+/**
+ * Default load handler, receivers wrap it like the one of cast.receiver
+ * @param {Object} event {data: {media, autoplay, currentTime}}
+ */
+MockMediaManager.prototype.onLoad = function(event) {
+  var media = this.mediaElement;
+  this.mediaInformation = event.data.media;
+  media.autoplay = event.data.autoplay !== false;
+  media.src = event.data.media.contentId;
+  if (event.data.currentTime) {
+    media.addEventListener('loadedmetadata', function seek() {
+      media.removeEventListener('loadedmetadata', seek);
+      media.currentTime = event.data.currentTime;
+    });
+  }
+};
+
+/**
+ * @return {Object} The media of the last load request
+ */
+MockMediaManager.prototype.getMediaInformation = function() {
+  return this.mediaInformation;
+};
+
+/**
+ * Tell the framing page how the video plays
+ */
+MockMediaManager.prototype.postStatus = function() {
+  var media = this.mediaElement;
+  var state = media.error ? 'IDLE' : media.paused ? 'PAUSED' : media.readyState < 3 ? 'BUFFERING' : 'PLAYING';
+  post({
+    type: 'status',
+    playerState: state,
+    currentTime: media.currentTime,
+    contentId: this.mediaInformation && this.mediaInformation.contentId
+  });
+};
+
+/**
+ * The receiver manager, there is a single one like on a Chromecast
+ **/
+var receiverManager = {
+  // @type {function} Never called, there is a single sender
+  onSenderDisconnected: null,
+
+  /**
+   * @param {string} namespace The namespace of the messages
+   * @return {MockMessageBus}
+   */
+  getCastMessageBus: function(namespace) {
+    if (!buses.hasOwnProperty(namespace)) {
+      buses[namespace] = new MockMessageBus(namespace);
+    }
+    return buses[namespace];
+  },
+
+  /**
+   * Take messages from the framing page from now on
+   */
+  start: function() {
+    window.addEventListener('message', onFrameMessage);
+    post({type: 'ready'});
+  }
+};
+
+/**
+ * @param {MessageEvent} event A message posted by the framing page
+ */
+function onFrameMessage(event) {
+  var message = event.data || {};
+  var manager = mediaManagers[mediaManagers.length - 1];
+  if (event.source !== window.parent) {
+    return;
+  }
+  switch (message.type) {
+    case 'load':
+      manager.onLoad({data: message});
+      break;
+    case 'message':
+      var bus = buses[message.namespace];
+      if (bus && bus.onMessage) {
+        bus.onMessage({senderId: SENDER_ID, data: message.data});
+      }
+      break;
+    case 'play':
+      manager.mediaElement.play();
+      break;
+    case 'pause':
+      manager.mediaElement.pause();
+      break;
+    case 'seek':
+      manager.mediaElement.currentTime = message.currentTime;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * @param {Object} message A message for the framing page
+ */
+function post(message) {
+  if (window.parent !== window) {
+    window.parent.postMessage(message, '*');
+  }
+}
+
+export { MockCastReceiver };
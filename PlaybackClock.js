@@ -0,0 +1,106 @@
+/**
+ * Differences with the receiver smaller than this are not reported as
+ * drift, in seconds
+ **/
+var DRIFT_TOLERANCE = 0.5;
+
+/**
+ * Receiver player states, the values of chrome.cast.media.PlayerState
+ **/
+var PLAYER_STATE = {
+  'IDLE' : 'IDLE',
+  'PLAYING' : 'PLAYING',
+  'PAUSED' : 'PAUSED',
+  'BUFFERING' : 'BUFFERING'
+};
+
+/**
+ * Playback clock
+ * Estimates the position of a cast media between two status updates from
+ * the last position, playback rate and player state the receiver reported.
+ * Only a playing media moves; buffering, seeking, paused and idle ones hold
+ * their position until the receiver reports again.
+ */
+var PlaybackClock = function() {
+  // @type {Number} Position at the last sync, in seconds
+  this.position = 0;
+  // @type {Number} Playback rate at the last sync
+  this.rate = 1;
+  // @type {string} Receiver player state at the last sync
+  this.state = PLAYER_STATE.IDLE;
+  // @type {Number} Media duration in seconds, -1 when unknown or live
+  this.duration = -1;
+  // @type {Number} performance.now() at the last sync
+  this.syncedAt = performance.now();
+  // @type {Number} How far the estimate was from the receiver at the last sync, in seconds
+  this.drift = 0;
+};
+
+/**
+ * Take the position, rate and state of a receiver media status
+ * The receiver is right, the difference with the running estimate is
+ * kept as drift
+ * @param {chrome.cast.media.Media} media A media session
+ */
+PlaybackClock.prototype.syncFromMedia = function(media) {
+  var position = typeof media.getEstimatedTime == 'function' ? media.getEstimatedTime() : media.currentTime;
+  var duration = media.media && media.media.duration > 0 ? media.media.duration : -1;
+  this.sync(position, media.playbackRate, media.playerState, duration);
+};
+
+/**
+ * Restart the estimate from a known position
+ * @param {Number} position Position in seconds
+ * @param {Number} opt_rate Playback rate, unchanged if omitted
+ * @param {string} opt_state A receiver player state, unchanged if omitted
+ * @param {Number} opt_duration Media duration, unchanged if omitted
+ */
+PlaybackClock.prototype.sync = function(position, opt_rate, opt_state, opt_duration) {
+  var estimate = this.getTime();
+  this.position = position > 0 ? position : 0;
+  this.rate = opt_rate > 0 ? opt_rate : this.rate;
+  this.state = opt_state || this.state;
+  this.duration = opt_duration !== undefined ? opt_duration : this.duration;
+  this.syncedAt = performance.now();
+  this.drift = Math.abs(this.position - estimate) > DRIFT_TOLERANCE ? this.position - estimate : 0;
+};
+
+/**
+ * Hold the estimate at a seek target until the receiver reports again
+ * @param {Number} position Seek target in seconds
+ */
+PlaybackClock.prototype.seek = function(position) {
+  this.position = position > 0 ? position : 0;
+  this.state = PLAYER_STATE.BUFFERING;
+  this.syncedAt = performance.now();
+  this.drift = 0;
+};
+
+/**
+ * Change the player state from the current estimate, e.g. on pause
+ * @param {string} state A receiver player state
+ */
+PlaybackClock.prototype.setState = function(state) {
+  this.sync(this.getTime(), this.rate, state);
+  this.drift = 0;
+};
+
+/**
+ * @return {Boolean} Whether the estimate moves with time
+ */
+PlaybackClock.prototype.isAdvancing = function() {
+  return this.state == PLAYER_STATE.PLAYING;
+};
+
+/**
+ * @return {Number} The estimated position in seconds, never past the end
+ */
+PlaybackClock.prototype.getTime = function() {
+  var time = this.position;
+  if (this.isAdvancing()) {
+    time += (performance.now() - this.syncedAt) / 1000 * this.rate;
+  }
+  return this.duration > 0 ? Math.min(time, this.duration) : time;
+};
+
+export { PlaybackClock };
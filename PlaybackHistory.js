@@ -0,0 +1,120 @@
+/**
+ * Key under which the history is kept between sessions
+ **/
+var STORAGE_KEY = 'popcorncast.history';
+
+/**
+ * Number of recently cast media remembered
+ **/
+var MAX_ENTRIES = 20;
+
+/**
+ * Positions closer than this to the start are not worth resuming, in seconds
+ **/
+var MIN_RESUME_POSITION = 10;
+
+/**
+ * Playback history
+ * Remembers the playback position per media URL so a reloaded page or a
+ * dropped session can resume where it left off. Entries are objects
+ * {url, title, position, duration, finished, updated, metadata}, most
+ * recent first.
+ */
+var PlaybackHistory = function() {
+  // @type {Array} Remembered media, most recent first
+  this.entries = [];
+  try {
+    this.entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  }
+  catch (e) {
+    this.entries = [];
+  }
+};
+
+/**
+ * @param {string} url Media URL
+ * @return {Object} The entry of the media or null
+ */
+PlaybackHistory.prototype.get = function(url) {
+  for (var i = 0; i < this.entries.length; i++) {
+    if (this.entries[i].url == url) {
+      return this.entries[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Remember the playback position of a media and move it to the top
+ * A media watched to its last minutes counts as finished and starts over
+ * @param {string} url Media URL
+ * @param {string} title Title shown in the history list
+ * @param {Number} position Playback position in seconds
+ * @param {Number} duration Media duration in seconds, 0 or less if unknown
+ * @param {Object} opt_metadata MediaMetadata values, restored when the media is queued again
+ */
+PlaybackHistory.prototype.record = function(url, title, position, duration, opt_metadata) {
+  var entry = this.get(url);
+  if (entry) {
+    this.entries.splice(this.entries.indexOf(entry), 1);
+  }
+  var remaining = duration > 0 ? duration - position : Infinity;
+  entry = {
+    'url' : url,
+    'title' : title,
+    'position' : Math.floor(position),
+    'duration' : duration > 0 ? Math.floor(duration) : 0,
+    'finished' : remaining < Math.min(60, duration * 0.05),
+    'updated' : Date.now(),
+    'metadata' : opt_metadata || (entry && entry.metadata) || null
+  };
+  this.entries.unshift(entry);
+  this.entries.splice(MAX_ENTRIES);
+  this.save();
+};
+
+/**
+ * @param {string} url Media URL
+ * @return {Number} The position to resume from, 0 to start over
+ */
+PlaybackHistory.prototype.getResumePosition = function(url) {
+  var entry = this.get(url);
+  if (!entry || entry.finished || entry.position < MIN_RESUME_POSITION) {
+    return 0;
+  }
+  return entry.position;
+};
+
+/**
+ * Forget a media
+ * @param {string} url Media URL
+ */
+PlaybackHistory.prototype.remove = function(url) {
+  var entry = this.get(url);
+  if (entry) {
+    this.entries.splice(this.entries.indexOf(entry), 1);
+    this.save();
+  }
+};
+
+/**
+ * @param {Number} opt_limit Maximum number of entries
+ * @return {Array} The most recently cast media
+ */
+PlaybackHistory.prototype.recent = function(opt_limit) {
+  return this.entries.slice(0, opt_limit || MAX_ENTRIES);
+};
+
+/**
+ * Keep the history for the next session
+ */
+PlaybackHistory.prototype.save = function() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+  }
+  catch (e) {
+    // storage may be disabled, the history then only lasts for this page
+  }
+};
+
+export { PlaybackHistory };
@@ -0,0 +1,411 @@
+import { KeyboardShortcuts } from './KeyboardShortcuts.js';
+
+/**
+ * Ids of the player elements in newindex.php, by the names CastPlayer and
+ * PlayerControls know them
+ **/
+var ELEMENT_IDS = {
+  // rendered by CastPlayer
+  'video' : 'video_element',
+  'playerState' : 'playerstate',
+  'playerStateBackground' : 'playerstatebg',
+  'overlay' : 'video_image_overlay',
+  'overlayPoster' : 'overlay_poster',
+  'overlayTitle' : 'overlay_title',
+  'overlaySubtitle' : 'overlay_subtitle',
+  'play' : 'play',
+  'pause' : 'pause',
+  'castIconActive' : 'casticonactive',
+  'castIconIdle' : 'casticonidle',
+  'castIconWarning' : 'casticonwarning',
+  'volumeTrack' : 'audio_bg_track',
+  'volumeLevel' : 'audio_bg_level',
+  'audioOn' : 'audio_on',
+  'audioOff' : 'audio_off',
+  'duration' : 'duration',
+  'seekBar' : 'seek_bar',
+  'mediaWarning' : 'media_warning',
+  'errorMessage' : 'error_message',
+  'resumePrompt' : 'resume_prompt',
+  'resumePosition' : 'resume_position',
+  'queueList' : 'queue_list',
+  'historyList' : 'history_list',
+  'trackPicker' : 'track_picker',
+  'subtitleOffset' : 'subtitle_offset',
+  'captionStyle' : 'caption_style',
+  'metadataEditor' : 'metadata_editor',
+  // only bound by PlayerControls
+  'volumeBackground' : 'audio_bg',
+  'volumeIndicator' : 'audio_indicator',
+  'volumeMode' : 'volume_mode',
+  'shortcutHelp' : 'shortcut_help',
+  'showShortcuts' : 'show_shortcuts',
+  'resumeYes' : 'resume_yes',
+  'resumeNo' : 'resume_no',
+  'queuePrevious' : 'queue_previous',
+  'queueNext' : 'queue_next',
+  'queueUrl' : 'queue_url',
+  'queueTitle' : 'queue_title',
+  'queueSubtitle' : 'queue_subtitle',
+  'queueAdd' : 'queue_add',
+  'subtitleFile' : 'subtitle_file',
+  'subtitleLanguage' : 'subtitle_language',
+  'subtitleDelay' : 'subtitle_delay',
+  'subtitleSync' : 'subtitle_sync',
+  'dropZone' : 'drop_zone',
+  'metadataApply' : 'metadata_apply',
+  'debugToggle' : 'debug_toggle',
+  'debugPanel' : 'debug_panel',
+  'debugCopy' : 'debug_copy',
+  'debugClear' : 'debug_clear',
+  'debugList' : 'debug_list'
+};
+
+/**
+ * Elements that show the volume slider while hovered
+ **/
+var VOLUME_HOVER = ['volumeBackground', 'volumeTrack', 'volumeLevel', 'audioOn', 'audioOff'];
+
+/**
+ * Elements of the volume slider, hidden until hovered or focused
+ **/
+var VOLUME_SLIDER = ['volumeBackground', 'volumeTrack', 'volumeLevel', 'volumeIndicator'];
+
+/**
+ * Player controls
+ * Binds the controls of a player to a CastPlayer: buttons, the volume
+ * slider, subtitle and caption style fields, the drop zone, the queue,
+ * resume prompt and history, the debug panel, keyboard shortcuts and
+ * media keys. The
+ * elements are the ones the player was given, controls left out are
+ * skipped. Pages with their own controls leave it out and drive the
+ * player through its methods and events instead.
+ * @param {CastPlayer} player The player controlled
+ */
+var PlayerControls = function(player) {
+  // @type {CastPlayer} The player controlled
+  this.player = player;
+  // @type {Object} Elements of the player by name, see ELEMENT_IDS
+  this.elements = player.elements;
+  // @type {KeyboardShortcuts} Key presses bound to player actions, null without a help overlay
+  this.shortcuts = null;
+
+  this.bindCastControls();
+  this.bindVolumeControls();
+  this.bindCaptionControls();
+  this.bindDropZone();
+  this.bindQueueControls();
+  this.bindDebugPanel();
+
+  // keyboard and media keys
+  if (this.elements.shortcutHelp) {
+    this.shortcuts = new KeyboardShortcuts(player, this.elements.shortcutHelp);
+    this.listen('showShortcuts', 'click', this.shortcuts.toggleHelp.bind(this.shortcuts));
+  }
+  player.initializeMediaSession();
+};
+
+PlayerControls.ELEMENT_IDS = ELEMENT_IDS;
+
+/**
+ * Find the player elements of a page by their ids
+ * A page with several players tells their elements apart with a prefix,
+ * e.g. second_playerstate
+ * @param {string} opt_prefix Prefix of the ids, none if omitted
+ * @param {Document} opt_document The page, this one if omitted
+ * @return {Object} Elements by name, for the CastPlayer options
+ */
+PlayerControls.findElements = function(opt_prefix, opt_document) {
+  var doc = opt_document || document;
+  var elements = {};
+  for (var name in ELEMENT_IDS) {
+    elements[name] = doc.getElementById((opt_prefix || '') + ELEMENT_IDS[name]);
+  }
+  return elements;
+};
+
+/**
+ * Listen to an element of the player, when there is one
+ * @param {string} name Name of the element, see ELEMENT_IDS
+ * @param {string} type Event type
+ * @param {function} listener
+ */
+PlayerControls.prototype.listen = function(name, type, listener) {
+  if (this.elements[name]) {
+    this.elements[name].addEventListener(type, listener);
+  }
+};
+
+/**
+ * Cast icons, play and pause
+ */
+PlayerControls.prototype.bindCastControls = function() {
+  var player = this.player;
+  this.listen('castIconIdle', 'click', player.launchApp.bind(player));
+  this.listen('castIconActive', 'click', player.stopApp.bind(player));
+  this.listen('castIconWarning', 'click', player.stopReconnect.bind(player));
+  this.listen('duration', 'click', player.jumpToLive.bind(player));
+  this.listen('play', 'click', player.playMedia.bind(player));
+  this.listen('pause', 'click', player.pauseMedia.bind(player));
+};
+
+/**
+ * Mute buttons, the volume slider and the volume mode
+ */
+PlayerControls.prototype.bindVolumeControls = function() {
+  var player = this.player;
+  this.listen('audioOn', 'click', player.muteMedia.bind(player));
+  this.listen('audioOff', 'click', player.muteMedia.bind(player));
+  for (var i = 0; i < VOLUME_HOVER.length; i++) {
+    this.listen(VOLUME_HOVER[i], 'mouseover', this.showVolumeSlider.bind(this));
+    this.listen(VOLUME_HOVER[i], 'mouseout', this.hideVolumeSlider.bind(this));
+  }
+  var slider = player.volumeSlider;
+  if (slider) {
+    // the wheel also changes the volume over the icons and the background
+    this.listen('volumeBackground', 'wheel', slider.onWheel.bind(slider));
+    this.listen('audioOn', 'wheel', slider.onWheel.bind(slider));
+    this.listen('audioOff', 'wheel', slider.onWheel.bind(slider));
+  }
+  this.listen('volumeTrack', 'focus', this.showVolumeSlider.bind(this));
+  this.listen('volumeTrack', 'blur', this.hideVolumeSlider.bind(this));
+  this.listen('volumeMode', 'change', function(e) {
+    player.setVolumeMode(e.target.value);
+  });
+  player.syncVolume();
+};
+
+/**
+ * Subtitle files, the track picker, subtitle delay and the caption style
+ * and metadata editors
+ */
+PlayerControls.prototype.bindCaptionControls = function() {
+  var player = this.player;
+  var elements = this.elements;
+
+  this.listen('subtitleFile', 'change', function(e) {
+    this.loadSubtitleFiles(e.target.files);
+    e.target.value = '';
+  }.bind(this));
+  this.listen('trackPicker', 'change', function(e) {
+    player.setCaptions(parseInt(e.target.value));
+  });
+  player.renderTrackPicker();
+
+  // subtitle delay
+  if (elements.subtitleDelay) {
+    var steps = elements.subtitleDelay.querySelectorAll("button[data-step]");
+    for (var i = 0; i < steps.length; i++) {
+      steps[i].addEventListener('click', player.adjustSubtitleOffset.bind(player, parseFloat(steps[i].getAttribute('data-step'))));
+    }
+  }
+  this.listen('subtitleSync', 'click', player.syncSubtitlesToNow.bind(player));
+
+  // caption style editor, previewed while editing and sent when a field is committed
+  this.listen('captionStyle', 'input', function() {
+    player.captionStyle.update(player.readCaptionStyleEditor());
+    player.previewCaptionStyle();
+  });
+  this.listen('captionStyle', 'change', function() {
+    player.setCaptionStyle(player.readCaptionStyleEditor());
+  });
+  if (elements.captionStyle) {
+    var presets = elements.captionStyle.querySelectorAll("button[data-preset]");
+    for (var i = 0; i < presets.length; i++) {
+      presets[i].addEventListener('click', player.applyCaptionPreset.bind(player, presets[i].getAttribute('data-preset')));
+    }
+  }
+  player.renderCaptionStyleEditor();
+  player.previewCaptionStyle();
+
+  // metadata editor
+  this.listen('metadataApply', 'click', function() {
+    player.setMediaMetadata(player.readMetadataEditor());
+  });
+};
+
+/**
+ * Convert subtitles picked or dropped in the browser, each goes to the
+ * media its name matches; .zip archives are unpacked first
+ * @param {FileList} files Subtitle files and archives
+ */
+PlayerControls.prototype.loadSubtitleFiles = function(files) {
+  this.player.loadSubtitleFiles(files, this.elements.subtitleLanguage ? this.elements.subtitleLanguage.value : '');
+};
+
+/**
+ * The drop zone, taking subtitle files, .zip archives of subtitles and
+ * video links dragged from another page or the address bar
+ */
+PlayerControls.prototype.bindDropZone = function() {
+  var zone = this.elements.dropZone;
+  var over = function(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    zone.classList.add('dragover');
+  };
+  this.listen('dropZone', 'dragenter', over);
+  this.listen('dropZone', 'dragover', over);
+  this.listen('dropZone', 'dragleave', function() {
+    zone.classList.remove('dragover');
+  });
+  this.listen('dropZone', 'drop', function(e) {
+    e.preventDefault();
+    zone.classList.remove('dragover');
+    if (e.dataTransfer.files.length) {
+      this.loadSubtitleFiles(e.dataTransfer.files);
+      return;
+    }
+    var url = droppedLink(e.dataTransfer);
+    if (url) {
+      this.player.addToQueue(url);
+    }
+    else {
+      this.player.showError("Drop subtitle files, a .zip of subtitles or a link to a video.");
+    }
+  }.bind(this));
+};
+
+/**
+ * The media queue, the resume prompt and the playback history
+ */
+PlayerControls.prototype.bindQueueControls = function() {
+  var player = this.player;
+  this.listen('queueAdd', 'click', this.onQueueFormSubmit.bind(this));
+  this.listen('queuePrevious', 'click', player.previousMedia.bind(player));
+  this.listen('queueNext', 'click', player.nextMedia.bind(player));
+  player.renderQueue();
+
+  this.listen('resumeYes', 'click', player.resumePlayback.bind(player, true));
+  this.listen('resumeNo', 'click', player.resumePlayback.bind(player, false));
+  window.addEventListener('pagehide', player.savePlaybackPosition.bind(player, undefined));
+  player.renderHistory();
+};
+
+/**
+ * Add the media entered in the queue form
+ */
+PlayerControls.prototype.onQueueFormSubmit = function() {
+  var url = this.elements.queueUrl;
+  var title = this.elements.queueTitle;
+  var subtitle = this.elements.queueSubtitle;
+  if (!url || !url.value) {
+    return;
+  }
+  var index = this.player.addToQueue(url.value, title ? title.value : undefined);
+  if (subtitle && subtitle.files.length) {
+    this.player.loadSubtitleFile(subtitle.files[0], '', index);
+  }
+  url.value = '';
+  if (title) {
+    title.value = '';
+  }
+  if (subtitle) {
+    subtitle.value = '';
+  }
+};
+
+/**
+ * The debug panel, listing the events of the player log
+ */
+PlayerControls.prototype.bindDebugPanel = function() {
+  var log = this.player.log;
+  this.listen('debugToggle', 'click', this.toggleDebugPanel.bind(this));
+  this.listen('debugClear', 'click', function() {
+    log.clear();
+    this.renderEventLog();
+  }.bind(this));
+  this.listen('debugCopy', 'click', function() {
+    // the clipboard API only exists on https pages
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(log.toText());
+    }
+    else {
+      window.prompt("Copy the log", log.toText());
+    }
+  });
+};
+
+/**
+ * Show the events of the log, newest first
+ */
+PlayerControls.prototype.renderEventLog = function() {
+  var events = this.player.log.events;
+  var list = this.elements.debugList;
+  if (!list) {
+    return;
+  }
+  list.innerHTML = '';
+  for (var i = events.length - 1; i >= 0; i--) {
+    var li = document.createElement('li');
+    li.className = 'debug_' + events[i].level;
+    li.textContent = new Date(events[i].time).toLocaleTimeString() + ' ' + events[i].message;
+    if (events[i].detail) {
+      var detail = document.createElement('span');
+      detail.className = 'debug_detail';
+      detail.textContent = events[i].detail;
+      li.appendChild(detail);
+    }
+    list.appendChild(li);
+  }
+};
+
+/**
+ * Show the debug panel, or hide it when shown
+ */
+PlayerControls.prototype.toggleDebugPanel = function() {
+  var panel = this.elements.debugPanel;
+  if (!panel) {
+    return;
+  }
+  var shown = panel.style.display != 'block';
+  panel.style.display = shown ? 'block' : 'none';
+  this.player.log.listener = shown ? this.renderEventLog.bind(this) : null;
+  if (shown) {
+    this.renderEventLog();
+  }
+};
+
+/**
+ * Show the volume slider
+ */
+PlayerControls.prototype.showVolumeSlider = function() {
+  this.setOpacity(VOLUME_SLIDER, 1);
+};
+
+/**
+ * Hide the volume slider
+ */
+PlayerControls.prototype.hideVolumeSlider = function() {
+  this.setOpacity(VOLUME_SLIDER, 0);
+};
+
+/**
+ * @param {Array} names Names of elements, see ELEMENT_IDS
+ * @param {Number} opacity
+ */
+PlayerControls.prototype.setOpacity = function(names, opacity) {
+  for (var i = 0; i < names.length; i++) {
+    if (this.elements[names[i]]) {
+      this.elements[names[i]].style.opacity = opacity;
+    }
+  }
+};
+
+/**
+ * @param {DataTransfer} dataTransfer What was dropped
+ * @return {string} The first http(s) link dropped, empty if none
+ */
+function droppedLink(dataTransfer) {
+  // uri-list holds one URL per line and # comments
+  var lines = (dataTransfer.getData('text/uri-list') || dataTransfer.getData('text/plain') || '').split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (/^https?:\/\//i.test(line)) {
+      return line;
+    }
+  }
+  return '';
+}
+
+export { PlayerControls };
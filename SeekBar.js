@@ -0,0 +1,281 @@
+/**
+ * Seconds moved by the arrow keys
+ **/
+var KEY_STEP = 5;
+
+/**
+ * Seconds moved by the Page Up and Page Down keys
+ **/
+var PAGE_STEP = 60;
+
+/**
+ * Seek bar
+ * A slider over the seekable range of a media that scales with its
+ * element. It is dragged with a mouse, pen or finger while the time under
+ * the pointer is shown, moved with the arrow, Page Up/Down, Home and End
+ * keys, and is announced as an ARIA slider. Buffered ranges are drawn
+ * under the played part.
+ * @param {HTMLElement} element Element the bar is built in
+ * @param {function} seekCallback Called with the time to seek to, in seconds
+ * @param {function} formatCallback Turns a time in seconds into text
+ */
+var SeekBar = function(element, seekCallback, formatCallback) {
+  // @type {HTMLElement} The slider
+  this.element = element;
+  // @type {function} Called with the time to seek to
+  this.seekCallback = seekCallback;
+  // @type {function} Turns a time into text for the tooltip and screen readers
+  this.formatCallback = formatCallback;
+  // @type {Number} Start of the seekable range in seconds
+  this.start = 0;
+  // @type {Number} End of the seekable range in seconds
+  this.end = 0;
+  // @type {Number} Position shown in seconds
+  this.value = 0;
+  // @type {Number} Id of the pointer dragging the bar, -1 when not dragged
+  this.pointerId = -1;
+
+  element.innerHTML = '';
+  element.setAttribute('role', 'slider');
+  element.setAttribute('tabindex', '0');
+  element.setAttribute('aria-label', 'Seek');
+  // @type {HTMLElement} Background of the bar, holds the other parts
+  this.track = appendDiv(element, 'seek_track');
+  // @type {HTMLElement} Holds one element per buffered range
+  this.buffered = appendDiv(this.track, 'seek_buffered');
+  // @type {HTMLElement} The played part
+  this.played = appendDiv(this.track, 'seek_played');
+  // @type {HTMLElement} The handle
+  this.thumb = appendDiv(this.track, 'seek_thumb');
+  // @type {HTMLElement} The time under the pointer
+  this.tooltip = appendDiv(element, 'seek_tooltip');
+
+  element.addEventListener('pointerdown', this.onPointerDown.bind(this));
+  element.addEventListener('pointermove', this.onPointerMove.bind(this));
+  element.addEventListener('pointerup', this.onPointerUp.bind(this));
+  element.addEventListener('pointercancel', this.onPointerCancel.bind(this));
+  element.addEventListener('pointerleave', this.hideTooltip.bind(this));
+  element.addEventListener('keydown', this.onKeyDown.bind(this));
+  this.render();
+};
+
+/**
+ * Set the seekable range, 0 to the duration or the window of a live stream
+ * @param {Number} start Start in seconds
+ * @param {Number} end End in seconds, the bar is disabled when not after start
+ */
+SeekBar.prototype.setRange = function(start, end) {
+  this.start = start > 0 ? start : 0;
+  this.end = end > this.start ? end : this.start;
+  this.render();
+};
+
+/**
+ * Show a playback position, ignored while the bar is dragged
+ * @param {Number} time Position in seconds
+ */
+SeekBar.prototype.setValue = function(time) {
+  if (this.isDragging()) {
+    return;
+  }
+  this.value = time > 0 ? time : 0;
+  this.render();
+};
+
+/**
+ * Show the buffered parts of the media
+ * @param {Array} ranges A list of {start, end} in seconds
+ */
+SeekBar.prototype.setBuffered = function(ranges) {
+  while (this.buffered.childNodes.length > ranges.length) {
+    this.buffered.removeChild(this.buffered.lastChild);
+  }
+  for (var i = 0; i < ranges.length; i++) {
+    var range = this.buffered.childNodes[i] || appendDiv(this.buffered, 'seek_range');
+    var left = this.getPercent(ranges[i].start);
+    range.style.left = left + '%';
+    range.style.width = Math.max(0, this.getPercent(ranges[i].end) - left) + '%';
+  }
+};
+
+/**
+ * @return {Boolean} Whether a pointer is dragging the bar
+ */
+SeekBar.prototype.isDragging = function() {
+  return this.pointerId >= 0;
+};
+
+/**
+ * @return {Boolean} Whether there is a range to seek in
+ */
+SeekBar.prototype.isEnabled = function() {
+  return this.end > this.start;
+};
+
+/**
+ * @param {Number} time Time in seconds
+ * @return {Number} Position of the time on the bar, from 0 to 100
+ */
+SeekBar.prototype.getPercent = function(time) {
+  if (!this.isEnabled()) {
+    return 0;
+  }
+  return Math.min(100, Math.max(0, 100 * (time - this.start) / (this.end - this.start)));
+};
+
+/**
+ * @param {Number} clientX Horizontal position of a pointer in the viewport
+ * @return {Number} The time under the pointer in seconds
+ */
+SeekBar.prototype.getTimeAt = function(clientX) {
+  var rect = this.track.getBoundingClientRect();
+  var ratio = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+  return this.start + Math.min(1, Math.max(0, ratio)) * (this.end - this.start);
+};
+
+/**
+ * Draw the played part, the handle and the ARIA values
+ */
+SeekBar.prototype.render = function() {
+  var percent = this.getPercent(this.value);
+  this.played.style.width = percent + '%';
+  this.thumb.style.left = percent + '%';
+  this.element.setAttribute('aria-valuemin', Math.floor(this.start));
+  this.element.setAttribute('aria-valuemax', Math.floor(this.end));
+  this.element.setAttribute('aria-valuenow', Math.floor(Math.min(Math.max(this.value, this.start), this.end)));
+  this.element.setAttribute('aria-valuetext', this.formatCallback(this.value));
+  this.element.setAttribute('aria-disabled', !this.isEnabled());
+  this.element.classList.toggle('dragging', this.isDragging());
+};
+
+/**
+ * @param {Number} time Time in seconds
+ */
+SeekBar.prototype.showTooltip = function(time) {
+  this.tooltip.textContent = this.formatCallback(time);
+  this.tooltip.style.left = this.getPercent(time) + '%';
+  this.tooltip.style.display = 'block';
+};
+
+/**
+ * Hide the time shown for a hovering pointer
+ */
+SeekBar.prototype.hideTooltip = function() {
+  if (!this.isDragging()) {
+    this.tooltip.style.display = 'none';
+  }
+};
+
+/**
+ * Start dragging from where the bar was pressed
+ * @param {PointerEvent} e
+ */
+SeekBar.prototype.onPointerDown = function(e) {
+  if (!this.isEnabled() || e.button !== 0) {
+    return;
+  }
+  e.preventDefault();
+  this.element.focus();
+  this.pointerId = e.pointerId;
+  this.element.setPointerCapture(e.pointerId);
+  this.onPointerMove(e);
+};
+
+/**
+ * Follow a dragging pointer, or show the time under a hovering one
+ * @param {PointerEvent} e
+ */
+SeekBar.prototype.onPointerMove = function(e) {
+  if (!this.isEnabled()) {
+    return;
+  }
+  var time = this.getTimeAt(e.clientX);
+  if (e.pointerId == this.pointerId) {
+    this.value = time;
+    this.render();
+  }
+  if (e.pointerType == 'mouse' || e.pointerId == this.pointerId) {
+    this.showTooltip(time);
+  }
+};
+
+/**
+ * Seek to where the bar was released
+ * @param {PointerEvent} e
+ */
+SeekBar.prototype.onPointerUp = function(e) {
+  if (e.pointerId != this.pointerId) {
+    return;
+  }
+  this.value = this.getTimeAt(e.clientX);
+  this.endDrag();
+  this.seekCallback(this.value);
+};
+
+/**
+ * Drop a drag the browser took over, e.g. for scrolling, without seeking
+ * @param {PointerEvent} e
+ */
+SeekBar.prototype.onPointerCancel = function(e) {
+  if (e.pointerId == this.pointerId) {
+    this.endDrag();
+  }
+};
+
+/**
+ * Let go of the dragging pointer
+ */
+SeekBar.prototype.endDrag = function() {
+  if (this.element.hasPointerCapture(this.pointerId)) {
+    this.element.releasePointerCapture(this.pointerId);
+  }
+  this.pointerId = -1;
+  this.tooltip.style.display = 'none';
+  this.render();
+};
+
+/**
+ * Keyboard seeking, following the WAI-ARIA slider pattern
+ * @param {KeyboardEvent} e
+ */
+SeekBar.prototype.onKeyDown = function(e) {
+  var steps = {
+    'ArrowLeft' : -KEY_STEP,
+    'ArrowDown' : -KEY_STEP,
+    'ArrowRight' : KEY_STEP,
+    'ArrowUp' : KEY_STEP,
+    'PageDown' : -PAGE_STEP,
+    'PageUp' : PAGE_STEP
+  };
+  var time;
+  if (steps.hasOwnProperty(e.key)) {
+    time = this.value + steps[e.key];
+  }
+  else if (e.key == 'Home') {
+    time = this.start;
+  }
+  else if (e.key == 'End') {
+    time = this.end;
+  }
+  if (time === undefined || !this.isEnabled() || this.isDragging()) {
+    return;
+  }
+  e.preventDefault();
+  this.value = Math.min(this.end, Math.max(this.start, time));
+  this.render();
+  this.seekCallback(this.value);
+};
+
+/**
+ * @param {HTMLElement} parent
+ * @param {string} className
+ * @return {HTMLElement} A new div at the end of parent
+ */
+function appendDiv(parent, className) {
+  var div = document.createElement('div');
+  div.className = className;
+  parent.appendChild(div);
+  return div;
+}
+
+export { SeekBar };
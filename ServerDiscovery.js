@@ -0,0 +1,331 @@
+import { EventEmitter } from './EventEmitter.js';
+import { MediaType } from './MediaType.js';
+
+/**
+ * Port the Popcorn Time streamer listens on
+ **/
+var DEFAULT_PORT = 8888;
+
+/**
+ * Milliseconds to wait for a host before giving up on it
+ **/
+var PROBE_TIMEOUT = 2000;
+
+/**
+ * Number of hosts probed at the same time while scanning a subnet
+ **/
+var SCAN_CONCURRENCY = 16;
+
+/**
+ * Key under which known servers are kept between sessions
+ **/
+var STORAGE_KEY = 'popcorncast.servers';
+
+/**
+ * Content types of playlists that list media rather than being media
+ **/
+var PLAYLIST_TYPES = ['audio/x-mpegurl', 'audio/mpegurl', 'text/html', 'text/plain'];
+
+/**
+ * Popcorn Time server discovery
+ * Finds Popcorn Time streamers on the LAN, resolves a typed host to the
+ * URL and content type of the file it streams, and remembers the servers
+ * that answered. Known servers are objects {url, lastSeen}; 'change' is
+ * emitted when they change. A page shares one instance between its link
+ * form and its players, see CastPlayer options.
+ */
+var ServerDiscovery = function() {
+  EventEmitter.call(this);
+  // @type {Array} Servers that answered before, most recent first
+  this.servers = [];
+  try {
+    this.servers = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  }
+  catch (e) {
+    this.servers = [];
+  }
+};
+
+ServerDiscovery.prototype = Object.create(EventEmitter.prototype);
+ServerDiscovery.prototype.constructor = ServerDiscovery;
+
+/**
+ * Turn what was typed into a streamer URL
+ * Accepts 192.168.1.5, 192.168.1.5:8888 or a full URL
+ * @param {string} input A host or URL
+ * @return {string} A URL, empty if nothing usable was typed
+ */
+ServerDiscovery.normalize = function(input) {
+  input = (input || '').trim();
+  if (!input) {
+    return '';
+  }
+  // a bare host is a Popcorn Time streamer, full URLs are kept as they are
+  var bare = !/^[a-z][a-z0-9+.-]*:\/\//i.test(input);
+  if (bare) {
+    input = 'http://' + input;
+  }
+  var match = /^([a-z][a-z0-9+.-]*:\/\/)([^\/?#]+)(.*)$/i.exec(input);
+  if (!match) {
+    return '';
+  }
+  var host = match[2];
+  if (bare && host.indexOf(':') < 0) {
+    host += ':' + DEFAULT_PORT;
+  }
+  return match[1] + host + (match[3] || '/');
+};
+
+/**
+ * Resolve a typed host or link to the media it streams
+ * A HEAD request gives the final URL and content type; when the server
+ * answers with a page or playlist, its first media link is followed.
+ * Servers that do not allow cross origin requests are probed with a
+ * video element instead, the content type then comes from the extension.
+ * @param {string} input A host or URL
+ * @param {function} successCallback Called with {url, contentType}, the
+ *   content type is a MediaType one and empty when unknown
+ * @param {function} errorCallback Called with an Error
+ */
+ServerDiscovery.prototype.resolve = function(input, successCallback, errorCallback) {
+  var url = ServerDiscovery.normalize(input);
+  if (!url) {
+    errorCallback(new Error('No address given'));
+    return;
+  }
+  var onResolved = function(result) {
+    if (new URL(url).port == DEFAULT_PORT) {
+      // only streamers are offered again, not every host media came from
+      this.remember(url);
+    }
+    successCallback(result);
+  }.bind(this);
+
+  MediaType.sniff(url, function(type) {
+    var finalUrl = type.url;
+    if (PLAYLIST_TYPES.indexOf(type.serverType) < 0) {
+      onResolved({'url' : finalUrl, 'contentType' : type.contentType});
+      return;
+    }
+    MediaType.request('GET', finalUrl, PROBE_TIMEOUT, function(xhr) {
+      if (/^#EXT-X-/m.test(xhr.responseText)) {
+        // an HLS stream served as an m3u playlist
+        onResolved({'url' : finalUrl, 'contentType' : 'application/x-mpegurl'});
+        return;
+      }
+      var link = findMediaLink(xhr.responseText, finalUrl);
+      if (link) {
+        onResolved({'url' : link, 'contentType' : MediaType.detect(link).contentType});
+      }
+      else {
+        errorCallback(new Error('No media found at ' + finalUrl));
+      }
+    }, errorCallback);
+  }, function() {
+    probeWithVideo(url, function() {
+      onResolved({'url' : url, 'contentType' : MediaType.detect(url).contentType});
+    }, errorCallback);
+  });
+};
+
+/**
+ * Look for Popcorn Time streamers on a /24 subnet
+ * Any HTTP answer on the streamer port counts, even one the browser
+ * does not let us read
+ * @param {string} subnet e.g. 192.168.1, 192.168.1.0/24 or any host of it
+ * @param {function} foundCallback Called with the URL of each server found
+ * @param {function} doneCallback Called with the number of servers found
+ */
+ServerDiscovery.prototype.scan = function(subnet, foundCallback, doneCallback) {
+  var match = /^\s*(\d{1,3}\.\d{1,3}\.\d{1,3})(\.\d{1,3})?(\/24)?\s*$/.exec(subnet || '');
+  if (!match) {
+    doneCallback(0);
+    return;
+  }
+  var hosts = [];
+  for (var i = 1; i < 255; i++) {
+    hosts.push('http://' + match[1] + '.' + i + ':' + DEFAULT_PORT + '/');
+  }
+  var found = 0;
+  var running = 0;
+  var next = function() {
+    if (!hosts.length) {
+      if (running == 0) {
+        doneCallback(found);
+      }
+      return;
+    }
+    var url = hosts.shift();
+    running++;
+    ping(url, function() {
+      found++;
+      this.remember(url);
+      foundCallback(url);
+    }.bind(this), function() {
+      // nothing listening there
+    }, function() {
+      running--;
+      next();
+    });
+  }.bind(this);
+  for (var j = 0; j < SCAN_CONCURRENCY; j++) {
+    next();
+  }
+};
+
+/**
+ * Check whether anything answers HTTP at a URL, whatever its CORS headers
+ * @param {string} url
+ * @param {function} successCallback Called when the host answered
+ * @param {function} errorCallback Called when it did not
+ */
+ServerDiscovery.ping = function(url, successCallback, errorCallback) {
+  ping(url, successCallback, errorCallback, function() {});
+};
+
+/**
+ * Remember a server that answered
+ * @param {string} url A media or streamer URL
+ */
+ServerDiscovery.prototype.remember = function(url) {
+  var match = /^([a-z]+:\/\/[^\/?#]+)/i.exec(url);
+  if (!match) {
+    return;
+  }
+  var base = match[1] + '/';
+  this.forget(base);
+  this.servers.unshift({'url' : base, 'lastSeen' : Date.now()});
+  this.servers.splice(10);
+  this.save();
+};
+
+/**
+ * @param {string} url A server URL
+ */
+ServerDiscovery.prototype.forget = function(url) {
+  this.servers = this.servers.filter(function(server) {
+    return server.url != url;
+  });
+  this.save();
+};
+
+/**
+ * Keep the known servers for the next session
+ */
+ServerDiscovery.prototype.save = function() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.servers));
+  }
+  catch (e) {
+    // storage may be disabled, servers are then forgotten with the page
+  }
+  this.emit('change', this.servers);
+};
+
+/**
+ * Wire the link form: known servers are offered as suggestions and the
+ * scan button searches the subnet of the typed address
+ * @param {HTMLInputElement} input The link field
+ * @param {HTMLElement} button The scan button
+ * @param {HTMLDataListElement} datalist Suggestions of the link field
+ * @param {HTMLElement} status Where the scan progress is shown
+ */
+ServerDiscovery.prototype.attachTo = function(input, button, datalist, status) {
+  var render = function() {
+    datalist.innerHTML = '';
+    for (var i = 0; i < this.servers.length; i++) {
+      var option = document.createElement('option');
+      option.value = this.servers[i].url;
+      datalist.appendChild(option);
+    }
+  }.bind(this);
+  render();
+  this.on('change', render);
+
+  button.addEventListener('click', function() {
+    var host = /(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}/.exec(input.value);
+    var subnet = host ? host[1] : '192.168.1';
+    status.innerHTML = 'Scanning ' + subnet + '.x...';
+    button.disabled = true;
+    this.scan(subnet, function(url) {
+      if (!input.value || input.value == input.defaultValue) {
+        input.value = url;
+      }
+    }, function(count) {
+      button.disabled = false;
+      status.innerHTML = count ? 'Found ' + count + ' Popcorn Time server' + (count > 1 ? 's' : '')
+        : 'No Popcorn Time server found on ' + subnet + '.x';
+    });
+  }.bind(this));
+};
+
+/**
+ * Check whether anything answers HTTP at a URL
+ * @param {string} url
+ * @param {function} successCallback Called when the host answered
+ * @param {function} errorCallback Called when it did not
+ * @param {function} doneCallback Called after either of them
+ */
+function ping(url, successCallback, errorCallback, doneCallback) {
+  var controller = new AbortController();
+  var timer = setTimeout(function() {
+    controller.abort();
+  }, PROBE_TIMEOUT);
+  fetch(url, {method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal}).then(function() {
+    clearTimeout(timer);
+    successCallback();
+    doneCallback();
+  }, function() {
+    clearTimeout(timer);
+    errorCallback();
+    doneCallback();
+  });
+}
+
+/**
+ * Check whether a video element can open a URL
+ * @param {string} url
+ * @param {function} successCallback
+ * @param {function} errorCallback Called with an Error
+ */
+function probeWithVideo(url, successCallback, errorCallback) {
+  var video = document.createElement('video');
+  var done = function(ok) {
+    clearTimeout(timer);
+    video.removeAttribute('src');
+    video.load();
+    if (ok) {
+      successCallback();
+    }
+    else {
+      errorCallback(new Error('Could not reach ' + url));
+    }
+  };
+  var timer = setTimeout(done.bind(null, false), PROBE_TIMEOUT * 5);
+  video.preload = 'metadata';
+  video.addEventListener('loadedmetadata', done.bind(null, true));
+  video.addEventListener('error', done.bind(null, false));
+  video.src = url;
+}
+
+/**
+ * Find the first link to a media file in a page or playlist
+ * @param {string} text Page or playlist content
+ * @param {string} baseUrl URL the content came from
+ * @return {string} An absolute URL or an empty string
+ */
+function findMediaLink(text, baseUrl) {
+  var pattern = /(?:href=["']?|^)([^"'\s<>#]+\.(?:mp4|m4v|mkv|webm|mov|avi|ts|mp3|m4a|aac|flac|ogg)(?:\?[^"'\s<>]*)?)/gim;
+  var match = pattern.exec(text);
+  if (!match) {
+    return '';
+  }
+  try {
+    return new URL(match[1], baseUrl).href;
+  }
+  catch (e) {
+    return '';
+  }
+}
+
+export { ServerDiscovery };
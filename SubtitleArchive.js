@@ -0,0 +1,186 @@
+import { SubtitleConverter } from './SubtitleConverter.js';
+
+/**
+ * Signatures of the zip records read
+ **/
+var SIGNATURE = {
+  'END_OF_DIRECTORY' : 0x06054b50,
+  'DIRECTORY_ENTRY' : 0x02014b50,
+  'LOCAL_HEADER' : 0x04034b50
+};
+
+/**
+ * Compression methods of zip entries that can be read
+ **/
+var METHOD = {
+  'STORED' : 0,
+  'DEFLATED' : 8
+};
+
+/**
+ * Size of the end of central directory record without its comment,
+ * which is at most 65535 bytes long
+ **/
+var END_OF_DIRECTORY_SIZE = 22;
+var MAX_COMMENT_SIZE = 0xFFFF;
+
+/**
+ * Subtitle archive
+ * Reads the subtitle files out of a .zip archive picked or dropped in the
+ * browser, as subtitle sites hand them out. Stored and deflated entries
+ * are read, the latter through the DecompressionStream of the browser;
+ * encrypted entries and zip64 archives are not supported.
+ */
+var SubtitleArchive = {};
+
+/**
+ * @param {File} file A file from an input or a drop event
+ * @return {Boolean} Whether it is a zip archive
+ */
+SubtitleArchive.isArchive = function(file) {
+  return /\.zip$/i.test(file.name) || /^application\/(x-)?zip(-compressed)?$/.test(file.type);
+};
+
+/**
+ * Read the subtitle files of an archive
+ * Entries that cannot be read, encrypted ones for instance, are skipped
+ * as long as another one can
+ * @param {File} file A zip archive
+ * @param {function} successCallback Called with a list of {name, buffer},
+ *  the file name without folders and its raw content, and a list of the
+ *  skipped entries {name, error}
+ * @param {function} errorCallback Called with an Error
+ */
+SubtitleArchive.readFile = function(file, successCallback, errorCallback) {
+  var reader = new FileReader();
+  reader.onload = function() {
+    var entries;
+    try {
+      entries = readDirectory(new DataView(reader.result)).filter(function(entry) {
+        // skip folders and the resource forks macOS adds
+        return !/(^|\/)__MACOSX\//.test(entry.path) && SubtitleConverter.isSubtitleFile(entry.path);
+      });
+      if (entries.length == 0) {
+        throw new Error('No subtitles found in ' + file.name);
+      }
+    }
+    catch (e) {
+      errorCallback(e);
+      return;
+    }
+    Promise.all(entries.map(function(entry) {
+      // one broken entry leaves the others readable
+      return new Promise(function(resolve) {
+        resolve(extract(reader.result, entry));
+      }).catch(function(e) {
+        return {name: entry.path.split('/').pop(), error: e};
+      });
+    })).then(function(results) {
+      var files = results.filter(function(result) {
+        return !result.error;
+      });
+      var skipped = results.filter(function(result) {
+        return result.error;
+      });
+      if (files.length == 0) {
+        errorCallback(new Error('Could not unzip ' + file.name + ': ' + skipped[0].error.message));
+        return;
+      }
+      successCallback(files, skipped);
+    });
+  };
+  reader.onerror = function() {
+    errorCallback(reader.error);
+  };
+  reader.readAsArrayBuffer(file);
+};
+
+/**
+ * List the entries of an archive from its central directory
+ * @param {DataView} view The archive
+ * @return {Array} Entries {path, method, encrypted, compressedSize, headerOffset}
+ */
+function readDirectory(view) {
+  var end = findEndOfDirectory(view);
+  var count = view.getUint16(end + 10, true);
+  var offset = view.getUint32(end + 16, true);
+  if (offset == 0xFFFFFFFF || count == 0xFFFF) {
+    throw new Error('Zip64 archives are not supported');
+  }
+  var entries = [];
+  for (var i = 0; i < count; i++) {
+    if (offset + 46 > view.byteLength || view.getUint32(offset, true) != SIGNATURE.DIRECTORY_ENTRY) {
+      throw new Error('The archive is damaged');
+    }
+    var flags = view.getUint16(offset + 8, true);
+    var nameLength = view.getUint16(offset + 28, true);
+    if (offset + 46 + nameLength > view.byteLength) {
+      throw new Error('The archive is damaged');
+    }
+    var extraLength = view.getUint16(offset + 30, true);
+    var commentLength = view.getUint16(offset + 32, true);
+    var name = new Uint8Array(view.buffer, offset + 46, nameLength);
+    entries.push({
+      // bit 11 marks UTF-8 names, older tools wrote them in the DOS code page
+      path: new TextDecoder(flags & 0x800 ? 'utf-8' : 'windows-1252').decode(name),
+      method: view.getUint16(offset + 10, true),
+      encrypted: !!(flags & 0x1),
+      compressedSize: view.getUint32(offset + 20, true),
+      headerOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * @param {DataView} view The archive
+ * @return {Number} Offset of the end of central directory record
+ */
+function findEndOfDirectory(view) {
+  var last = view.byteLength - END_OF_DIRECTORY_SIZE;
+  var first = Math.max(0, last - MAX_COMMENT_SIZE);
+  for (var offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) == SIGNATURE.END_OF_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('This is not a zip archive');
+}
+
+/**
+ * @param {ArrayBuffer} buffer The archive
+ * @param {Object} entry An entry of its directory
+ * @return {Promise} Resolved with {name, buffer}
+ */
+function extract(buffer, entry) {
+  var view = new DataView(buffer);
+  var name = entry.path.split('/').pop();
+  if (entry.encrypted) {
+    return Promise.reject(new Error(name + ' is encrypted'));
+  }
+  if (entry.headerOffset + 30 > view.byteLength ||
+      view.getUint32(entry.headerOffset, true) != SIGNATURE.LOCAL_HEADER) {
+    return Promise.reject(new Error('The archive is damaged'));
+  }
+  // the local header has its own name and extra field lengths
+  var start = entry.headerOffset + 30 + view.getUint16(entry.headerOffset + 26, true) +
+    view.getUint16(entry.headerOffset + 28, true);
+  if (start + entry.compressedSize > view.byteLength) {
+    return Promise.reject(new Error('The archive is damaged'));
+  }
+  var data = buffer.slice(start, start + entry.compressedSize);
+  switch (entry.method) {
+    case METHOD.STORED:
+      return Promise.resolve({name: name, buffer: data});
+    case METHOD.DEFLATED:
+      var stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).arrayBuffer().then(function(inflated) {
+        return {name: name, buffer: inflated};
+      });
+    default:
+      return Promise.reject(new Error(name + ' uses an unsupported compression method'));
+  }
+}
+
+export { SubtitleArchive };
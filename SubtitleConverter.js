@@ -0,0 +1,686 @@
+/**
+ * Frame rate assumed for frame based MicroDVD subtitles
+ * when the file does not declare its own
+ **/
+var DEFAULT_FPS = 23.976;
+
+/**
+ * Tags that WebVTT understands and are kept in cue text
+ **/
+var VTT_TAGS = ['b', 'i', 'u'];
+
+/**
+ * Extensions of the subtitle files that can be converted
+ **/
+var EXTENSIONS = ['srt', 'ass', 'ssa', 'sub', 'vtt'];
+
+/**
+ * Subtitle converter
+ * Parses SRT, ASS/SSA, SUB (MicroDVD and SubViewer) and WebVTT files and
+ * converts them to WebVTT, so subtitles picked in the browser can be cast
+ * without the PHP upload step.
+ * A cue is an object {start, end, text, settings}:
+ *  - start, end: cue times in seconds
+ *  - text: cue text, WebVTT markup with newlines between lines
+ *  - settings: WebVTT cue settings (line, align) or an empty string
+ */
+var SubtitleConverter = {};
+
+/**
+ * Decode the raw bytes of a subtitle file to a string
+ * Honours byte order marks, otherwise tries UTF-8 and falls back to
+ * CP1251 for Cyrillic text or Latin-1 (CP1252) for everything else
+ * @param {ArrayBuffer} buffer Raw file content
+ * @return {string} Decoded text
+ */
+SubtitleConverter.decode = function(buffer) {
+  var bytes = new Uint8Array(buffer);
+  if (bytes[0] == 0xEF && bytes[1] == 0xBB && bytes[2] == 0xBF) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  if (bytes[0] == 0xFF && bytes[1] == 0xFE) {
+    return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  }
+  if (bytes[0] == 0xFE && bytes[1] == 0xFF) {
+    return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  }
+  try {
+    return new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+  }
+  catch (e) {
+    return new TextDecoder(SubtitleConverter.detectEncoding(bytes)).decode(bytes);
+  }
+};
+
+/**
+ * Guess the single byte encoding of a file that is not valid UTF-8
+ * Cyrillic words are made almost entirely of bytes above 0xC0, while
+ * Latin-1 text only uses them for the odd accented letter
+ * @param {Uint8Array} bytes Raw file content
+ * @return {string} 'windows-1251' or 'windows-1252'
+ */
+SubtitleConverter.detectEncoding = function(bytes) {
+  var high = 0;
+  var ascii = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    var b = bytes[i];
+    if (b >= 0xC0) {
+      high++;
+    }
+    else if ((b >= 0x41 && b <= 0x5A) || (b >= 0x61 && b <= 0x7A)) {
+      ascii++;
+    }
+  }
+  if (high > 0 && high / (high + ascii) > 0.3) {
+    return 'windows-1251';
+  }
+  return 'windows-1252';
+};
+
+/**
+ * @param {string} filename A file name or URL
+ * @return {Boolean} Whether its extension is one of a subtitle file
+ */
+SubtitleConverter.isSubtitleFile = function(filename) {
+  var ext = (filename || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSIONS.indexOf(ext) >= 0;
+};
+
+/**
+ * Detect the subtitle format from the file content, falling back
+ * to the file extension
+ * @param {string} text Subtitle file content
+ * @param {string} filename Name of the subtitle file
+ * @return {string} One of 'vtt', 'srt', 'ass', 'microdvd', 'subviewer' or ''
+ */
+SubtitleConverter.detectFormat = function(text, filename) {
+  if (/^WEBVTT/.test(text)) {
+    return 'vtt';
+  }
+  if (/^\s*\[(Script Info|V4\+? Styles|Events)\]/mi.test(text)) {
+    return 'ass';
+  }
+  if (/^\s*\{\d+\}\{\d*\}/m.test(text)) {
+    return 'microdvd';
+  }
+  if (/^\s*\d+:\d{2}:\d{2}\.\d+,\d+:\d{2}:\d{2}\.\d+\s*$/m.test(text)) {
+    return 'subviewer';
+  }
+  if (/\d+:\d{2}:\d{2}[,.]\d+\s*-->/.test(text)) {
+    return 'srt';
+  }
+  var ext = (filename || '').split('.').pop().toLowerCase();
+  switch (ext) {
+    case 'vtt':
+    case 'srt':
+      return ext;
+    case 'ass':
+    case 'ssa':
+      return 'ass';
+    case 'sub':
+      return 'microdvd';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Parse subtitle text into cues
+ * @param {string} text Subtitle file content
+ * @param {string} format A format returned by detectFormat
+ * @return {Array} A list of cues
+ */
+SubtitleConverter.parse = function(text, format) {
+  text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  switch (format) {
+    case 'vtt':
+      return parseSrt(text, true);
+    case 'srt':
+      return parseSrt(text, false);
+    case 'ass':
+      return parseAss(text);
+    case 'microdvd':
+      return parseMicroDvd(text);
+    case 'subviewer':
+      return parseSubViewer(text);
+    default:
+      throw new Error('Unsupported subtitle format');
+  }
+};
+
+/**
+ * Build a WebVTT document from a list of cues
+ * @param {Array} cues A list of cues
+ * @return {string} WebVTT file content
+ */
+SubtitleConverter.toWebVtt = function(cues) {
+  var output = 'WEBVTT\n\n';
+  for (var i = 0; i < cues.length; i++) {
+    var cue = cues[i];
+    output += (i + 1) + '\n'
+      + formatTimestamp(cue.start) + ' --> ' + formatTimestamp(cue.end)
+      + (cue.settings ? ' ' + cue.settings : '') + '\n'
+      + cue.text + '\n\n';
+  }
+  return output;
+};
+
+/**
+ * Convert subtitle text of any supported format to WebVTT
+ * @param {string} text Subtitle file content
+ * @param {string} filename Name of the subtitle file
+ * @return {Object} {format, cues, vtt}
+ */
+SubtitleConverter.convert = function(text, filename) {
+  var format = SubtitleConverter.detectFormat(text, filename);
+  var cues = SubtitleConverter.parse(text, format);
+  if (cues.length == 0) {
+    throw new Error('No subtitles found in ' + filename);
+  }
+  return {
+    'format' : format,
+    'cues' : cues,
+    'vtt' : SubtitleConverter.toWebVtt(cues)
+  };
+};
+
+/**
+ * Read a subtitle file picked in the browser and convert it to WebVTT
+ * @param {File} file A file from an input or a drop event
+ * @param {function} successCallback Called with {name, format, cues, vtt}
+ * @param {function} errorCallback Called with an Error
+ */
+SubtitleConverter.readFile = function(file, successCallback, errorCallback) {
+  var reader = new FileReader();
+  reader.onload = function() {
+    try {
+      var result = SubtitleConverter.convert(SubtitleConverter.decode(reader.result), file.name);
+      result.name = file.name;
+      successCallback(result);
+    }
+    catch (e) {
+      errorCallback(e);
+    }
+  };
+  reader.onerror = function() {
+    errorCallback(reader.error);
+  };
+  reader.readAsArrayBuffer(file);
+};
+
+/**
+ * Download a subtitle file and convert it to WebVTT
+ * @param {string} url Subtitle URL, it must allow cross origin requests
+ * @param {function} successCallback Called with {name, format, cues, vtt}
+ * @param {function} errorCallback Called with an Error; download errors
+ *   have the HTTP status, 0 when there was no answer or it was not readable
+ */
+SubtitleConverter.fetch = function(url, successCallback, errorCallback) {
+  var xhr = new XMLHttpRequest();
+  var name = url.split('?')[0].split('/').pop();
+  xhr.open('GET', url);
+  xhr.responseType = 'arraybuffer';
+  xhr.onload = function() {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      errorCallback(downloadError('Could not download ' + name + ' (' + xhr.status + ')', xhr.status));
+      return;
+    }
+    try {
+      var result = SubtitleConverter.convert(SubtitleConverter.decode(xhr.response), name);
+      result.name = name;
+      successCallback(result);
+    }
+    catch (e) {
+      errorCallback(e);
+    }
+  };
+  xhr.onerror = function() {
+    errorCallback(downloadError('Could not download ' + name, 0));
+  };
+  xhr.send();
+};
+
+/**
+ * Shift cues by an offset, dropping the ones that would end before zero
+ * @param {Array} cues A list of cues
+ * @param {Number} offset Seconds to add, negative to show subtitles earlier
+ * @return {Array} A new list of cues
+ */
+SubtitleConverter.shiftCues = function(cues, offset) {
+  var shifted = [];
+  for (var i = 0; i < cues.length; i++) {
+    if (cues[i].end + offset <= 0) {
+      continue;
+    }
+    shifted.push({
+      'start' : Math.max(0, cues[i].start + offset),
+      'end' : cues[i].end + offset,
+      'text' : cues[i].text,
+      'settings' : cues[i].settings
+    });
+  }
+  return shifted;
+};
+
+/**
+ * Create a blob URL for a WebVTT document, used by the local player
+ * @param {string} vtt WebVTT file content
+ * @return {string} A blob URL
+ */
+SubtitleConverter.toBlobUrl = function(vtt) {
+  return URL.createObjectURL(new Blob([vtt], {type: 'text/vtt'}));
+};
+
+/**
+ * Parse SRT cues, also used for WebVTT files which share the block layout
+ * @param {string} text Normalized subtitle text
+ * @param {Boolean} isVtt Whether the cue text already is WebVTT markup
+ * @return {Array} A list of cues
+ */
+function parseSrt(text, isVtt) {
+  var cues = [];
+  var blocks = text.split(/\n{2,}/);
+  var timing = /(\d+:)?(\d{1,2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d+:)?(\d{1,2}):(\d{2})[,.](\d{1,3})(.*)/;
+  for (var i = 0; i < blocks.length; i++) {
+    var lines = blocks[i].split('\n');
+    for (var j = 0; j < lines.length; j++) {
+      var match = timing.exec(lines[j]);
+      if (!match) {
+        continue;
+      }
+      var start = toSeconds(match[1], match[2], match[3], match[4]);
+      var end = toSeconds(match[5], match[6], match[7], match[8]);
+      var body = lines.slice(j + 1).join('\n');
+      var settings = vttSettings(match[9]);
+      var position = /^\s*\{\\an?(\d+)\}/.exec(body);
+      if (position) {
+        settings = alignmentSettings(parseInt(position[1], 10), position[0].indexOf('\\an') < 0);
+      }
+      body = isVtt ? body.trim() : srtToVtt(body);
+      if (body) {
+        cues.push({'start' : start, 'end' : end, 'text' : body, 'settings' : settings});
+      }
+      break;
+    }
+  }
+  return cues;
+}
+
+/**
+ * Parse the [Events] section of an ASS/SSA file, applying the bold,
+ * italic and alignment of the referenced [V4+ Styles] entries
+ * @param {string} text Normalized subtitle text
+ * @return {Array} A list of cues
+ */
+function parseAss(text) {
+  var cues = [];
+  var styles = {};
+  var section = '';
+  var styleFormat = null;
+  var eventFormat = null;
+  var isSsa = /^\s*\[V4 Styles\]/mi.test(text);
+  var lines = text.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    var header = /^\[(.+)\]$/.exec(line);
+    if (header) {
+      section = header[1].toLowerCase();
+      continue;
+    }
+    var sep = line.indexOf(':');
+    if (sep < 0) {
+      continue;
+    }
+    var key = line.substring(0, sep).trim().toLowerCase();
+    var value = line.substring(sep + 1).trim();
+    if (key == 'format') {
+      var fields = value.toLowerCase().split(/\s*,\s*/);
+      if (section.indexOf('styles') >= 0) {
+        styleFormat = fields;
+      }
+      else if (section == 'events') {
+        eventFormat = fields;
+      }
+    }
+    else if (key == 'style' && styleFormat) {
+      var style = splitFields(value, styleFormat.length);
+      styles[style[styleFormat.indexOf('name')]] = {
+        'bold' : isAssTrue(style[styleFormat.indexOf('bold')]),
+        'italic' : isAssTrue(style[styleFormat.indexOf('italic')]),
+        'underline' : isAssTrue(style[styleFormat.indexOf('underline')]),
+        'alignment' : parseInt(style[styleFormat.indexOf('alignment')], 10) || 2
+      };
+    }
+    else if (key == 'dialogue' && section == 'events') {
+      var format = eventFormat || ['layer', 'start', 'end', 'style', 'name',
+        'marginl', 'marginr', 'marginv', 'effect', 'text'];
+      var event = splitFields(value, format.length);
+      var cue = assToVtt(event[format.indexOf('text')],
+        styles[event[format.indexOf('style')]] || styles['Default'], isSsa);
+      if (cue.text) {
+        cue.start = parseAssTime(event[format.indexOf('start')]);
+        cue.end = parseAssTime(event[format.indexOf('end')]);
+        cues.push(cue);
+      }
+    }
+  }
+  return cues.sort(function(a, b) { return a.start - b.start; });
+}
+
+/**
+ * Parse frame based MicroDVD cues: {start}{end}line|line
+ * A first cue of {1}{1}23.976 declares the frame rate
+ * @param {string} text Normalized subtitle text
+ * @return {Array} A list of cues
+ */
+function parseMicroDvd(text) {
+  var cues = [];
+  var fps = DEFAULT_FPS;
+  var lines = text.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var match = /^\s*\{(\d+)\}\{(\d*)\}(.*)$/.exec(lines[i]);
+    if (!match) {
+      continue;
+    }
+    var startFrame = parseInt(match[1], 10);
+    var endFrame = match[2] ? parseInt(match[2], 10) : startFrame + Math.round(fps * 3);
+    if (i == 0 && startFrame <= 1 && endFrame <= 1 && parseFloat(match[3]) > 0) {
+      fps = parseFloat(match[3]);
+      continue;
+    }
+    var body = match[3].split('|').map(function(part) {
+      var tags = '';
+      var closing = '';
+      part = part.replace(/\{[yY]:([biu,]+)\}/g, function(all, flags) {
+        flags.split(',').forEach(function(flag) {
+          if (flag) {
+            tags += '<' + flag + '>';
+            closing = '</' + flag + '>' + closing;
+          }
+        });
+        return '';
+      }).replace(/\{[^}]*\}/g, '');
+      return tags + escapeText(part.trim()) + closing;
+    }).join('\n');
+    if (body.trim()) {
+      cues.push({'start' : startFrame / fps, 'end' : endFrame / fps, 'text' : body, 'settings' : ''});
+    }
+  }
+  return cues;
+}
+
+/**
+ * Parse SubViewer 2.0 cues: a "start,end" timing line followed by the text,
+ * with [br] separating lines
+ * @param {string} text Normalized subtitle text
+ * @return {Array} A list of cues
+ */
+function parseSubViewer(text) {
+  var cues = [];
+  var lines = text.split('\n');
+  var timing = /^\s*(\d+):(\d{2}):(\d{2})\.(\d+),(\d+):(\d{2}):(\d{2})\.(\d+)\s*$/;
+  for (var i = 0; i < lines.length; i++) {
+    var match = timing.exec(lines[i]);
+    if (!match || i + 1 >= lines.length) {
+      continue;
+    }
+    var body = lines[i + 1].split(/\[br\]/i).map(function(part) {
+      return escapeText(part.trim());
+    }).join('\n');
+    if (body.trim()) {
+      cues.push({
+        'start' : toSeconds(match[1] + ':', match[2], match[3], match[4]),
+        'end' : toSeconds(match[5] + ':', match[6], match[7], match[8]),
+        'text' : body,
+        'settings' : ''
+      });
+    }
+  }
+  return cues;
+}
+
+/**
+ * Convert SRT cue text to WebVTT cue text
+ * Keeps <b>, <i> and <u>, drops <font> and ASS style override blocks
+ * @param {string} body SRT cue text
+ * @return {string} WebVTT cue text
+ */
+function srtToVtt(body) {
+  body = body.replace(/\{\\[^}]*\}/g, '');
+  var output = '';
+  var tag = /<\/?([a-zA-Z]+)[^>]*>/g;
+  var last = 0;
+  var match;
+  while ((match = tag.exec(body)) !== null) {
+    output += escapeText(body.substring(last, match.index));
+    var name = match[1].toLowerCase();
+    if (VTT_TAGS.indexOf(name) >= 0) {
+      output += match[0].charAt(1) == '/' ? '</' + name + '>' : '<' + name + '>';
+    }
+    last = tag.lastIndex;
+  }
+  output += escapeText(body.substring(last));
+  return output.split('\n').map(function(line) {
+    return line.trim();
+  }).filter(function(line) {
+    return line.length > 0;
+  }).join('\n');
+}
+
+/**
+ * Convert an ASS/SSA dialogue text to a cue
+ * Override blocks toggle bold, italic and underline and may set the
+ * alignment; anything else (karaoke, colours, drawings) is dropped
+ * @param {string} body Dialogue text
+ * @param {Object} style The dialogue style or undefined
+ * @param {Boolean} isSsa Whether alignments use the legacy SSA numbering
+ * @return {Object} A cue without timing
+ */
+function assToVtt(body, style, isSsa) {
+  style = style || {'bold' : false, 'italic' : false, 'underline' : false, 'alignment' : 2};
+  var state = {'b' : style.bold, 'i' : style.italic, 'u' : style.underline};
+  var alignment = style.alignment;
+  var legacy = isSsa;
+  var drawing = false;
+  var output = '';
+  var open = [];
+
+  var applyState = function() {
+    while (open.length) {
+      output += '</' + open.pop() + '>';
+    }
+    VTT_TAGS.forEach(function(name) {
+      if (state[name]) {
+        output += '<' + name + '>';
+        open.push(name);
+      }
+    });
+  };
+
+  applyState();
+  var parts = body.split(/(\{[^}]*\})/);
+  for (var i = 0; i < parts.length; i++) {
+    var part = parts[i];
+    if (part.charAt(0) == '{' && part.charAt(part.length - 1) == '}') {
+      var overrides = part.match(/\\[a-z]+[^\\}]*/gi) || [];
+      for (var j = 0; j < overrides.length; j++) {
+        var override = /^\\([a-z]+?)(\d*)$/i.exec(overrides[j].trim());
+        if (!override) {
+          continue;
+        }
+        var name = override[1].toLowerCase();
+        var arg = override[2];
+        if (VTT_TAGS.indexOf(name) >= 0 && arg !== '') {
+          state[name] = arg != '0';
+        }
+        else if (name == 'an' && arg) {
+          alignment = parseInt(arg, 10);
+          legacy = false;
+        }
+        else if (name == 'a' && arg) {
+          alignment = parseInt(arg, 10);
+          legacy = true;
+        }
+        else if (name == 'p' && arg) {
+          drawing = arg != '0';
+        }
+        else if (name == 'r') {
+          state = {'b' : style.bold, 'i' : style.italic, 'u' : style.underline};
+        }
+      }
+      applyState();
+    }
+    else if (!drawing) {
+      output += escapeText(part.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' '));
+    }
+  }
+  while (open.length) {
+    output += '</' + open.pop() + '>';
+  }
+  var text = output.replace(/<([biu])><\/\1>/g, '').split('\n').map(function(line) {
+    return line.trim();
+  }).filter(function(line) {
+    return line.replace(/<\/?[biu]>/g, '').length > 0;
+  }).join('\n');
+  return {'text' : text, 'settings' : alignmentSettings(alignment, legacy)};
+}
+
+/**
+ * Map an ASS numpad alignment to WebVTT line and align settings
+ * 1-3 are bottom, 4-6 middle and 7-9 top rows. Legacy SSA uses
+ * 1-3 bottom, 5-7 top and 9-11 middle.
+ * @param {Number} alignment The alignment number
+ * @param {Boolean} legacy Whether the SSA numbering is used
+ * @return {string} WebVTT cue settings
+ */
+function alignmentSettings(alignment, legacy) {
+  if (legacy) {
+    alignment = alignment >= 9 ? alignment - 5 : (alignment >= 5 ? alignment + 2 : alignment);
+  }
+  if (!(alignment >= 1 && alignment <= 9)) {
+    return '';
+  }
+  var settings = [];
+  if (alignment >= 7) {
+    settings.push('line:0');
+  }
+  else if (alignment >= 4) {
+    settings.push('line:50%');
+  }
+  var column = (alignment - 1) % 3;
+  if (column == 0) {
+    settings.push('align:left');
+  }
+  else if (column == 2) {
+    settings.push('align:right');
+  }
+  return settings.join(' ');
+}
+
+/**
+ * Keep only the WebVTT cue settings that follow a timing line
+ * @param {string} rest Text after the end timestamp
+ * @return {string} WebVTT cue settings
+ */
+function vttSettings(rest) {
+  return rest.trim().split(/\s+/).filter(function(setting) {
+    return /^(vertical|line|position|size|align|region):\S+$/.test(setting);
+  }).join(' ');
+}
+
+/**
+ * Split a comma separated ASS line, the last field keeps its commas
+ * @param {string} value The line after its key
+ * @param {Number} count Number of fields
+ * @return {Array} The fields
+ */
+function splitFields(value, count) {
+  var fields = value.split(',');
+  var head = fields.slice(0, count - 1).map(function(field) {
+    return field.trim();
+  });
+  head.push(fields.slice(count - 1).join(','));
+  return head;
+}
+
+/**
+ * ASS styles use -1 for true and 0 for false
+ * @param {string} value A style field
+ * @return {Boolean}
+ */
+function isAssTrue(value) {
+  return value !== undefined && value.trim() !== '0' && value.trim() !== '';
+}
+
+/**
+ * Parse an ASS timestamp H:MM:SS.cc
+ * @param {string} value The timestamp
+ * @return {Number} Time in seconds
+ */
+function parseAssTime(value) {
+  var match = /(\d+):(\d{2}):(\d{2})[.,](\d+)/.exec(value || '');
+  if (!match) {
+    return 0;
+  }
+  return toSeconds(match[1] + ':', match[2], match[3], match[4]);
+}
+
+/**
+ * Helper function
+ * @param {string} hours Hours followed by a colon, or undefined
+ * @param {string} minutes
+ * @param {string} seconds
+ * @param {string} fraction Fraction digits, 1 to 3 of them
+ * @return {Number} Time in seconds
+ */
+function toSeconds(hours, minutes, seconds, fraction) {
+  return (hours ? parseInt(hours, 10) * 3600 : 0)
+    + parseInt(minutes, 10) * 60
+    + parseInt(seconds, 10)
+    + parseFloat('0.' + fraction);
+}
+
+/**
+ * Format seconds as a WebVTT timestamp HH:MM:SS.mmm
+ * @param {Number} time Time in seconds
+ * @return {string} The timestamp
+ */
+function formatTimestamp(time) {
+  var ms = Math.max(0, Math.round(time * 1000));
+  var hr = Math.floor(ms / 3600000);
+  var min = Math.floor(ms / 60000) % 60;
+  var sec = Math.floor(ms / 1000) % 60;
+  return leftPad(hr, 2) + ':' + leftPad(min, 2) + ':' + leftPad(sec, 2) + '.' + leftPad(ms % 1000, 3);
+}
+
+/**
+ * Escape characters that have a meaning in WebVTT cue text
+ * @param {string} text Plain text
+ * @return {string} Escaped text
+ */
+function escapeText(text) {
+  return text.replace(/&(?![a-zA-Z]+;|#\d+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function leftPad(number, targetLength) {
+  var output = number + '';
+  while (output.length < targetLength) {
+    output = '0' + output;
+  }
+  return output;
+}
+
+/**
+ * @param {string} message
+ * @param {Number} status HTTP status of the answer, 0 without one
+ * @return {Error} An error telling the download failed
+ */
+function downloadError(message, status) {
+  var error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export { SubtitleConverter };
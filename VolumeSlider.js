@@ -0,0 +1,212 @@
+/**
+ * Height of the volume track in pixels, as in CastVideos.css
+ **/
+var TRACK_HEIGHT = 100;
+
+/**
+ * Volume slider
+ * A vertical slider over a volume track and the level drawn over it. It is
+ * dragged with a mouse, pen or finger, moved by steps with the mouse wheel
+ * and the arrow keys, and is announced as an ARIA slider. The level shown
+ * follows the player until it is dragged.
+ * @param {HTMLElement} track The track, takes the focus and the ARIA values
+ * @param {HTMLElement} level The part of the track below the volume
+ * @param {function} changeCallback Called with the volume picked, from 0 to 1
+ */
+var VolumeSlider = function(track, level, changeCallback) {
+  // @type {HTMLElement} The track
+  this.track = track;
+  // @type {HTMLElement} The level over the track
+  this.level = level;
+  // @type {function} Called with the volume picked
+  this.changeCallback = changeCallback;
+  // @type {Number} Volume shown, from 0 to 1
+  this.value = 0;
+  // @type {Boolean} Whether the volume shown is muted
+  this.muted = false;
+  // @type {Number} Volume change of one wheel notch or arrow key
+  this.step = 0.05;
+  // @type {Number} Id of the pointer dragging the slider, -1 when not dragged
+  this.pointerId = -1;
+
+  track.setAttribute('role', 'slider');
+  track.setAttribute('tabindex', '0');
+  track.setAttribute('aria-label', 'Volume');
+  track.setAttribute('aria-orientation', 'vertical');
+  track.setAttribute('aria-valuemin', 0);
+  track.setAttribute('aria-valuemax', 100);
+  var elements = [track, level];
+  for (var i = 0; i < elements.length; i++) {
+    elements[i].addEventListener('pointerdown', this.onPointerDown.bind(this));
+    elements[i].addEventListener('pointermove', this.onPointerMove.bind(this));
+    elements[i].addEventListener('pointerup', this.onPointerUp.bind(this));
+    elements[i].addEventListener('pointercancel', this.onPointerCancel.bind(this));
+    elements[i].addEventListener('wheel', this.onWheel.bind(this));
+  }
+  track.addEventListener('keydown', this.onKeyDown.bind(this));
+  this.render();
+};
+
+/**
+ * Show the volume of the player, ignored while the slider is dragged
+ * @param {Number} value Volume from 0 to 1
+ * @param {Boolean} muted
+ */
+VolumeSlider.prototype.setValue = function(value, muted) {
+  if (this.isDragging()) {
+    return;
+  }
+  this.value = clamp(value);
+  this.muted = muted;
+  this.render();
+};
+
+/**
+ * @param {Number} step Volume change of one wheel notch or arrow key
+ */
+VolumeSlider.prototype.setStep = function(step) {
+  this.step = step > 0 ? step : this.step;
+};
+
+/**
+ * @return {Boolean} Whether a pointer is dragging the slider
+ */
+VolumeSlider.prototype.isDragging = function() {
+  return this.pointerId >= 0;
+};
+
+/**
+ * @param {Number} clientY Vertical position of a pointer in the viewport
+ * @return {Number} The volume under the pointer
+ */
+VolumeSlider.prototype.getValueAt = function(clientY) {
+  var rect = this.track.getBoundingClientRect();
+  return rect.height > 0 ? clamp((rect.bottom - clientY) / rect.height) : this.value;
+};
+
+/**
+ * Draw the level and the ARIA values
+ */
+VolumeSlider.prototype.render = function() {
+  var height = Math.round(this.value * TRACK_HEIGHT);
+  this.level.style.height = height + 'px';
+  this.level.style.marginTop = -height + 'px';
+  this.track.setAttribute('aria-valuenow', Math.round(this.value * 100));
+  this.track.setAttribute('aria-valuetext', this.muted ? 'Muted' : Math.round(this.value * 100) + '%');
+};
+
+/**
+ * Pick a volume and tell the player
+ * @param {Number} value Volume from 0 to 1
+ */
+VolumeSlider.prototype.change = function(value) {
+  this.value = Math.round(clamp(value) * 100) / 100;
+  this.render();
+  this.changeCallback(this.value);
+};
+
+/**
+ * Start dragging from where the slider was pressed
+ * @param {PointerEvent} e
+ */
+VolumeSlider.prototype.onPointerDown = function(e) {
+  if (e.button !== 0) {
+    return;
+  }
+  e.preventDefault();
+  this.track.focus();
+  this.pointerId = e.pointerId;
+  e.currentTarget.setPointerCapture(e.pointerId);
+  this.onPointerMove(e);
+};
+
+/**
+ * Follow a dragging pointer
+ * @param {PointerEvent} e
+ */
+VolumeSlider.prototype.onPointerMove = function(e) {
+  if (e.pointerId != this.pointerId) {
+    return;
+  }
+  this.value = this.getValueAt(e.clientY);
+  this.render();
+};
+
+/**
+ * Pick the volume where the slider was released
+ * @param {PointerEvent} e
+ */
+VolumeSlider.prototype.onPointerUp = function(e) {
+  if (e.pointerId != this.pointerId) {
+    return;
+  }
+  var value = this.getValueAt(e.clientY);
+  this.endDrag(e.currentTarget);
+  this.change(value);
+};
+
+/**
+ * Drop a drag the browser took over without changing the volume
+ * @param {PointerEvent} e
+ */
+VolumeSlider.prototype.onPointerCancel = function(e) {
+  if (e.pointerId == this.pointerId) {
+    this.endDrag(e.currentTarget);
+  }
+};
+
+/**
+ * Let go of the dragging pointer
+ * @param {HTMLElement} element The element holding the pointer capture
+ */
+VolumeSlider.prototype.endDrag = function(element) {
+  if (element.hasPointerCapture(this.pointerId)) {
+    element.releasePointerCapture(this.pointerId);
+  }
+  this.pointerId = -1;
+};
+
+/**
+ * One step up or down per wheel notch, also used for the icons next to
+ * the slider
+ * @param {WheelEvent} e
+ */
+VolumeSlider.prototype.onWheel = function(e) {
+  if (!e.deltaY || this.isDragging()) {
+    return;
+  }
+  e.preventDefault();
+  this.change(this.value + (e.deltaY < 0 ? this.step : -this.step));
+};
+
+/**
+ * Keyboard changes, following the WAI-ARIA slider pattern
+ * @param {KeyboardEvent} e
+ */
+VolumeSlider.prototype.onKeyDown = function(e) {
+  var values = {
+    'ArrowUp' : this.value + this.step,
+    'ArrowRight' : this.value + this.step,
+    'ArrowDown' : this.value - this.step,
+    'ArrowLeft' : this.value - this.step,
+    'PageUp' : this.value + 2 * this.step,
+    'PageDown' : this.value - 2 * this.step,
+    'Home' : 0,
+    'End' : 1
+  };
+  if (!values.hasOwnProperty(e.key) || this.isDragging()) {
+    return;
+  }
+  e.preventDefault();
+  this.change(values[e.key]);
+};
+
+/**
+ * @param {Number} value
+ * @return {Number} The value between 0 and 1
+ */
+function clamp(value) {
+  return Math.min(1, Math.max(0, value || 0));
+}
+
+export { VolumeSlider };
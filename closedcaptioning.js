@@ -1,342 +0,0 @@
-/*
-Copyright 2014 Google Inc. All Rights Reserved.
-
-Licensed under the Apache License, Version 2.0 (the "License");
-you may not use this file except in compliance with the License.
-You may obtain a copy of the License at
-
-    http://www.apache.org/licenses/LICENSE-2.0
-
-Unless required by applicable law or agreed to in writing, software
-distributed under the License is distributed on an "AS IS" BASIS,
-WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
-See the License for the specific language governing permissions and
-limitations under the License.
-*/
-
-/**
- * global variables
- */
-var currentMediaSession = null;
-var currentVolume = 0.5;
-var mediaCurrentTime = 0;
-var session = null;
-//var mediaURL = 'http://192.168.1.5:8888';
-
-/**
- * Call initialization
- */
-if (!chrome.cast || !chrome.cast.isAvailable) {
-  setTimeout(initializeCastApi, 1000);
-}
-
-/**
- * initialization
- */
-function initializeCastApi() {
-  var applicationID = '33015E37';
-  var sessionRequest = new chrome.cast.SessionRequest(applicationID);
-  var apiConfig = new chrome.cast.ApiConfig(sessionRequest,
-    sessionListener,
-    receiverListener);
-
-  chrome.cast.initialize(apiConfig, onInitSuccess, onError);
-};
-
-/**
- * initialization success callback
- */
-function onInitSuccess() {
-  appendMessage("init success");
-}
-
-/**
- * initialization error callback
- */
-function onError() {
-  console.log("error");
-  appendMessage("error");
-}
-
-/**
- * generic success callback
- */
-function onSuccess(message) {
-  console.log(message);
-}
-
-/**
- * callback on success for stopping app
- */
-function onStopAppSuccess() {
-  console.log('Session stopped');
-  appendMessage('Session stopped');
-  document.getElementById("casticon").src = 'images/cast_icon_idle.png'; 
-}
-
-/**
- * session listener during initialization
- */
-function sessionListener(e) {
-  console.log('New session ID: ' + e.sessionId);
-  appendMessage('New session ID:' + e.sessionId);
-  session = e;
-  if (session.media.length != 0) {
-    appendMessage(
-        'Found ' + session.media.length + ' existing media sessions.');
-    onMediaDiscovered('onRequestSessionSuccess_', session.media[0]);
-  }
-  session.addMediaListener(
-      onMediaDiscovered.bind(this, 'addMediaListener'));
-  session.addUpdateListener(sessionUpdateListener.bind(this));  
-}
-
-/**
- * session update listener 
- */
-function sessionUpdateListener(isAlive) {
-  var message = isAlive ? 'Session Updated' : 'Session Removed';
-  message += ': ' + session.sessionId;
-  appendMessage(message);
-  if (!isAlive) {
-    session = null;
-  }
-};
-
-/**
- * receiver listener during initialization
- */
-function receiverListener(e) {
-  if( e === 'available' ) {
-    console.log("receiver found");
-    appendMessage("receiver found");
-  }
-  else {
-    console.log("receiver list empty");
-    appendMessage("receiver list empty");
-  }
-}
-
-/**
- * launch app and request session
- */
-function launchApp() {
-  console.log("launching app...");
-  appendMessage("launching app...");
-  chrome.cast.requestSession(onRequestSessionSuccess, onLaunchError);
-}
-
-/**
- * callback on success for requestSession call  
- * @param {Object} e A non-null new session.
- */
-function onRequestSessionSuccess(e) {
-  console.log("session success: " + e.sessionId);
-  appendMessage("session success: " + e.sessionId);
-  session = e;
-  document.getElementById("casticon").src = 'images/cast_icon_active.png'; 
-}
-
-/**
- * callback on launch error
- */
-function onLaunchError() {
-  console.log("launch error");
-  appendMessage("launch error");
-}
-
-/**
- * stop app/session
- */
-function stopApp() {
-  session.stop(onStopAppSuccess, onError);
-}
-
-/**
- * load media
- * @param {string} i An index for media
- */
-function loadMedia(i) {
-  if (!session) {
-    console.log("no session");
-    appendMessage("no session");
-    return;
-  }
-  console.log("loading..." + mediaURL);
-  appendMessage("loading..." + mediaURL);
-  var mediaInfo = new chrome.cast.media.MediaInfo(mediaURL);
-  mediaInfo.contentType = 'video/mp4';
-  var request = new chrome.cast.media.LoadRequest(mediaInfo);
-  request.autoplay = false;
-  request.currentTime = 0;
-  
-  var payload = {
-    "title:" : 'Big Buck Bunny',
-    "thumb" : 'images/popcorn.jpg'
-  };
-
-  // specify the closed captioning tracks
-  var json = {
-    "payload" : payload,
-	cc: {
-      tracks: [{
-        src: 'legenda.vtt'
-      }],
-      active: 0
-    }
-  };
-
-  request.customData = json;
-
-  session.loadMedia(request,
-    onMediaDiscovered.bind(this, 'loadMedia'),
-    onMediaError);
-}
-
-/**
- * callback on success for loading media
- * @param {Object} e A non-null media object
- */
-function onMediaDiscovered(how, mediaSession) {
-  console.log("new media session ID:" + mediaSession.mediaSessionId);
-  appendMessage("new media session ID:" + mediaSession.mediaSessionId + ' (' + how + ')');
-  currentMediaSession = mediaSession;
-  mediaSession.addUpdateListener(onMediaStatusUpdate);
-  mediaCurrentTime = currentMediaSession.currentTime;
-  playpauseresume.innerHTML = 'Play';
-  document.getElementById("casticon").src = 'images/cast_icon_active.png'; 
-}
-
-/**
- * callback on media loading error
- * @param {Object} e A non-null media object
- */
-function onMediaError(e) {
-  console.log("media error");
-  appendMessage("media error");
-  document.getElementById("casticon").src = 'images/cast_icon_warning.png'; 
-}
-
-/**
- * callback for media status event
- * @param {Object} e A non-null media object
- */
-function onMediaStatusUpdate(isAlive) {
-  document.getElementById("playerstate").innerHTML = currentMediaSession.playerState;
-}
-
-/**
- * play media
- */
-function playMedia() {
-  if( !currentMediaSession ) 
-    return;
-
-  var playpauseresume = document.getElementById("playpauseresume");
-  if( playpauseresume.innerHTML == 'Play' ) {
-    currentMediaSession.play(null,
-      mediaCommandSuccessCallback.bind(this,"playing started for " + currentMediaSession.sessionId),
-      onError);
-      playpauseresume.innerHTML = 'Pause';
-      //currentMediaSession.addListener(onMediaStatusUpdate);
-      appendMessage("play started");
-  }
-  else {
-    if( playpauseresume.innerHTML == 'Pause' ) {
-      currentMediaSession.pause(null,
-        mediaCommandSuccessCallback.bind(this,"paused " + currentMediaSession.sessionId),
-        onError);
-      playpauseresume.innerHTML = 'Resume';
-      appendMessage("paused");
-    }
-    else {
-      if( playpauseresume.innerHTML == 'Resume' ) {
-        currentMediaSession.play(null,
-          mediaCommandSuccessCallback.bind(this,"resumed " + currentMediaSession.sessionId),
-          onError);
-        playpauseresume.innerHTML = 'Pause';
-        appendMessage("resumed");
-      }
-    }
-  }
-}
-
-/**
- * stop media
- */
-function stopMedia() {
-  if( !currentMediaSession ) 
-    return;
-
-  currentMediaSession.stop(null,
-    mediaCommandSuccessCallback.bind(this,"stopped " + currentMediaSession.sessionId),
-    onError);
-  var playpauseresume = document.getElementById("playpauseresume");
-  playpauseresume.innerHTML = 'Play';
-  appendMessage("media stopped");
-}
-
-/**
- * callback on success for media commands
- * @param {string} info A message string
- * @param {Object} e A non-null media object
- */
-function mediaCommandSuccessCallback(info) {
-  console.log(info);
-  appendMessage(info);
-}
-
-
-/**
- * append message to debug message window
- * @param {string} message A message string
- */
-function appendMessage(message) {
-  var dw = document.getElementById("debugmessage");
-  dw.innerHTML += '\n' + JSON.stringify(message);
-};
-
-/**
- * set the closed captioning track
- * @param {string} trackNumber the closed captioning track number
- */
-function setCaptions(trackNumber) {
-  if (session!=null) {
-	if (trackNumber == undefined) {
-      message = {
-        type: 'DISABLE_CC'
-      }
-    } else {
-      message = {
-        type: 'ENABLE_CC',
-        trackNumber: trackNumber
-      }
-    }
-    session.sendMessage('urn:x-cast:com.google.cast.sample.closecaption', message, onSuccess.bind(this, appendMessage("Message sent: " + JSON.stringify(message))), onError);
-  }	else {
-    alert("First connect to a Cast device.");	
-  }
-};
-
-/**
- * set the closed captioning font size
- * @param {string} size the closed captioning size index
- */
-function setFont(size) {
-  if (session!=null) {
-	if (size == 0) {
-      message = {
-        type: 'NORMAL_FONT'
-      }
-    } else {
-      message = {
-        type: 'LARGE_FONT'
-      }
-    }
-    session.sendMessage('urn:x-cast:com.google.cast.sample.closecaption', message, onSuccess.bind(this, appendMessage("Message sent: " + JSON.stringify(message))), onError);
-  }	else {
-    alert("First connect to a Cast device.");	
-  }
-};
-
-
@@ -1,39 +1,4 @@
 <!DOCTYPE html>
-<?php
-//ini_set('display_startup_errors',1);
-//ini_set('display_errors',1);
-//error_reporting(-1);
-
-require 'vendor/autoload.php';
-
-use Captioning\Format\SubripFile;
-use Captioning\Format\WebvttFile;
-
-if (array_key_exists('submit', $_POST)) {
-    $popIp=$_POST["video_link"];
-
-    if ($_FILES["file"]["error"] > 0){
-        echo "Error: " . $_FILES["file"]["error"] . "<br>";
-    }else{
-       //echo "Upload: " . $_FILES["file"]["name"] . "<br>";
-       //echo "Type: " . $_FILES["file"]["type"] . "<br>";
-       //echo "Size: " . ($_FILES["file"]["size"] / 1024) . " kB<br>";
-       //echo "Stored in: " . $_FILES["file"]["tmp_name"];
-
-        move_uploaded_file($_FILES["file"]["tmp_name"], "upload/" . "legenda.srt");
-        mb_internal_encoding('UTF-8');
-        try {
-            $srt = new SubripFile('upload/legenda.srt');
-            $srt->convertTo('webvtt')->build()->save('legenda.vtt');
-            unlink('upload/legenda.srt');
-        } catch(Exeption $e) {
-            echo "Error: ".$e->getMessage()."\n";
-        }
-    }
-}
-
-?>
-
 <html>
 <head>
 <title>PopcornCast: Cast videos with subtitles to your Chromecast</title>
@@ -41,7 +6,6 @@ if (array_key_exists('submit', $_POST)) {
 <link rel="stylesheet" type="text/css" href="CastVideos.css">
 <link href='//fonts.googleapis.com/css?family=Roboto&subset=latin,cyrillic-ext,greek-ext,latin-ext' rel='stylesheet' type='text/css'>
 <script type="text/javascript" src="https://www.gstatic.com/cv/js/sender/v1/cast_sender.js"></script>
-<script src="CastVideos.js"></script>
 <!-- <meta name="google-site-verification" content="AmFQw6ZD70dzi7lB9j0I_eRv-hmdYUqOl4dJGQ7yZ1U" />
 
 <meta content='IE=edge,chrome=1' http-equiv='X-UA-Compatible'>
@@ -63,12 +27,13 @@ if (array_key_exists('submit', $_POST)) {
 <script>!function(d,s,id){var js,fjs=d.getElementsByTagName(s)[0],p=/^http:/.test(d.location)?'http':'https';if(!d.getElementById(id)){js=d.createElement(s);js.id=id;js.src=p+'://platform.twitter.com/widgets.js';fjs.parentNode.insertBefore(js,fjs);}}(document, 'script', 'twitter-wjs');</script></h1></span>
 <a href="javascript:function iprl5(){var d=document,z=d.createElement('scr'+'ipt'),b=d.body,l=d.location;try{if(!b)throw(0);z.setAttribute('src','https://dabble.me/cast/bookmarklet.js?'+(new Date().getTime()));b.appendChild(z);}catch(e){alert('Please wait until the page has loaded.');}}iprl5();void(0)" id="the_bookmarklet">VidCast</a> &#8594; drag this bookmarklet to your bookmarks bar &amp; click it when a video is on the page.
 -->
-<form method="post" action="" enctype="multipart/form-data">
-    <label for="file">Subtitle:</label>
-    <input type="file" name="file" id="file"><br>
+<form method="post" action="" id="link_form">
     <label for="video_link">Popcorn IP:</label>
-    <input type="text" name="video_link" placeholder="http://PopcornIP:8888" value="http://192.168.1.5:8888"  size="65">
+    <input type="text" name="video_link" id="video_link" list="known_servers" placeholder="http://PopcornIP:8888" value="http://192.168.1.5:8888"  size="65">
+    <datalist id="known_servers"></datalist>
     <input type="submit" name="submit" value="Go">
+    <button type="button" id="scan_servers">Find Popcorn Time</button>
+    <span id="scan_status"></span>
 </form>
 
 
@@ -77,11 +42,22 @@ if (array_key_exists('submit', $_POST)) {
 <div id="example"><img src="imagefiles/popcorn.jpg" style="width:585px;"></div>
 </p>
 
+<div id="library">
+  <label for="library_url">Library:</label>
+  <input type="text" id="library_url" placeholder="http://ComputerIP:8889/list/ or index.json" size="50">
+  <button type="button" id="library_open">Open</button>
+  <div id="library_list"></div>
+</div>
+
       <div id="main_video">
         <div class="imageSub"> <!-- Put Your Image Width -->
            <div class="blackbg" id="playerstatebg">IDLE</div>
            <div class=label id="playerstate">IDLE</div>
-           <div id="video_image_overlay"></div>
+           <div id="video_image_overlay">
+             <img id="overlay_poster" alt="">
+             <span id="overlay_title"></span>
+             <span id="overlay_subtitle"></span>
+           </div>
            <video id="video_element" preload="metadata">
            </video>
         </div>
@@ -89,11 +65,9 @@ if (array_key_exists('submit', $_POST)) {
         <div id="media_control">
            <div id="play"></div>
            <div id="pause"></div>
-           <div id="progress_bg"></div>
-           <div id="progress"></div>
-           <div id="progress_indicator"></div>
            <div id="casticonactive"></div>
            <div id="casticonidle"></div>
+           <div id="casticonwarning" title="Reconnecting, click to stop casting"></div>
            <div id="audio_bg"></div>
            <div id="audio_bg_track"></div>
            <div id="audio_indicator"></div>
@@ -101,19 +75,125 @@ if (array_key_exists('submit', $_POST)) {
            <div id="audio_on"></div>
            <div id="audio_off"></div>
            <div id="duration">00:00:00</div>
+           <div id="seek_bar"></div>
+        </div>
+        <div id="drop_zone">Drop subtitles, a .zip of subtitles or a video link here</div>
+        <div id="media_warning"></div>
+        <div id="error_message"></div>
+        <div id="shortcut_help"></div>
+        <div id="resume_prompt">
+          Resume from <span id="resume_position"></span>?
+          <button id="resume_yes">Resume</button>
+          <button id="resume_no">Start over</button>
+        </div>
+        <div id="queue">
+          <ol id="queue_list"></ol>
+          <button id="queue_previous">&#9664; Previous</button>
+          <button id="queue_next">Next &#9654;</button>
+          <button id="show_shortcuts" title="Keyboard shortcuts (?)">Keyboard shortcuts</button>
+          <br>
+          <input type="text" id="queue_url" placeholder="http://PopcornIP:8888/file.mp4" size="40">
+          <input type="text" id="queue_title" placeholder="Title">
+          <input type="file" id="queue_subtitle" accept=".srt,.ass,.ssa,.sub,.vtt">
+          <button id="queue_add">Add to queue</button>
+        </div>
+        <div id="history">
+          Recently cast:
+          <ol id="history_list"></ol>
+        </div>
+        <div id="debug">
+          <button id="debug_toggle">Debug log</button>
+          <div id="debug_panel">
+            <button id="debug_copy">Copy</button>
+            <button id="debug_clear">Clear</button>
+            <ol id="debug_list"></ol>
+          </div>
         </div>
         <div class="prereqs" id="referrer-container"><a href="" id="referrer">&#8592; Go back</a></div>
       </div>
       <div>
                 <div style="margin:10px;">
-                Captions:
-                <button onClick="setCaptions()">Off</button>
-                <button onClick="setCaptions(0)">On</button>
+                <label for="subtitle_file">Subtitle:</label>
+                <input type="file" id="subtitle_file" accept=".srt,.ass,.ssa,.sub,.vtt,.zip" multiple>
+                <select id="subtitle_language">
+                  <option value="">Detect language</option>
+                  <option value="pt-BR">Português (Brasil)</option>
+                  <option value="pt">Português</option>
+                  <option value="en">English</option>
+                  <option value="es">Español</option>
+                  <option value="fr">Français</option>
+                  <option value="de">Deutsch</option>
+                  <option value="it">Italiano</option>
+                  <option value="nl">Nederlands</option>
+                  <option value="ru">Русский</option>
+                </select>
+              </div>
+                <div style="margin:10px;">
+                <label for="volume_mode">Volume:</label>
+                <select id="volume_mode">
+                  <option value="SESSION">Chromecast volume</option>
+                  <option value="STREAM">This video only</option>
+                </select>
               </div>
                 <div style="margin:10px;">
-                Font:
-                <button onClick="setFont(0)">Normal</button>
-                <button onClick="setFont(1)">Yellow</button>
+                <label for="track_picker">Captions:</label>
+                <select id="track_picker"></select>
+              </div>
+                <div style="margin:10px;" id="subtitle_delay">
+                Delay:
+                <button data-step="-1">-1s</button>
+                <button data-step="-0.1">-0.1s</button>
+                <span id="subtitle_offset">0.0s</span>
+                <button data-step="0.1">+0.1s</button>
+                <button data-step="1">+1s</button>
+                <button id="subtitle_sync">Sync to now</button>
+              </div>
+                <div style="margin:10px;" id="caption_style">
+                Style:
+                <button data-preset="NORMAL">Normal</button>
+                <button data-preset="YELLOW">Yellow</button>
+                <button data-preset="LARGE">Large</button>
+                <br>
+                <label>Size <input type="range" name="fontScale" min="0.5" max="2" step="0.1"></label>
+                <label>Font
+                  <select name="fontFamily">
+                    <option value="SANS_SERIF">Sans serif</option>
+                    <option value="SERIF">Serif</option>
+                    <option value="MONOSPACED_SANS_SERIF">Monospace</option>
+                    <option value="MONOSPACED_SERIF">Monospace serif</option>
+                    <option value="CASUAL">Casual</option>
+                    <option value="CURSIVE">Cursive</option>
+                    <option value="SMALL_CAPITALS">Small capitals</option>
+                  </select>
+                </label>
+                <label>Position <input type="range" name="verticalPosition" min="10" max="100" step="5"></label>
+                <br>
+                <label>Text <input type="color" name="foregroundColor"></label>
+                <label>Opacity <input type="range" name="foregroundOpacity" min="0" max="1" step="0.05"></label>
+                <label>Background <input type="color" name="backgroundColor"></label>
+                <label>Opacity <input type="range" name="backgroundOpacity" min="0" max="1" step="0.05"></label>
+                <label>Edge
+                  <select name="edgeType">
+                    <option value="NONE">None</option>
+                    <option value="OUTLINE">Outline</option>
+                    <option value="DROP_SHADOW">Drop shadow</option>
+                    <option value="RAISED">Raised</option>
+                    <option value="DEPRESSED">Depressed</option>
+                  </select>
+                </label>
+                <label>Edge colour <input type="color" name="edgeColor"></label>
+              </div>
+                <div style="margin:10px;" id="metadata_editor">
+                Details:
+                <input type="text" name="title" placeholder="Title">
+                <input type="text" name="seriesTitle" placeholder="Series">
+                <input type="number" name="season" placeholder="Season" min="0" style="width:60px;">
+                <input type="number" name="episode" placeholder="Episode" min="0" style="width:60px;">
+                <input type="number" name="year" placeholder="Year" min="1900" style="width:60px;">
+                <br>
+                <input type="url" name="poster" placeholder="Poster URL" size="40">
+                <input type="url" name="backdrop" placeholder="Backdrop URL" size="40">
+                <button id="metadata_apply">Apply</button>
               </div>
       </div>
 
@@ -121,37 +201,71 @@ if (array_key_exists('submit', $_POST)) {
 <br>
 </div>
 
-<script type="text/javascript">
+<script type="module">
+import { CastPlayer, PlayerControls, MediaLibrary, MediaType, ServerDiscovery } from './popcorncast.js';
 
-var video_link = decodeURIComponent('<?=$popIp?>');
-video_link = decodeURIComponent(video_link);
-if (video_link=="") {
-  document.getElementById('main_video').remove();
-} else {
-  document.getElementById('example').remove();
-  var CastPlayer = new CastPlayer();
-  CastPlayer.stopApp();
+// the link form and the player share the known servers
+var discovery = new ServerDiscovery();
+discovery.attachTo(document.getElementById('video_link'),
+  document.getElementById('scan_servers'),
+  document.getElementById('known_servers'),
+  document.getElementById('scan_status'));
 
-  var ext = video_link.split('.').pop();
-  var image_exts = ['jpeg','jpg','gif','png','bmp','webp'];
-  var is_image = image_exts.indexOf(ext);
-  if (is_image > 0) {
-    //image, so load as the poster
-    CastPlayer.localPlayer.poster = video_link;
-  } else {
-    CastPlayer.localPlayer.src = video_link;
-    CastPlayer.localPlayer.addEventListener('loadeddata', CastPlayer.onMediaLoadedLocally.bind(CastPlayer, 0));
-    CastPlayer.localPlayer.addEventListener( "error", function(e) {
-            document.getElementById("playerstate").style.display = 'block';
-            document.getElementById("playerstatebg").style.display = 'block';
-            document.getElementById("playerstate").innerHTML = "<span class='loaded'>Error...could not load file</span><span class='vid_link'><a href='"+video_link+"'>"+video_link+"</a></span>";
-          });
+var player = null;
+
+// the player is only shown once there is something to play
+function startPlayer() {
+  if (player) {
+    return player;
   }
+  document.getElementById('example').remove();
+  document.getElementById('main_video').style.display = '';
+  player = new CastPlayer({elements: PlayerControls.findElements(), discovery: discovery});
+  new PlayerControls(player);
+  player.stopApp();
+  player.localPlayer.addEventListener('loadeddata', player.onMediaLoadedLocally.bind(player, 0));
+  player.localPlayer.addEventListener( "error", function(e) {
+          var url = player.localPlayer.currentSrc;
+          player.showPlayerState("<span class='loaded'>Error...could not load file</span><span class='vid_link'><a href='"+url+"'>"+url+"</a></span>");
+        });
 
   if (document.referrer) {
     document.getElementById("referrer-container").style.display = 'block';
     document.getElementById('referrer').href=document.referrer;
   }
+  return player;
+}
+
+var library = new MediaLibrary(document.getElementById('library_list'));
+library.on('select', function(media) {
+  startPlayer().playLibraryMedia(media);
+});
+library.attachTo(document.getElementById('library_url'),
+  document.getElementById('library_open'));
+
+function playLink(link) {
+  startPlayer().addToQueue(link);
+  if (MediaType.detect(link).kind == 'image') {
+    //image, so load as the poster
+    player.localPlayer.poster = link;
+  }
+}
+
+// links are queued without reloading the page, which would lose the queue and its subtitles
+document.getElementById('link_form').addEventListener('submit', function(e) {
+  var link = document.getElementById('video_link').value.trim();
+  e.preventDefault();
+  if (link) {
+    playLink(link);
+  }
+});
+
+// the player shows up with the first link
+document.getElementById('main_video').style.display = 'none';
+
+var bookmarklet = document.getElementById("the_bookmarklet");
+if (bookmarklet) {
+  bookmarklet.onclick = function (e) {e.preventDefault();alert("Drag this to your bookmarks bar and click it on other pages!")};
 }
 </script>
 </body>
@@ -0,0 +1,31 @@
+/**
+ * PopcornCast player library
+ * Pages embed the player with
+ *   import { CastPlayer, PlayerControls } from './popcorncast.js';
+ *   var player = new CastPlayer();
+ *   new PlayerControls(player);
+ * and follow it with player.on('state' | 'time' | 'error' | 'captions', listener).
+ * The Cast sender script, cast_sender.js, is loaded by the page.
+ */
+export { CastPlayer } from './CastVideos.js';
+export { CaptionsController } from './CaptionsController.js';
+export { CaptionProtocol } from './CaptionProtocol.js';
+export { PlayerControls } from './PlayerControls.js';
+export { EventEmitter } from './EventEmitter.js';
+
+export { CaptionStyle } from './CaptionStyle.js';
+export { CastError } from './CastError.js';
+export { EventLog } from './EventLog.js';
+export { FilenameParser } from './FilenameParser.js';
+export { KeyboardShortcuts } from './KeyboardShortcuts.js';
+export { MediaLibrary } from './MediaLibrary.js';
+export { MediaMetadata } from './MediaMetadata.js';
+export { MediaQueue } from './MediaQueue.js';
+export { MediaType } from './MediaType.js';
+export { PlaybackClock } from './PlaybackClock.js';
+export { PlaybackHistory } from './PlaybackHistory.js';
+export { SeekBar } from './SeekBar.js';
+export { ServerDiscovery } from './ServerDiscovery.js';
+export { SubtitleArchive } from './SubtitleArchive.js';
+export { SubtitleConverter } from './SubtitleConverter.js';
+export { VolumeSlider } from './VolumeSlider.js';